@@ -0,0 +1,54 @@
+/**
+ * Database migration commands.
+ *
+ *   node scripts/migrate.js up              Apply all pending migrations
+ *   node scripts/migrate.js down [--to X]   Roll back the last migration, or down to (and including) X
+ *   node scripts/migrate.js status          Print applied and pending migrations
+ */
+require('dotenv').config();
+
+const { getConfig } = require('../src/config/config');
+const { createSequelizeInstance } = require('../src/config/database');
+const { runMigrations, rollbackMigrations, getMigrationStatus } = require('../src/config/migrations');
+
+async function main() {
+  const [command = 'status', ...args] = process.argv.slice(2);
+  const toIndex = args.indexOf('--to');
+  const to = toIndex >= 0 ? args[toIndex + 1] : undefined;
+
+  const sequelize = createSequelizeInstance(getConfig().database.url || undefined);
+
+  try {
+    await sequelize.authenticate();
+
+    switch (command) {
+    case 'up': {
+      const applied = await runMigrations(sequelize);
+      console.log(applied.length > 0 ? `Applied: ${applied.join(', ')}` : 'No pending migrations');
+      break;
+    }
+    case 'down': {
+      const reverted = await rollbackMigrations(sequelize, { to });
+      console.log(reverted.length > 0 ? `Reverted: ${reverted.join(', ')}` : 'Nothing to roll back');
+      break;
+    }
+    case 'status': {
+      const { executed, pending } = await getMigrationStatus(sequelize);
+      executed.forEach(name => console.log(`  up       ${name}`));
+      pending.forEach(name => console.log(`  pending  ${name}`));
+      console.log(`${executed.length} applied, ${pending.length} pending`);
+      break;
+    }
+    default:
+      console.error(`Unknown command "${command}". Use up, down or status.`);
+      process.exitCode = 1;
+    }
+  } finally {
+    await sequelize.close();
+  }
+}
+
+main().catch((err) => {
+  console.error('Migration failed:', err);
+  process.exit(1);
+});
@@ -1,12 +1,29 @@
 const express = require('express');
 const createMetricsMiddleware = require('./middleware/metrics.middleware');
+const createRequestContextMiddleware = require('./middleware/request-context.middleware');
+const createTracingMiddleware = require('./middleware/tracing.middleware');
 const createCacheMiddleware = require('./middleware/cache.middleware');
-const errorMiddleware = require('./middleware/error.middleware');
+const { errorMiddleware, notFoundMiddleware } = require('./middleware/error.middleware');
+const createAuthMiddleware = require('./middleware/auth.middleware');
+const createDeprecationMiddleware = require('./middleware/deprecation.middleware');
+const createAuthRoutes = require('./routes/auth.routes');
 const createUserRoutes = require('./routes/user.routes');
+const createLegacyRoutes = require('./routes/legacy.routes');
 const createHealthRoutes = require('./routes/health.routes');
+const createAdminRoutes = require('./routes/admin.routes');
+const createDocsRoutes = require('./routes/docs.routes');
 const UserController = require('./controllers/user.controller');
 const HealthController = require('./controllers/health.controller');
+const AdminController = require('./controllers/admin.controller');
+const { getConfig } = require('./config/config');
 const { createDatabaseCircuitBreaker } = require('./config/circuit-breaker');
+const { initTracing } = require('./config/tracing');
+const { createTokenStore } = require('./utils/token-store');
+const { createMailer } = require('./utils/mailer');
+const { createLoginThrottle } = require('./utils/login-throttle');
+const { ShutdownCoordinator } = require('./utils/shutdown');
+const { rememberBaseUrl } = require('./utils/route-template');
+const openApiDocument = require('./docs/openapi');
 
 /**
  * Create and configure Express application
@@ -15,29 +32,69 @@ const { createDatabaseCircuitBreaker } = require('./config/circuit-breaker');
 function createApp() {
   const app = express();
 
+  // Validated on first use; server.js loads it before this module to report errors
+  const config = getConfig();
+
+  // Which X-Forwarded-For hops to believe; without it every client behind the
+  // ingress shares its IP and per-IP login throttling locks everyone out
+  app.set('trust proxy', config.server.trustProxy);
+
+  // Spans are exported as configured by TRACING_EXPORTER (otlp, memory or none)
+  const { exporter: spanExporter } = initTracing(config.tracing);
+
+  // Shutdown hooks are registered by whoever owns the resource (see server.js)
+  const shutdown = new ShutdownCoordinator({ timeoutMs: config.shutdown.timeoutMs });
+
   // Create circuit breaker
-  const dbCircuitBreaker = createDatabaseCircuitBreaker();
+  const dbCircuitBreaker = createDatabaseCircuitBreaker(config.database);
+
+  // Initialize Redis cache middleware
+  const { redisCache, attachRedisCache, cacheRoute } = createCacheMiddleware(config.cache);
+
+  // Refresh token state lives in Redis (in memory when running tests)
+  const tokenStore = createTokenStore(redisCache);
+
+  // Outgoing mail (SMTP, files in development, memory in tests)
+  const mailer = createMailer(config.mail);
+
+  // Failed login counters per account and per IP
+  const loginThrottle = createLoginThrottle(redisCache, config.loginThrottle);
 
   // Initialize controllers
-  const userController = new UserController(dbCircuitBreaker);
-  const healthController = new HealthController(dbCircuitBreaker);
+  const userController = new UserController(dbCircuitBreaker, tokenStore, mailer, loginThrottle, config);
+  const healthController = new HealthController(dbCircuitBreaker, redisCache, shutdown, config);
+  const adminController = new AdminController(dbCircuitBreaker, tokenStore, config);
 
-  // Initialize Redis cache middleware
-  const { redisCache, attachRedisCache, cacheRoute } = createCacheMiddleware();
+  // Verify access tokens with the same secret login signs them with
+  const requireAuth = createAuthMiddleware(config.auth.jwtSecret, tokenStore, {
+    revocationFailMode: config.auth.revocationFailMode
+  });
 
-  // Apply middlewares
+  // Apply middlewares; the request context comes first so every later log line carries its ID
+  app.use(createRequestContextMiddleware());
+  app.use(createTracingMiddleware());
+  app.use(shutdown.middleware());
   app.use(createMetricsMiddleware());
   app.use(express.json());
   app.use(attachRedisCache);
 
   // Apply routes
-  app.use('/', createHealthRoutes(healthController));
-  app.use('/', createUserRoutes(userController, cacheRoute));
+  // rememberBaseUrl keeps metrics and spans labelled by route when a router passes on an error
+  app.use('/', rememberBaseUrl, createHealthRoutes(healthController, requireAuth));
+  app.use('/admin', rememberBaseUrl, createAdminRoutes(adminController, requireAuth));
+  app.use('/', rememberBaseUrl, createDocsRoutes(openApiDocument));
+  app.use('/v1/auth', rememberBaseUrl, createAuthRoutes(userController, requireAuth));
+  app.use('/v1/users', rememberBaseUrl, createUserRoutes(userController, cacheRoute, requireAuth, config.cache.profile));
+
+  // Pre-v1 paths, kept until the sunset date with Deprecation and Sunset headers
+  const deprecated = createDeprecationMiddleware(config.legacyApi);
+  app.use('/', rememberBaseUrl, createLegacyRoutes(userController, cacheRoute, requireAuth, config.cache.profile, deprecated));
 
-  // Apply error middleware
+  // Anything unmatched or thrown becomes an application/problem+json response
+  app.use(notFoundMiddleware);
   app.use(errorMiddleware);
 
-  return { app, redisCache };
+  return { app, redisCache, mailer, dbCircuitBreaker, spanExporter, shutdown };
 }
 
 module.exports = createApp();
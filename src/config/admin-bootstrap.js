@@ -0,0 +1,61 @@
+const { getUser } = require('./database');
+const { getConfig } = require('./config');
+const { hashPassword } = require('../utils/password');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'admin-bootstrap' });
+
+/**
+ * Make sure the first admin account exists.
+ *
+ * Does nothing once any admin exists. Otherwise the account named by
+ * ADMIN_BOOTSTRAP_EMAIL is created with ADMIN_BOOTSTRAP_PASSWORD (and
+ * optional ADMIN_BOOTSTRAP_NAME). An existing account with that email is
+ * never promoted: anyone can sign up with an address they don't own, so it
+ * may not belong to the operator. Promote existing users through the admin API.
+ * @param {object} [options] - Overrides for the configured { email, password, name }
+ * @returns {Promise<string>} What was done: 'skipped', 'refused' or 'created'
+ */
+async function bootstrapAdmin(options = {}) {
+  const configured = getConfig().adminBootstrap;
+  const email = options.email || configured.email;
+  const password = options.password || configured.password;
+  const name = options.name || configured.name;
+
+  if (!email) return 'skipped';
+
+  const User = getUser();
+  if (!User) {
+    log.warn('Admin bootstrap skipped: database is not ready');
+    return 'skipped';
+  }
+
+  const existingAdmin = await User.findOne({ where: { role: 'admin' } });
+  if (existingAdmin) return 'skipped';
+
+  const user = await User.findOne({ where: { email } });
+  if (user) {
+    log.error('Admin bootstrap refused: an account with this email already exists and will not be promoted; ' +
+      'choose another ADMIN_BOOTSTRAP_EMAIL', { email, userId: user.id });
+    return 'refused';
+  }
+
+  if (!password) {
+    log.warn('Admin bootstrap skipped: user does not exist and ADMIN_BOOTSTRAP_PASSWORD is not set', { email });
+    return 'skipped';
+  }
+
+  await User.create({
+    email,
+    name,
+    password: await hashPassword(password),
+    role: 'admin',
+    status: 'active',
+    emailVerified: true,
+    emailVerifiedAt: new Date()
+  });
+  log.info('Admin bootstrap: created admin', { email });
+  return 'created';
+}
+
+module.exports = { bootstrapAdmin };
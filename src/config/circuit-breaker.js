@@ -1,6 +1,12 @@
 const CircuitBreaker = require('opossum');
 const retry = require('async-retry');
 const promClient = require('prom-client');
+const { SpanKind } = require('@opentelemetry/api');
+const { logger } = require('../utils/logger');
+const { withSpan } = require('./tracing');
+const { getConfig } = require('./config');
+
+const log = logger.child({ component: 'db-circuit-breaker' });
 
 // Create custom metrics
 const dbOperationDuration = new promClient.Histogram({
@@ -16,22 +22,25 @@ const circuitBreakerState = new promClient.Gauge({
   labelNames: ['breaker']
 });
 
-// Circuit breaker options for database operations
-const dbCircuitOptions = {
-  failureThreshold: 50,
-  resetTimeout: 30000,    // Increased from 10000 to 30000 ms
-  timeout: 10000,         // Increased from 3000 to 10000 ms
-  errorThresholdPercentage: 50,
-  rollingCountTimeout: 60000  // Added to track failures over a longer period
-};
-
 /**
  * Create a circuit breaker for database operations
+ * @param {object} [options] - { circuitBreaker, retry } settings, defaults to the database configuration
  * @returns {CircuitBreaker} Database circuit breaker
  */
-function createDatabaseCircuitBreaker() {
+function createDatabaseCircuitBreaker(options = getConfig().database) {
+  const { circuitBreaker, retry: retryOptions } = options;
+  const dbCircuitOptions = {
+    resetTimeout: circuitBreaker.resetTimeoutMs,
+    timeout: circuitBreaker.timeoutMs,
+    errorThresholdPercentage: circuitBreaker.errorThresholdPercentage,
+    rollingCountTimeout: circuitBreaker.rollingCountTimeoutMs
+  };
+
   // Create a circuit breaker for database operations
-  const dbCircuitBreaker = new CircuitBreaker(async (operation, operationName = 'unknown') => {
+  const dbCircuitBreaker = new CircuitBreaker((operation, operationName = 'unknown') => withSpan(operationName, {
+    kind: SpanKind.CLIENT,
+    attributes: { 'db.operation.name': operationName }
+  }, async (span) => {
     const startTime = process.hrtime();
     let success = false;
     
@@ -51,13 +60,14 @@ function createDatabaseCircuitBreaker() {
           }
         }
       }, {
-        retries: 5,                 // Increased from 3 to 5 retries
-        minTimeout: 1000,
-        maxTimeout: 8000,           // Increased from 5000 to 8000 ms
+        retries: retryOptions.retries,
+        minTimeout: retryOptions.minTimeoutMs,
+        maxTimeout: retryOptions.maxTimeoutMs,
         factor: 2,
         randomize: true,
-        onRetry: (err) => {
-          console.log(`Retrying database operation after error: ${err.message}`);
+        onRetry: (err, attempt) => {
+          span.addEvent('retry', { attempt, 'error.type': err.name, 'exception.message': err.message });
+          log.warn('Retrying database operation', { operation: operationName, attempt, err });
         }
       });
       
@@ -69,21 +79,21 @@ function createDatabaseCircuitBreaker() {
       const durationSeconds = duration[0] + duration[1] / 1e9;
       dbOperationDuration.observe({ operation: operationName, success: success }, durationSeconds);
     }
-  }, dbCircuitOptions);
+  }), dbCircuitOptions);
 
   // Add circuit breaker event listeners to track metrics
   dbCircuitBreaker.on('open', () => {
-    console.log('Circuit breaker opened');
+    log.warn('Circuit breaker opened', { breaker: 'database' });
     circuitBreakerState.set({ breaker: 'database' }, 0);
   });
 
   dbCircuitBreaker.on('close', () => {
-    console.log('Circuit breaker closed');
+    log.info('Circuit breaker closed', { breaker: 'database' });
     circuitBreakerState.set({ breaker: 'database' }, 1);
   });
 
   dbCircuitBreaker.on('halfOpen', () => {
-    console.log('Circuit breaker half-open');
+    log.info('Circuit breaker half-open', { breaker: 'database' });
     circuitBreakerState.set({ breaker: 'database' }, 0.5);
   });
 
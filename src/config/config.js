@@ -0,0 +1,474 @@
+const net = require('net');
+const Joi = require('joi');
+
+/**
+ * Service configuration.
+ *
+ * Every setting is read from the environment here, validated against
+ * ENV_SCHEMA (types, ranges, allowed values) and then against production
+ * safety rules, and returned as one nested object. Invalid configuration
+ * throws an error with code 'ECONFIG' listing every problem at once, so
+ * startup fails with a full report instead of one problem per restart.
+ *
+ * The logger takes LOG_LEVEL and LOG_FORMAT from here too. It has to exist
+ * to report an invalid configuration, so it then uses logSettings() defaults.
+ */
+
+const DEV_JWT_SECRET = 'default-jwt-secret-for-development';
+const DEV_DB_PASSWORD = 'postgres';
+
+// Durations jsonwebtoken accepts for expiresIn, e.g. '3h', '15m', '7 days'
+const DURATION = /^\d+(\.\d+)?\s*(ms|milliseconds?|s|secs?|seconds?|m|mins?|minutes?|h|hrs?|hours?|d|days?|w|weeks?|y|yrs?|years?)?$/i;
+
+const port = () => Joi.number().integer().min(1).max(65535);
+const positiveInt = () => Joi.number().integer().min(1);
+const milliseconds = () => Joi.number().integer().min(1).max(10 * 60 * 1000);
+const percent = () => Joi.number().integer().min(1).max(100);
+const duration = () => Joi.string().pattern(DURATION).messages({
+  'string.pattern.base': '{{#label}} must be a duration such as "15m", "3h" or "7d"'
+});
+// Express 'trust proxy': true/false, a hop count, or addresses, subnets and presets
+const TRUST_PROXY_PRESETS = ['loopback', 'linklocal', 'uniquelocal'];
+const TRUST_PROXY_MESSAGE = '{{#label}} must be true, false, a hop count, or a comma-separated list of IP addresses, subnets, loopback, linklocal or uniquelocal';
+const trustProxy = () => Joi.alternatives().try(
+  Joi.boolean(),
+  Joi.number().integer().min(0),
+  Joi.string().custom((value, helpers) => {
+    const entries = value.split(',').map(entry => entry.trim());
+    return entries.every(isProxyAddress) ? entries : helpers.error('any.invalid');
+  }).messages({ 'any.invalid': TRUST_PROXY_MESSAGE })
+).messages({ 'alternatives.match': TRUST_PROXY_MESSAGE });
+const failMode = () => Joi.string().valid('open', 'closed').default('open');
+const atLeast = (schema, other) => schema.min(Joi.ref(other)).messages({ 'number.min': `{{#label}} must be at least ${other}` });
+const atMost = (schema, other) => schema.max(Joi.ref(other)).messages({ 'number.max': `{{#label}} must not exceed ${other}` });
+
+const ENV_SCHEMA = Joi.object({
+  NODE_ENV: Joi.string().valid('development', 'production', 'test').default('development'),
+  PORT: port().default(3001),
+  APP_BASE_URL: Joi.string().uri({ scheme: ['http', 'https'] }),
+  TRUST_PROXY: trustProxy().default(false),
+
+  // Authentication
+  JWT_SECRET: Joi.string().min(1),
+  ACCESS_TOKEN_TTL: duration().default('3h'),
+  REFRESH_TOKEN_TTL_SECONDS: Joi.number().integer().min(60).default(30 * 24 * 60 * 60), // 30 days
+  EMAIL_VERIFICATION_TTL: duration().default('24h'),
+  REQUIRE_EMAIL_VERIFICATION: Joi.boolean().default(false),
+  PASSWORD_RESET_TTL_MINUTES: Joi.number().integer().min(1).max(24 * 60).default(60),
+  // Page the reset email links to (with ?token=); defaults to the service's own form
+  PASSWORD_RESET_URL: Joi.string().uri({ scheme: ['http', 'https'] }),
+  AUTH_REVOCATION_FAIL_MODE: failMode(),
+
+  // Login throttling
+  LOGIN_ATTEMPT_WINDOW_SECONDS: positiveInt().default(900),
+  LOGIN_LOCK_SECONDS: positiveInt().default(900),
+  LOGIN_MAX_ATTEMPTS: positiveInt().default(5),
+  LOGIN_LOCK_ATTEMPTS: atLeast(positiveInt(), 'LOGIN_MAX_ATTEMPTS').default(10),
+  LOGIN_IP_MAX_ATTEMPTS: positiveInt().default(20),
+  LOGIN_IP_LOCK_ATTEMPTS: atLeast(positiveInt(), 'LOGIN_IP_MAX_ATTEMPTS').default(50),
+  LOGIN_THROTTLE_FAIL_MODE: failMode(),
+
+  // Database
+  DATABASE_URL: Joi.string().uri({ scheme: ['postgres', 'postgresql'] }),
+  DB_DIALECT: Joi.string().valid('postgres', 'sqlite'),
+  DB_STORAGE: Joi.string().default(':memory:'),
+  DB_HOST: Joi.string().hostname().default('user-postgres-svc'),
+  DB_PORT: port().default(5432),
+  DB_NAME: Joi.string().default('cinerate_user_db'),
+  DB_USER: Joi.string().default('postgres'),
+  DB_PASSWORD: Joi.string(),
+  USE_MOCK_DB: Joi.boolean().default(false),
+  MIGRATE_ON_STARTUP: Joi.boolean(),
+  SCHEMA_CHECK: Joi.string().valid('warn', 'fail'),
+  DB_POOL_MAX: positiveInt().max(1000).default(10),
+  DB_POOL_MIN: atMost(Joi.number().integer().min(0), 'DB_POOL_MAX').default(2),
+  DB_POOL_ACQUIRE_MS: milliseconds().default(60000),
+  DB_POOL_IDLE_MS: milliseconds().default(20000),
+  DB_POOL_EVICT_MS: milliseconds().default(30000),
+  DB_QUERY_RETRY_MAX: Joi.number().integer().min(0).max(20).default(5),
+  DB_QUERY_RETRY_TIMEOUT_MS: milliseconds().default(60000),
+  DB_CONNECT_TIMEOUT_MS: milliseconds().default(60000),
+
+  // Database circuit breaker and retries
+  DB_BREAKER_TIMEOUT_MS: milliseconds().default(10000),
+  DB_BREAKER_RESET_MS: milliseconds().default(30000),
+  DB_BREAKER_ERROR_PERCENT: percent().default(50),
+  DB_BREAKER_WINDOW_MS: milliseconds().default(60000),
+  DB_RETRIES: Joi.number().integer().min(0).max(20).default(5),
+  DB_RETRY_MIN_MS: milliseconds().default(1000),
+  DB_RETRY_MAX_MS: atLeast(milliseconds(), 'DB_RETRY_MIN_MS').default(8000),
+
+  // Redis and caching
+  REDIS_URL: Joi.string().uri({ scheme: ['redis', 'rediss'] }),
+  REDIS_HOST: Joi.string().hostname().default('localhost'),
+  REDIS_PORT: port().default(6379),
+  REDIS_BREAKER_TIMEOUT_MS: milliseconds().default(3000),
+  REDIS_BREAKER_RESET_MS: milliseconds().default(10000),
+  REDIS_BREAKER_ERROR_PERCENT: percent().default(50),
+  CACHE_TTL_SECONDS: positiveInt().default(3600),
+  CACHE_LOCAL_MAX_ENTRIES: Joi.number().integer().min(0).default(1000),
+  CACHE_LOCAL_TTL_SECONDS: positiveInt().default(30),
+  CACHE_PROFILE_TTL_SECONDS: positiveInt().default(300),
+  CACHE_PROFILE_STALE_WHILE_REVALIDATE_SECONDS: Joi.number().integer().min(0).default(60),
+  CACHE_PROFILE_STALE_IF_ERROR_SECONDS: Joi.number().integer().min(0).default(600),
+
+  // Mail
+  MAIL_TRANSPORT: Joi.string().valid('smtp', 'file', 'memory'),
+  MAIL_FROM: Joi.string().default('CineRate <no-reply@cinerate.local>'),
+  MAIL_OUTBOX_DIR: Joi.string().default('mail-outbox'),
+  SMTP_HOST: Joi.string().hostname(),
+  SMTP_PORT: port().default(587),
+  SMTP_SECURE: Joi.boolean().default(false),
+  SMTP_USER: Joi.string(),
+  SMTP_PASSWORD: Joi.string(),
+
+  // Accounts
+  ACCOUNT_DELETION_GRACE_DAYS: Joi.number().integer().min(0).default(30),
+  ACCOUNT_PURGE_MODE: Joi.string().valid('anonymize', 'delete').default('anonymize'),
+  ADMIN_BOOTSTRAP_EMAIL: Joi.string().email(),
+  ADMIN_BOOTSTRAP_PASSWORD: Joi.string().min(8),
+  ADMIN_BOOTSTRAP_NAME: Joi.string().default('Administrator'),
+
+  // Pre-v1 API paths (announced in Deprecation and Sunset headers)
+  LEGACY_API_DEPRECATED_AT: Joi.date().iso().default(new Date('2026-10-19T00:00:00Z')),
+  LEGACY_API_SUNSET_AT: Joi.date().iso().greater(Joi.ref('LEGACY_API_DEPRECATED_AT'))
+    .default(new Date('2027-04-30T00:00:00Z'))
+    .messages({ 'date.greater': '{{#label}} must be after LEGACY_API_DEPRECATED_AT' }),
+
+  // Operations
+  HEALTH_CHECK_TIMEOUT_MS: milliseconds().default(2000),
+  SHUTDOWN_TIMEOUT_MS: milliseconds().default(5000),
+  SHUTDOWN_DRAIN_TIMEOUT_MS: milliseconds().default(15000),
+  TRACING_EXPORTER: Joi.string().valid('otlp', 'memory', 'none').default('none'),
+  OTEL_SERVICE_NAME: Joi.string().default('user-service'),
+  LOG_LEVEL: Joi.string().valid('error', 'warn', 'info', 'debug', 'silent'),
+  LOG_FORMAT: Joi.string().valid('json', 'pretty'),
+  BUILD_COMMIT: Joi.string(),
+  BUILD_TIME: Joi.string()
+})
+  .and('ADMIN_BOOTSTRAP_EMAIL', 'ADMIN_BOOTSTRAP_PASSWORD')
+  .unknown(true);
+
+/**
+ * Whether a TRUST_PROXY entry is an IP address, a subnet or a preset name
+ * @param {string} entry - e.g. '10.0.0.0/8', '::1' or 'loopback'
+ * @returns {boolean} Valid entry
+ */
+function isProxyAddress(entry) {
+  if (TRUST_PROXY_PRESETS.includes(entry)) return true;
+
+  const [address, prefix, ...rest] = entry.split('/');
+  const version = net.isIP(address);
+  if (!version || rest.length > 0) return false;
+  if (prefix === undefined) return true;
+
+  return /^\d+$/.test(prefix) && Number(prefix) <= (version === 4 ? 32 : 128);
+}
+
+/**
+ * Settings that must be set deliberately in production
+ * @param {object} env - Validated environment
+ * @returns {string[]} Problems found
+ */
+function checkProductionSafety(env) {
+  const problems = [];
+
+  if (!env.JWT_SECRET || env.JWT_SECRET === DEV_JWT_SECRET) {
+    problems.push('JWT_SECRET is required in production');
+  } else if (env.JWT_SECRET.length < 32) {
+    problems.push('JWT_SECRET must be at least 32 characters long in production');
+  }
+
+  if (env.USE_MOCK_DB === true) {
+    problems.push('USE_MOCK_DB must not be enabled in production');
+  }
+
+  const usesPostgresParams = env.DB_DIALECT !== 'sqlite' && !env.DATABASE_URL;
+  if (usesPostgresParams && (!env.DB_PASSWORD || env.DB_PASSWORD === DEV_DB_PASSWORD)) {
+    problems.push('DB_PASSWORD is required in production and must not be the default');
+  }
+
+  if (!env.APP_BASE_URL) {
+    problems.push('APP_BASE_URL is required in production; links in emails would point to localhost');
+  }
+
+  if (env.MAIL_TRANSPORT === 'file' || env.MAIL_TRANSPORT === 'memory') {
+    problems.push(`MAIL_TRANSPORT must not be "${env.MAIL_TRANSPORT}" in production; emails would never reach users`);
+  } else if (!env.SMTP_HOST && env.MAIL_TRANSPORT !== 'smtp') {
+    problems.push('SMTP_HOST is required in production; emails would be written to files instead of sent');
+  }
+
+  return problems;
+}
+
+/**
+ * Cross-setting rules Joi can't express directly
+ * @param {object} env - Validated environment
+ * @returns {string[]} Problems found
+ */
+function checkConsistency(env) {
+  const problems = [];
+
+  if (env.MAIL_TRANSPORT === 'smtp' && !env.SMTP_HOST) {
+    problems.push('SMTP_HOST is required when MAIL_TRANSPORT is "smtp"');
+  }
+
+  return problems;
+}
+
+/**
+ * Drop empty variables so they fall back to their defaults
+ * @param {object} env - Raw environment
+ * @returns {object} Environment without empty values
+ */
+function withoutEmptyValues(env) {
+  return Object.fromEntries(Object.entries(env).filter(([, value]) => value !== undefined && value !== ''));
+}
+
+/**
+ * Choose the mail transport: tests use memory, other environments SMTP when
+ * SMTP_HOST is set and files otherwise (production refuses files, see
+ * checkProductionSafety)
+ * @param {object} env - Validated environment
+ * @returns {string} 'smtp', 'file' or 'memory'
+ */
+function defaultMailTransport(env) {
+  if (env.NODE_ENV === 'test') return 'memory';
+  return env.SMTP_HOST ? 'smtp' : 'file';
+}
+
+/**
+ * Log level and format, defaulting by environment
+ * @param {object} env - Validated environment
+ * @returns {object} { level, format }
+ */
+function logSettings(env) {
+  return {
+    level: env.LOG_LEVEL || (env.NODE_ENV === 'test' ? 'silent' : 'info'),
+    format: env.LOG_FORMAT || (env.NODE_ENV === 'production' ? 'json' : 'pretty')
+  };
+}
+
+/**
+ * Arrange validated variables into the service configuration
+ * @param {object} env - Validated environment
+ * @returns {object} Configuration
+ */
+function buildConfig(env) {
+  const isProduction = env.NODE_ENV === 'production';
+  const appBaseUrl = env.APP_BASE_URL || `http://localhost:${env.PORT}`;
+
+  return {
+    env: env.NODE_ENV,
+    server: {
+      port: env.PORT,
+      appBaseUrl,
+      // Lets req.ip (login throttling, logs) be the client's address behind a proxy
+      trustProxy: env.TRUST_PROXY
+    },
+    auth: {
+      jwtSecret: env.JWT_SECRET || DEV_JWT_SECRET,
+      accessTokenTtl: env.ACCESS_TOKEN_TTL,
+      refreshTokenTtlSeconds: env.REFRESH_TOKEN_TTL_SECONDS,
+      emailVerificationTtl: env.EMAIL_VERIFICATION_TTL,
+      requireEmailVerification: env.REQUIRE_EMAIL_VERIFICATION,
+      passwordResetTtlMinutes: env.PASSWORD_RESET_TTL_MINUTES,
+      passwordResetUrl: env.PASSWORD_RESET_URL || `${appBaseUrl}/v1/auth/reset-password`,
+      revocationFailMode: env.AUTH_REVOCATION_FAIL_MODE
+    },
+    loginThrottle: {
+      windowSeconds: env.LOGIN_ATTEMPT_WINDOW_SECONDS,
+      lockSeconds: env.LOGIN_LOCK_SECONDS,
+      account: {
+        maxAttempts: env.LOGIN_MAX_ATTEMPTS,
+        lockAttempts: env.LOGIN_LOCK_ATTEMPTS
+      },
+      ip: {
+        maxAttempts: env.LOGIN_IP_MAX_ATTEMPTS,
+        lockAttempts: env.LOGIN_IP_LOCK_ATTEMPTS
+      },
+      failMode: env.LOGIN_THROTTLE_FAIL_MODE
+    },
+    database: {
+      url: env.DATABASE_URL || null,
+      // null when unset: tests then fall back to the mock model
+      dialect: env.DB_DIALECT || null,
+      storage: env.DB_STORAGE,
+      host: env.DB_HOST,
+      port: env.DB_PORT,
+      name: env.DB_NAME,
+      user: env.DB_USER,
+      password: env.DB_PASSWORD || DEV_DB_PASSWORD,
+      useMock: env.USE_MOCK_DB,
+      // null when unset: SQLite then migrates on startup, Postgres doesn't
+      migrateOnStartup: env.MIGRATE_ON_STARTUP !== undefined ? env.MIGRATE_ON_STARTUP : null,
+      schemaCheck: env.SCHEMA_CHECK || (isProduction ? 'fail' : 'warn'),
+      pool: {
+        max: env.DB_POOL_MAX,
+        min: env.DB_POOL_MIN,
+        acquireMs: env.DB_POOL_ACQUIRE_MS,
+        idleMs: env.DB_POOL_IDLE_MS,
+        evictMs: env.DB_POOL_EVICT_MS
+      },
+      queryRetry: {
+        max: env.DB_QUERY_RETRY_MAX,
+        timeoutMs: env.DB_QUERY_RETRY_TIMEOUT_MS
+      },
+      connectTimeoutMs: env.DB_CONNECT_TIMEOUT_MS,
+      circuitBreaker: {
+        timeoutMs: env.DB_BREAKER_TIMEOUT_MS,
+        resetTimeoutMs: env.DB_BREAKER_RESET_MS,
+        errorThresholdPercentage: env.DB_BREAKER_ERROR_PERCENT,
+        rollingCountTimeoutMs: env.DB_BREAKER_WINDOW_MS
+      },
+      retry: {
+        retries: env.DB_RETRIES,
+        minTimeoutMs: env.DB_RETRY_MIN_MS,
+        maxTimeoutMs: env.DB_RETRY_MAX_MS
+      }
+    },
+    redis: {
+      url: env.REDIS_URL || `redis://${env.REDIS_HOST}:${env.REDIS_PORT}`,
+      circuitBreaker: {
+        timeoutMs: env.REDIS_BREAKER_TIMEOUT_MS,
+        resetTimeoutMs: env.REDIS_BREAKER_RESET_MS,
+        errorThresholdPercentage: env.REDIS_BREAKER_ERROR_PERCENT
+      }
+    },
+    cache: {
+      ttlSeconds: env.CACHE_TTL_SECONDS,
+      // maxEntries 0 turns the in-process tier off
+      local: {
+        maxEntries: env.CACHE_LOCAL_MAX_ENTRIES,
+        ttlSeconds: env.CACHE_LOCAL_TTL_SECONDS
+      },
+      profile: {
+        ttlSeconds: env.CACHE_PROFILE_TTL_SECONDS,
+        staleWhileRevalidateSeconds: env.CACHE_PROFILE_STALE_WHILE_REVALIDATE_SECONDS,
+        staleIfErrorSeconds: env.CACHE_PROFILE_STALE_IF_ERROR_SECONDS
+      }
+    },
+    mail: {
+      transport: env.MAIL_TRANSPORT || defaultMailTransport(env),
+      from: env.MAIL_FROM,
+      outboxDir: env.MAIL_OUTBOX_DIR,
+      smtp: {
+        host: env.SMTP_HOST || null,
+        port: env.SMTP_PORT,
+        secure: env.SMTP_SECURE,
+        user: env.SMTP_USER || null,
+        password: env.SMTP_PASSWORD || null
+      }
+    },
+    accounts: {
+      deletionGraceDays: env.ACCOUNT_DELETION_GRACE_DAYS,
+      purgeMode: env.ACCOUNT_PURGE_MODE
+    },
+    adminBootstrap: {
+      email: env.ADMIN_BOOTSTRAP_EMAIL || null,
+      password: env.ADMIN_BOOTSTRAP_PASSWORD || null,
+      name: env.ADMIN_BOOTSTRAP_NAME
+    },
+    legacyApi: {
+      deprecatedAt: env.LEGACY_API_DEPRECATED_AT,
+      sunsetAt: env.LEGACY_API_SUNSET_AT
+    },
+    health: {
+      checkTimeoutMs: env.HEALTH_CHECK_TIMEOUT_MS
+    },
+    shutdown: {
+      timeoutMs: env.SHUTDOWN_TIMEOUT_MS,
+      drainTimeoutMs: env.SHUTDOWN_DRAIN_TIMEOUT_MS
+    },
+    tracing: {
+      exporter: env.TRACING_EXPORTER,
+      serviceName: env.OTEL_SERVICE_NAME
+    },
+    log: logSettings(env),
+    build: {
+      commit: env.BUILD_COMMIT || null,
+      time: env.BUILD_TIME || null
+    }
+  };
+}
+
+/**
+ * Load and validate the configuration
+ * @param {object} [source=process.env] - Environment variables
+ * @returns {object} Configuration
+ * @throws {Error} With code 'ECONFIG' and `details` listing every problem
+ */
+function loadConfig(source = process.env) {
+  const { error, value: env } = ENV_SCHEMA.validate(withoutEmptyValues(source), {
+    abortEarly: false,
+    convert: true
+  });
+
+  // Keep checking after type errors so one report lists everything
+  const problems = error ? error.details.map(detail => detail.message) : [];
+  problems.push(...checkConsistency(env));
+  if (env.NODE_ENV === 'production') {
+    problems.push(...checkProductionSafety(env));
+  }
+
+  if (problems.length > 0) {
+    const configError = new Error(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    configError.code = 'ECONFIG';
+    configError.details = problems;
+    throw configError;
+  }
+
+  return buildConfig(env);
+}
+
+// Loaded on first use; the environment doesn't change while running
+let config = null;
+
+/**
+ * The service configuration, loaded from process.env on first use
+ * @returns {object} Configuration
+ */
+function getConfig() {
+  if (!config) {
+    config = loadConfig();
+  }
+  return config;
+}
+
+// Secrets, and connection URLs that may carry a password
+const SECRET_PATHS = ['auth.jwtSecret', 'database.password', 'mail.smtp.password', 'adminBootstrap.password'];
+const URL_PATHS = ['database.url', 'redis.url'];
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * Copy of a configuration safe to show to operators. Secrets are replaced
+ * (unset ones stay null, so it's visible whether they are configured) and
+ * passwords are removed from URLs.
+ * @param {object} source - Configuration
+ * @returns {object} Redacted copy
+ */
+function redactConfig(source) {
+  const copy = JSON.parse(JSON.stringify(source));
+
+  const update = (path, redact) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const parent = keys.reduce((node, key) => (node ? node[key] : undefined), copy);
+    if (parent && parent[last] !== null && parent[last] !== undefined) {
+      parent[last] = redact(parent[last]);
+    }
+  };
+
+  SECRET_PATHS.forEach(path => update(path, () => REDACTED));
+  URL_PATHS.forEach(path => update(path, (url) => url.replace(/\/\/([^:@/]*):[^@/]*@/, `//$1:${REDACTED}@`)));
+
+  return copy;
+}
+
+module.exports = {
+  loadConfig,
+  getConfig,
+  logSettings,
+  redactConfig
+};
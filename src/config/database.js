@@ -1,6 +1,13 @@
 const { Sequelize } = require('sequelize');
 const defineUserModel = require('../models/user.model');
 const { createMockUserModel, createMockSequelize } = require('../models/mock-user.model');
+const { ensureSchemaCurrent } = require('./migrations');
+const { getConfig } = require('./config');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'database' });
+
+const SUPPORTED_DIALECTS = ['postgres', 'sqlite'];
 
 // Database variables
 let sequelize;
@@ -11,27 +18,107 @@ let User;
  * @returns {object} User model
  */
 async function initializeModels() {
-  // If we're in test mode, User is already defined in connectToDatabase
-  if (process.env.NODE_ENV !== 'test') {
-    // Define User model for production mode
-    User = defineUserModel(sequelize);
+  User = defineUserModel(sequelize);
+  const { migrateOnStartup, schemaCheck } = getConfig().database;
 
-    // Sync models with database
-    await sequelize.sync();
-  }
+  // The schema is owned by migrations; apply or check them instead of sync().
+  // SQLite databases are local and usually fresh, so they migrate by default.
+  const autoMigrate = migrateOnStartup !== null
+    ? migrateOnStartup
+    : sequelize.getDialect() === 'sqlite';
+
+  await ensureSchemaCurrent(sequelize, { autoMigrate, onPending: schemaCheck });
 
   return User;
 }
 
+/**
+ * Resolve the database dialect and SQLite storage
+ * @param {object} [options] - Overrides for DB_DIALECT and DB_STORAGE
+ * @returns {object} { dialect, storage, explicit } where explicit tells whether a dialect was configured
+ */
+function getDialectConfig(options = {}) {
+  const configured = options.dialect || getConfig().database.dialect;
+  const dialect = configured || 'postgres';
+
+  if (!SUPPORTED_DIALECTS.includes(dialect)) {
+    throw new Error(`Unsupported DB_DIALECT "${dialect}". Use one of: ${SUPPORTED_DIALECTS.join(', ')}`);
+  }
+
+  return {
+    dialect,
+    // ':memory:' for a throwaway database, or a file path for local development
+    storage: options.storage || getConfig().database.storage,
+    explicit: Boolean(configured)
+  };
+}
+
+/**
+ * Database connection parameters from the configuration (Kubernetes support)
+ * @returns {object} Connection parameters
+ */
+function getConnectionParams() {
+  const { host, port, name, user, password } = getConfig().database;
+  return { host, port, name, user, password };
+}
+
+/**
+ * Create a Sequelize instance for the configured database
+ * @param {string} [uri] - Postgres connection URI, built from environment variables if omitted
+ * @param {object} [options] - { dialect, storage } overrides
+ * @returns {Sequelize} Unconnected Sequelize instance
+ */
+function createSequelizeInstance(uri, options = {}) {
+  const { dialect, storage } = getDialectConfig(options);
+
+  if (dialect === 'sqlite') {
+    return new Sequelize({
+      dialect: 'sqlite',
+      storage,
+      logging: false
+    });
+  }
+
+  const { host, port, name, user, password } = getConnectionParams();
+  const { pool, queryRetry, connectTimeoutMs } = getConfig().database;
+
+  // If URI is provided, use it, otherwise construct from individual params
+  const connectionString = uri || `postgres://${user}:${password}@${host}:${port}/${name}`;
+
+  return new Sequelize(connectionString, {
+    dialect: 'postgres',
+    logging: false,
+    pool: {
+      max: pool.max,
+      min: pool.min,
+      acquire: pool.acquireMs,
+      idle: pool.idleMs,
+      evict: pool.evictMs
+    },
+    retry: {
+      max: queryRetry.max,
+      timeout: queryRetry.timeoutMs
+    },
+    dialectOptions: {
+      connectTimeout: connectTimeoutMs
+    }
+  });
+}
+
 /**
  * Connect to the database with retry mechanism
- * @param {string} uri - Database connection URI
+ * @param {string} [uri] - Postgres connection URI
+ * @param {object} [options] - { dialect: 'postgres' | 'sqlite', storage } overrides for DB_DIALECT / DB_STORAGE
  */
-async function connectToDatabase(uri) {
+async function connectToDatabase(uri, options = {}) {
+  // Configuration errors aren't worth retrying, so resolve the dialect up front
+  const { explicit } = getDialectConfig(options);
+
   try {
-    // Check if we're in test mode or if USE_MOCK_DB is set
-    if (process.env.NODE_ENV === 'test' || process.env.USE_MOCK_DB === 'true') {
-      console.log('Running with mock database');
+    // Use the mock model when asked to, or in tests that don't pick a real dialect
+    const { env, database } = getConfig();
+    if (database.useMock || (env === 'test' && !explicit)) {
+      log.info('Running with mock database');
       
       // Create mock User model and sequelize instance
       User = createMockUserModel();
@@ -41,41 +128,23 @@ async function connectToDatabase(uri) {
     }
     
     // Get database connection parameters from environment variables for Kubernetes support
-    const DB_HOST = process.env.DB_HOST || 'user-postgres-svc';
-    const DB_PORT = process.env.DB_PORT || '5432';
-    const DB_NAME = process.env.DB_NAME || 'cinerate_user_db';
-    const DB_USER = process.env.DB_USER || 'postgres';
-    const DB_PASSWORD = process.env.DB_PASSWORD || 'postgres';
+    const {
+      host: DB_HOST,
+      port: DB_PORT,
+      name: DB_NAME,
+      user: DB_USER,
+      password: DB_PASSWORD
+    } = getConnectionParams();
     
-    // If URI is provided, use it, otherwise construct from individual params
-    const connectionString = uri || `postgres://${DB_USER}:${DB_PASSWORD}@${DB_HOST}:${DB_PORT}/${DB_NAME}`;
-    
-    sequelize = new Sequelize(connectionString, {
-      dialect: 'postgres',
-      logging: false,
-      pool: {
-        max: 10,            // Increased from 5 to 10 for more connections
-        min: 2,             // Increased from 0 to 2 to maintain minimum connections
-        acquire: 60000,     // Increased from 30000 to 60000 ms
-        idle: 20000,        // Increased from 10000 to 20000 ms
-        evict: 30000        // Added eviction time for stale connections
-      },
-      retry: {
-        max: 5,             // Increased from 3 to 5 retries
-        timeout: 60000      // Increased from 30000 to 60000 ms
-      },
-      dialectOptions: {
-        connectTimeout: 60000 // Added explicit connection timeout
-      }
-    });
+    sequelize = createSequelizeInstance(uri, options);
     
     try {
       await sequelize.authenticate();
-      console.log(`Connected to database (${sequelize.getDialect()})`);
+      log.info('Connected to database', { dialect: sequelize.getDialect() });
     } catch (error) {
       // If the database doesn't exist, try to create it
-      if (error.original && error.original.code === '3D000') { // Database does not exist error code
-        console.log(`Database ${DB_NAME} does not exist. Attempting to create it...`);
+      if (sequelize.getDialect() === 'postgres' && error.original && error.original.code === '3D000') { // Database does not exist error code
+        log.info('Database does not exist, attempting to create it', { database: DB_NAME });
         
         // Create a connection to the default 'postgres' database to create our database
         const adminSequelize = new Sequelize(`postgres://${DB_USER}:${DB_PASSWORD}@${DB_HOST}:${DB_PORT}/postgres`, {
@@ -87,13 +156,13 @@ async function connectToDatabase(uri) {
           await adminSequelize.authenticate();
           await adminSequelize.query(`CREATE DATABASE ${DB_NAME};`);
           await adminSequelize.close();
-          console.log(`Database ${DB_NAME} created successfully.`);
+          log.info('Database created', { database: DB_NAME });
           
           // Reconnect to the newly created database
           await sequelize.authenticate();
-          console.log(`Connected to database (${sequelize.getDialect()})`);
+          log.info('Connected to database', { dialect: sequelize.getDialect() });
         } catch (createError) {
-          console.error('Failed to create database:', createError);
+          log.error('Failed to create database', { err: createError });
           throw createError;
         }
       } else {
@@ -102,42 +171,49 @@ async function connectToDatabase(uri) {
     }
     
     await initializeModels();
-    console.log('Database models initialized');
+    log.info('Database models initialized');
     
   } catch (err) {
+    // Retrying won't help when the schema is behind; let the caller refuse to start
+    if (err.code === 'ESCHEMABEHIND') {
+      throw err;
+    }
+
     // Log error without trying to reconstruct the connection string
-    console.log('Database connection error');
-    console.error('Failed to connect to PostgreSQL', err);
     const retryDelayMs = 5000;
-    console.log(`Retrying connection in ${retryDelayMs / 1000} seconds...`);
-    setTimeout(() => connectToDatabase(uri), retryDelayMs);
+    log.error('Failed to connect to the database', { err, retryInMs: retryDelayMs });
+
+    // The retry creates a new instance; release this one's connections first
+    if (sequelize) {
+      await sequelize.close().catch(closeError => log.warn('Failed to close the database connection', { err: closeError }));
+      sequelize = null;
+    }
+
+    // Nothing awaits the retry, so a failure it can't recover from (a schema
+    // that is behind) must stop the process here
+    setTimeout(() => {
+      connectToDatabase(uri, options).catch((retryError) => {
+        log.error('Database retry failed', { err: retryError });
+        process.exit(1);
+      });
+    }, retryDelayMs);
   }
 }
 
 /**
- * Set up database connection event handlers
+ * Close the database connection pool
  */
-function setupDatabaseEventHandlers() {
-  process.on('SIGINT', async () => {
-    if (sequelize) {
-      await sequelize.close();
-      console.log('Database connection closed');
-    }
-    process.exit(0);
-  });
+async function closeDatabase() {
+  if (!sequelize) return;
 
-  process.on('SIGTERM', async () => {
-    if (sequelize) {
-      await sequelize.close();
-      console.log('Database connection closed');
-    }
-    process.exit(0);
-  });
+  await sequelize.close();
+  log.info('Database connection closed');
 }
 
 module.exports = {
   connectToDatabase,
-  setupDatabaseEventHandlers,
+  createSequelizeInstance,
+  closeDatabase,
   getSequelize: () => sequelize,
   getUser: () => User
 };
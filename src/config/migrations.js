@@ -0,0 +1,137 @@
+const path = require('path');
+const { Umzug, SequelizeStorage } = require('umzug');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'migrations' });
+
+// Arbitrary, fixed key for the Postgres advisory lock guarding migrations
+const MIGRATION_LOCK_KEY = 72310415;
+
+/**
+ * Create a migrator for the migration files in src/migrations
+ * @param {Sequelize} sequelize - Connected Sequelize instance
+ * @returns {Umzug} Migrator
+ */
+function createMigrator(sequelize) {
+  return new Umzug({
+    migrations: {
+      glob: ['*.js', { cwd: path.join(__dirname, '..', 'migrations') }]
+    },
+    context: sequelize.getQueryInterface(),
+    // Applied migrations are recorded in the SequelizeMeta table
+    storage: new SequelizeStorage({ sequelize }),
+    logger: {
+      info: (event) => {
+        if (event.event === 'migrated' || event.event === 'reverted') {
+          log.info(`Migration ${event.event}`, { migration: event.name });
+        }
+      },
+      warn: (message) => log.warn('Migration warning', { detail: message }),
+      error: (message) => log.error('Migration error', { detail: message }),
+      debug: () => {}
+    }
+  });
+}
+
+/**
+ * Run a function while holding the cluster-wide migration lock.
+ * On Postgres this is a transaction-scoped advisory lock, so only one replica
+ * migrates during a rolling deploy and the lock is released even if the
+ * process dies. Other dialects run single-process and skip the lock.
+ * @param {Sequelize} sequelize - Connected Sequelize instance
+ * @param {Function} fn - Work to do under the lock
+ * @returns {Promise<*>} Result of fn
+ */
+async function withMigrationLock(sequelize, fn) {
+  if (sequelize.getDialect() !== 'postgres') {
+    return await fn();
+  }
+
+  return await sequelize.transaction(async (transaction) => {
+    log.info('Waiting for migration lock...');
+    await sequelize.query('SELECT pg_advisory_xact_lock(:key)', {
+      replacements: { key: MIGRATION_LOCK_KEY },
+      transaction
+    });
+    return await fn();
+  });
+}
+
+/**
+ * Apply all pending migrations
+ * @param {Sequelize} sequelize - Connected Sequelize instance
+ * @returns {Promise<string[]>} Names of the migrations applied
+ */
+async function runMigrations(sequelize) {
+  return await withMigrationLock(sequelize, async () => {
+    // Re-read pending migrations under the lock; another replica may have just applied them
+    const applied = await createMigrator(sequelize).up();
+    return applied.map(migration => migration.name);
+  });
+}
+
+/**
+ * Roll back migrations
+ * @param {Sequelize} sequelize - Connected Sequelize instance
+ * @param {object} [options] - { to } migration name to roll back to (inclusive), defaults to the last one
+ * @returns {Promise<string[]>} Names of the migrations reverted
+ */
+async function rollbackMigrations(sequelize, options = {}) {
+  return await withMigrationLock(sequelize, async () => {
+    const reverted = await createMigrator(sequelize).down(options.to ? { to: options.to } : undefined);
+    return reverted.map(migration => migration.name);
+  });
+}
+
+/**
+ * Report which migrations are applied and which are pending
+ * @param {Sequelize} sequelize - Connected Sequelize instance
+ * @returns {Promise<object>} { executed, pending } lists of migration names
+ */
+async function getMigrationStatus(sequelize) {
+  const migrator = createMigrator(sequelize);
+  const [executed, pending] = await Promise.all([migrator.executed(), migrator.pending()]);
+
+  return {
+    executed: executed.map(migration => migration.name),
+    pending: pending.map(migration => migration.name)
+  };
+}
+
+/**
+ * Make sure the schema is current before serving traffic.
+ * @param {Sequelize} sequelize - Connected Sequelize instance
+ * @param {object} [options] - Startup behaviour
+ * @param {boolean} [options.autoMigrate=false] - Apply pending migrations instead of only checking
+ * @param {string} [options.onPending='warn'] - 'fail' to refuse to start when migrations are pending
+ */
+async function ensureSchemaCurrent(sequelize, options = {}) {
+  if (options.autoMigrate) {
+    const applied = await runMigrations(sequelize);
+    if (applied.length > 0) {
+      log.info('Migrations applied', { count: applied.length });
+    }
+    return;
+  }
+
+  const { pending } = await getMigrationStatus(sequelize);
+  if (pending.length === 0) return;
+
+  const message = `Database schema is behind the code: ${pending.length} pending migration(s): ${pending.join(', ')}. Run "npm run migrate".`;
+
+  if (options.onPending === 'fail') {
+    const error = new Error(message);
+    error.code = 'ESCHEMABEHIND';
+    throw error;
+  }
+
+  log.warn(message);
+}
+
+module.exports = {
+  createMigrator,
+  runMigrations,
+  rollbackMigrations,
+  getMigrationStatus,
+  ensureSchemaCurrent
+};
@@ -0,0 +1,42 @@
+/**
+ * Roles and the permissions they grant.
+ * Each role includes every permission of the roles listed before it.
+ */
+const ROLE_PERMISSIONS = {
+  user: [],
+  moderator: ['users:read', 'users:moderate'],
+  admin: ['users:read', 'users:moderate', 'users:manage', 'config:read', 'health:read']
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const DEFAULT_ROLE = 'user';
+
+/**
+ * Check whether a role grants a permission
+ * @param {string} role - Role name
+ * @param {string} permission - Permission name
+ * @returns {boolean} True if the role grants the permission
+ */
+function hasPermission(role, permission) {
+  const permissions = ROLE_PERMISSIONS[role];
+  return Boolean(permissions && permissions.includes(permission));
+}
+
+/**
+ * Check whether a role ranks strictly above another
+ * @param {string} role - Role name
+ * @param {string} other - Role name to compare with
+ * @returns {boolean} True if role comes later in ROLE_PERMISSIONS than other
+ */
+function outranks(role, other) {
+  return ROLES.indexOf(role) > ROLES.indexOf(other);
+}
+
+module.exports = {
+  ROLES,
+  ROLE_PERMISSIONS,
+  DEFAULT_ROLE,
+  hasPermission,
+  outranks
+};
@@ -0,0 +1,114 @@
+const { context, propagation, trace, SpanStatusCode } = require('@opentelemetry/api');
+const { AsyncLocalStorageContextManager } = require('@opentelemetry/context-async-hooks');
+const { W3CTraceContextPropagator } = require('@opentelemetry/core');
+const { resourceFromAttributes } = require('@opentelemetry/resources');
+const {
+  BasicTracerProvider,
+  BatchSpanProcessor,
+  SimpleSpanProcessor,
+  InMemorySpanExporter
+} = require('@opentelemetry/sdk-trace-base');
+const { OTLPTraceExporter } = require('@opentelemetry/exporter-trace-otlp-http');
+const { getConfig } = require('./config');
+
+const TRACER_NAME = 'user-service';
+
+// Provider and exporter once tracing is initialized
+let tracingState = null;
+
+/**
+ * Create the span exporter selected by name
+ * @param {string} name - 'otlp', 'memory' or 'none'
+ * @returns {object|null} Span exporter, or null to record spans without exporting them
+ */
+function createSpanExporter(name) {
+  switch (name) {
+  case 'otlp':
+    // Endpoint and headers come from the standard OTEL_EXPORTER_OTLP_* variables
+    return new OTLPTraceExporter();
+  case 'memory':
+    return new InMemorySpanExporter();
+  case 'none':
+    return null;
+  default:
+    throw new Error(`Unknown TRACING_EXPORTER: ${name}`);
+  }
+}
+
+/**
+ * Set up the tracer provider, context propagation and span export.
+ * Safe to call more than once; later calls return the existing setup.
+ * @param {object} [options] - Overrides for the tracing configuration
+ * @param {string} [options.exporter] - 'otlp', 'memory' or 'none' (TRACING_EXPORTER)
+ * @param {string} [options.serviceName] - Reported service name (OTEL_SERVICE_NAME)
+ * @returns {object} { provider, exporter }
+ */
+function initTracing(options = {}) {
+  if (tracingState) return tracingState;
+
+  const { exporter: exporterName, serviceName } = { ...getConfig().tracing, ...options };
+  const exporter = createSpanExporter(exporterName);
+
+  // Network exporters batch; the in-memory one exposes spans as soon as they end
+  const spanProcessors = [];
+  if (exporter) {
+    spanProcessors.push(exporterName === 'memory' ? new SimpleSpanProcessor(exporter) : new BatchSpanProcessor(exporter));
+  }
+
+  const provider = new BasicTracerProvider({
+    resource: resourceFromAttributes({ 'service.name': serviceName }),
+    spanProcessors
+  });
+
+  context.setGlobalContextManager(new AsyncLocalStorageContextManager().enable());
+  propagation.setGlobalPropagator(new W3CTraceContextPropagator());
+  trace.setGlobalTracerProvider(provider);
+
+  tracingState = { provider, exporter };
+  return tracingState;
+}
+
+/**
+ * Tracer for the service's own spans
+ * @returns {object} OpenTelemetry tracer
+ */
+function getTracer() {
+  return trace.getTracer(TRACER_NAME);
+}
+
+/**
+ * Run an async function inside a new active span, ending it when the function settles.
+ * Errors are recorded on the span and rethrown.
+ * @param {string} name - Span name
+ * @param {object} options - Span options ({ kind, attributes })
+ * @param {Function} fn - Async function receiving the span
+ * @returns {Promise<*>} Result of fn
+ */
+function withSpan(name, options, fn) {
+  return getTracer().startActiveSpan(name, options, async (span) => {
+    try {
+      return await fn(span);
+    } catch (err) {
+      span.recordException(err);
+      span.setStatus({ code: SpanStatusCode.ERROR, message: err.message });
+      throw err;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+/**
+ * Flush pending spans and stop exporting
+ */
+async function shutdownTracing() {
+  if (!tracingState) return;
+  await tracingState.provider.shutdown();
+}
+
+module.exports = {
+  initTracing,
+  getTracer,
+  withSpan,
+  shutdownTracing
+};
@@ -0,0 +1,12 @@
+/**
+ * Account statuses.
+ * Suspended accounts keep their data but can no longer log in.
+ */
+const USER_STATUSES = ['active', 'suspended'];
+
+const DEFAULT_STATUS = 'active';
+
+module.exports = {
+  USER_STATUSES,
+  DEFAULT_STATUS
+};
@@ -0,0 +1,270 @@
+const { Op, fn, col, where: whereFn } = require('sequelize');
+const { getUser, getSequelize } = require('../config/database');
+const { redactConfig } = require('../config/config');
+const { encodeCursor, decodeCursor } = require('../utils/cursor');
+const { invalidateUserCache } = require('../utils/cache-tags');
+const { sessionsNotRevoked } = require('../utils/token-store');
+const { PRIVATE_CACHE_CONTROL, userValidators, setCacheHeaders } = require('../utils/http-cache');
+const { outranks } = require('../config/roles');
+const { BadRequestError, ForbiddenError, NotFoundError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+const { listUsersCursor } = require('../schemas/admin.schemas');
+
+const log = logger.child({ component: 'admin' });
+
+/**
+ * Shape a user for admin responses (never includes secrets)
+ * @param {object} user - User record
+ * @returns {object} Admin view of the user
+ */
+function toAdminView(user) {
+  return {
+    id: user.id,
+    name: user.name,
+    email: user.email,
+    role: user.role,
+    status: user.status,
+    emailVerified: Boolean(user.emailVerified),
+    emailVerifiedAt: user.emailVerifiedAt || null,
+    createdAt: user.createdAt || null,
+    updatedAt: user.updatedAt || null,
+    deletedAt: user.deletedAt || null
+  };
+}
+
+/**
+ * Escape LIKE wildcards so user input only matches literally
+ * @param {string} value - Search text
+ * @returns {string} Escaped text
+ */
+function escapeLike(value) {
+  return value.replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * Build a case-insensitive substring match on a column
+ * @param {string} attribute - Column to search
+ * @param {string} value - Search text, matched literally
+ * @param {string} dialect - Active Sequelize dialect
+ * @returns {object} Sequelize where clause
+ */
+function buildContainsFilter(attribute, value, dialect) {
+  // SQLite's LIKE has no escape character unless one is declared, so match with instr() instead
+  if (dialect === 'sqlite') {
+    return whereFn(fn('instr', fn('lower', col(attribute)), value.toLowerCase()), Op.gt, 0);
+  }
+
+  // ILIKE is Postgres-only; other dialects' LIKE is already case-insensitive for ASCII
+  const likeOp = dialect.startsWith('postgres') ? Op.iLike : Op.like;
+  return { [attribute]: { [likeOp]: `%${escapeLike(value)}%` } };
+}
+
+/**
+ * Build the where clause for the admin user listing filters
+ * @param {object} query - Validated query parameters
+ * @returns {object} Sequelize where clause
+ */
+function buildUserFilters(query) {
+  const sequelize = getSequelize();
+  const dialect = sequelize ? sequelize.getDialect() : 'postgres';
+
+  const where = {};
+  const searches = [];
+
+  if (query.email) searches.push(buildContainsFilter('email', query.email, dialect));
+  if (query.name) searches.push(buildContainsFilter('name', query.name, dialect));
+  if (searches.length > 0) where[Op.and] = searches;
+
+  if (query.role) where.role = query.role;
+  if (query.status) where.status = query.status;
+  if (query.verified !== undefined) where.emailVerified = query.verified;
+
+  if (query.createdFrom || query.createdTo) {
+    where.createdAt = {};
+    if (query.createdFrom) where.createdAt[Op.gte] = query.createdFrom;
+    if (query.createdTo) where.createdAt[Op.lte] = query.createdTo;
+  }
+
+  return where;
+}
+
+/**
+ * Decode a listing cursor and check it was made for the requested sort
+ * @param {string} cursor - Cursor from a previous page
+ * @param {string} sort - Requested sort attribute
+ * @param {string} order - Requested order
+ * @returns {object} Cursor ({ sort, order, value, id }) with value converted for the sort
+ * @throws {BadRequestError} invalid_cursor for malformed, tampered or mismatched cursors
+ */
+function parseCursor(cursor, sort, order) {
+  const { error, value } = listUsersCursor.validate(decodeCursor(cursor));
+
+  if (error || value.sort !== sort || value.order !== order) {
+    throw new BadRequestError('Invalid cursor for this sort order', { code: 'invalid_cursor' });
+  }
+  return value;
+}
+
+/**
+ * Build the keyset condition for rows after a cursor
+ * @param {object} cursor - Cursor from parseCursor() ({ value, id })
+ * @param {string} sort - Sort attribute
+ * @param {string} order - 'asc' or 'desc'
+ * @returns {object} Sequelize where clause
+ */
+function buildCursorCondition(cursor, sort, order) {
+  const after = order === 'asc' ? Op.gt : Op.lt;
+
+  if (sort === 'id') {
+    return { id: { [after]: cursor.id } };
+  }
+
+  // (sort, id) > (value, id) written out so it works on every dialect
+  return {
+    [Op.or]: [
+      { [sort]: { [after]: cursor.value } },
+      { [sort]: cursor.value, id: { [after]: cursor.id } }
+    ]
+  };
+}
+
+const userNotFound = () => new NotFoundError('User not found', { code: 'user_not_found' });
+
+class AdminController {
+  constructor(dbCircuitBreaker, tokenStore, config) {
+    this.dbCircuitBreaker = dbCircuitBreaker;
+    this.tokenStore = tokenStore;
+    this.config = config;
+    this.refreshTokenTtlSeconds = config.auth.refreshTokenTtlSeconds;
+  }
+
+  /**
+   * Effective configuration, with secrets redacted
+   */
+  getConfig(req, res) {
+    res.json(redactConfig(this.config));
+  }
+
+  /**
+   * List users with filters, sorting and cursor pagination
+   */
+  async listUsers(req, res) {
+    const { sort, order, limit, cursor, includeTotal } = req.query;
+    const filters = buildUserFilters(req.query);
+
+    let where = filters;
+    if (cursor) {
+      where = { [Op.and]: [filters, buildCursorCondition(parseCursor(cursor, sort, order), sort, order)] };
+    }
+
+    const direction = order.toUpperCase();
+    const orderBy = sort === 'id' ? [['id', direction]] : [[sort, direction], ['id', direction]];
+
+    // Fetch one extra row to know whether another page exists
+    const rows = await this.dbCircuitBreaker.fire(async () => {
+      return await getUser().findAll({ where, order: orderBy, limit: limit + 1 });
+    }, 'admin_list_users');
+
+    const total = includeTotal
+      ? await this.dbCircuitBreaker.fire(async () => {
+        return await getUser().count({ where: filters });
+      }, 'admin_count_users')
+      : null;
+
+    const hasMore = rows.length > limit;
+    const page = rows.slice(0, limit);
+    const last = page[page.length - 1];
+    const nextCursor = hasMore
+      ? encodeCursor({ sort, order, value: last[sort] instanceof Date ? last[sort].toISOString() : last[sort], id: last.id })
+      : null;
+
+    res.json({
+      data: page.map(toAdminView),
+      pagination: { limit, total, hasMore, nextCursor }
+    });
+  }
+
+  /**
+   * Get a user's account details, including moderation fields
+   */
+  async getUser(req, res) {
+    const user = await this.dbCircuitBreaker.fire(async () => {
+      return await getUser().findByPk(req.params.id);
+    }, 'admin_find_user_by_id');
+
+    if (!user) throw userNotFound();
+
+    setCacheHeaders(res, userValidators(user, 'admin'), PRIVATE_CACHE_CONTROL);
+    res.json(toAdminView(user));
+  }
+
+  /**
+   * Change a user's role.
+   * The user's existing tokens are revoked so the new role applies immediately.
+   */
+  async updateUserRole(req, res) {
+    const userId = req.params.id;
+    const { role } = req.body;
+
+    // Keeps an admin from locking themselves (possibly the last admin) out
+    if (userId === req.user.id) {
+      throw new BadRequestError('You cannot change your own role', { code: 'cannot_change_own_role' });
+    }
+
+    const [updated] = await this.dbCircuitBreaker.fire(async () => {
+      return await getUser().update({ role }, { where: { id: userId } });
+    }, 'update_user_role');
+
+    if (updated === 0) throw userNotFound();
+    await invalidateUserCache(req.redisCache, userId);
+
+    await this.tokenStore.revokeUserTokensBefore(userId, Date.now(), this.refreshTokenTtlSeconds)
+      .catch((err) => { throw sessionsNotRevoked('Role updated', err); });
+    log.info('User role changed', { actorId: req.user.id, userId, role });
+
+    res.json({ message: 'Role updated', role });
+  }
+
+  /**
+   * Suspend or reactivate a user.
+   * Only users with a lower role can be changed, so a moderator can't lock out
+   * an admin or another moderator. Suspending revokes the user's existing tokens.
+   */
+  async updateUserStatus(req, res) {
+    const userId = req.params.id;
+    const { status } = req.body;
+
+    if (userId === req.user.id) {
+      throw new BadRequestError('You cannot change your own status', { code: 'cannot_change_own_status' });
+    }
+
+    const user = await this.dbCircuitBreaker.fire(async () => {
+      return await getUser().findByPk(userId);
+    }, 'admin_find_user_by_id');
+
+    if (!user) throw userNotFound();
+
+    if (!outranks(req.user.role, user.role)) {
+      throw new ForbiddenError('You cannot change the status of a user with an equal or higher role', {
+        code: 'insufficient_role'
+      });
+    }
+
+    await this.dbCircuitBreaker.fire(async () => {
+      user.status = status;
+      return await user.save();
+    }, 'update_user_status');
+
+    await invalidateUserCache(req.redisCache, userId);
+
+    if (status === 'suspended') {
+      await this.tokenStore.revokeUserTokensBefore(userId, Date.now(), this.refreshTokenTtlSeconds)
+        .catch((err) => { throw sessionsNotRevoked('Status updated', err); });
+    }
+    log.info('User status changed', { actorId: req.user.id, userId, status });
+
+    res.json({ message: 'Status updated', status });
+  }
+}
+
+module.exports = AdminController;
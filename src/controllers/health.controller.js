@@ -1,59 +1,221 @@
 const { getSequelize } = require('../config/database');
+const { getMigrationStatus } = require('../config/migrations');
+const { version } = require('../../package.json');
+
+// Dependency and overall statuses, from best to worst
+const STATUS_OK = 'ok';
+const STATUS_DEGRADED = 'degraded';
+const STATUS_UNAVAILABLE = 'unavailable';
+
+const REDIS_DOWN_IMPACT = 'Caching disabled; features that keep state in Redis (token revocation, login throttling) may refuse requests';
+
+/**
+ * Run a check with a time limit and measure it
+ * @param {Function} check - Async check, rejects on failure
+ * @param {number} timeoutMs - Time limit in milliseconds
+ * @returns {Promise<object>} { ok, latencyMs, error }
+ */
+async function timedCheck(check, timeoutMs) {
+  const start = process.hrtime.bigint();
+  let timer;
+
+  try {
+    await Promise.race([
+      check(),
+      new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+      })
+    ]);
+    return { ok: true, latencyMs: elapsedMs(start) };
+  } catch (err) {
+    return { ok: false, latencyMs: elapsedMs(start), error: err.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Milliseconds since a process.hrtime.bigint() reading
+ * @param {bigint} start - Start time
+ * @returns {number} Elapsed milliseconds, rounded to 0.1ms
+ */
+function elapsedMs(start) {
+  return Math.round(Number(process.hrtime.bigint() - start) / 1e5) / 10;
+}
+
+/**
+ * Describe a circuit breaker's state
+ * @param {CircuitBreaker} breaker - opossum circuit breaker
+ * @returns {string} 'closed', 'open' or 'half-open'
+ */
+function breakerState(breaker) {
+  if (breaker.opened) return 'open';
+  if (breaker.halfOpen) return 'half-open';
+  return 'closed';
+}
+
+/**
+ * Connection pool usage of a Sequelize instance
+ * @param {Sequelize} sequelize - Connected Sequelize instance
+ * @returns {object|null} { size, available, using, waiting, max, min }, or null without a pool
+ */
+function poolStats(sequelize) {
+  const pool = sequelize.connectionManager && sequelize.connectionManager.pool;
+  if (!pool || typeof pool.size !== 'number') return null;
+
+  return {
+    size: pool.size,
+    available: pool.available,
+    using: pool.using,
+    waiting: pool.waiting,
+    max: pool.maxSize,
+    min: pool.minSize
+  };
+}
+
+/**
+ * Worst of several statuses
+ * @param {string[]} statuses - Dependency statuses
+ * @returns {string} Overall status
+ */
+function overallStatus(statuses) {
+  if (statuses.includes(STATUS_UNAVAILABLE)) return STATUS_UNAVAILABLE;
+  if (statuses.includes(STATUS_DEGRADED)) return STATUS_DEGRADED;
+  return STATUS_OK;
+}
 
 class HealthController {
-  constructor(dbCircuitBreaker) {
+  constructor(dbCircuitBreaker, redisCache, shutdown, config) {
     this.dbCircuitBreaker = dbCircuitBreaker;
+    this.redisCache = redisCache;
+    this.shutdown = shutdown;
+    this.checkTimeoutMs = config.health.checkTimeoutMs;
+    this.build = config.build;
   }
 
   /**
    * Test endpoint
    */
   testEndpoint(req, res) {
-    res.send('User service is running');
+    res.type('text').send('User service is running');
+  }
+
+  /**
+   * Ping the database. Without a connection the service can't serve traffic.
+   * @returns {Promise<object>} { status, latencyMs, error }
+   */
+  async checkDatabase() {
+    const sequelize = getSequelize();
+    if (!sequelize) {
+      return { status: STATUS_UNAVAILABLE, error: 'Not connected' };
+    }
+
+    const { ok, latencyMs, error } = await timedCheck(() => sequelize.authenticate(), this.checkTimeoutMs);
+    return ok ? { status: STATUS_OK, latencyMs } : { status: STATUS_UNAVAILABLE, latencyMs, error };
+  }
+
+  /**
+   * Ping Redis. The service keeps working without it, so failures degrade it.
+   * @returns {Promise<object>} { status, latencyMs, error, impact }
+   */
+  async checkRedis() {
+    // Tests run without Redis on purpose
+    if (this.redisCache.testMode) {
+      return { status: STATUS_OK, mode: 'disabled' };
+    }
+
+    const { ok, latencyMs, error } = await timedCheck(() => this.redisCache.ping(), this.checkTimeoutMs);
+    return ok
+      ? { status: STATUS_OK, latencyMs }
+      : { status: STATUS_DEGRADED, latencyMs, error, impact: REDIS_DOWN_IMPACT };
+  }
+
+  /**
+   * Liveness: the process is up and its event loop responds.
+   * Checks no dependencies, so an outage elsewhere doesn't get the pod restarted.
+   */
+  live(req, res) {
+    res.json({ status: STATUS_OK, uptime: process.uptime() });
+  }
+
+  /**
+   * Readiness: whether the service can serve traffic right now.
+   * 503 when the database is unreachable; 200 with status 'degraded' when
+   * only Redis is, since requests still succeed without the cache.
+   * Always 503 once shutdown has started, so the load balancer stops routing here.
+   */
+  async ready(req, res) {
+    if (this.shutdown && this.shutdown.shuttingDown) {
+      return res.status(503).json({ status: STATUS_UNAVAILABLE, reason: 'Shutting down' });
+    }
+
+    const [database, redis] = await Promise.all([this.checkDatabase(), this.checkRedis()]);
+    const status = overallStatus([database.status, redis.status]);
+
+    res.status(status === STATUS_UNAVAILABLE ? 503 : 200).json({
+      status,
+      checks: { database: database.status, redis: redis.status }
+    });
   }
 
   /**
-   * Comprehensive health check endpoint
+   * Detailed dependency report for operators: latency, circuit breaker state,
+   * pool usage, migration status and build info. Same status code as readiness.
    */
-  async checkHealth(req, res) {
+  async details(req, res) {
+    const [database, redis, migrations] = await Promise.all([
+      this.checkDatabase(),
+      this.checkRedis(),
+      this.migrationDetails()
+    ]);
+
     const sequelize = getSequelize();
-    const healthcheck = {
+    database.dialect = sequelize ? sequelize.getDialect() : null;
+    database.circuitBreaker = breakerState(this.dbCircuitBreaker);
+    database.pool = sequelize ? poolStats(sequelize) : null;
+    database.migrations = migrations;
+
+    redis.circuitBreaker = breakerState(this.redisCache.circuitBreaker);
+    if (this.redisCache.local) {
+      redis.localTierEntries = this.redisCache.local.size;
+    }
+
+    const status = overallStatus([database.status, redis.status]);
+
+    res.status(status === STATUS_UNAVAILABLE ? 503 : 200).json({
+      status,
+      timestamp: new Date().toISOString(),
       uptime: process.uptime(),
-      message: 'OK',
-      timestamp: Date.now(),
-      dbConnection: sequelize ? 'connected' : 'disconnected',
-      redisConnection: req.redisCache && req.redisCache.connected ? 'connected' : 'disconnected'
-    };
+      dependencies: { database, redis },
+      build: {
+        version,
+        commit: this.build.commit,
+        builtAt: this.build.time,
+        node: process.version
+      }
+    });
+  }
+
+  /**
+   * Applied and pending migrations
+   * @returns {Promise<object>} { status, executed, pending } or { status, error }
+   */
+  async migrationDetails() {
+    const sequelize = getSequelize();
+    // The mock database has no schema to migrate
+    if (!sequelize || typeof sequelize.getQueryInterface !== 'function') {
+      return { status: 'unknown' };
+    }
 
     try {
-      await this.dbCircuitBreaker.fire(async () => {
-        await sequelize.authenticate();
-        return true;
-      }, 'health_check');
-      healthcheck.dbPing = 'successful';
-      
-      // Check Redis connection
-      if (req.redisCache) {
-        if (!req.redisCache.connected) {
-          try {
-            await req.redisCache.connect();
-            healthcheck.redisPing = 'successful';
-          } catch (redisError) {
-            healthcheck.redisPing = 'failed';
-            healthcheck.redisError = redisError.message;
-          }
-        } else {
-          healthcheck.redisPing = 'successful';
-        }
-      } else {
-        healthcheck.redisPing = 'not configured';
-      }
-      
-      res.status(200).json(healthcheck);
-    } catch (error) {
-      healthcheck.message = error.message;
-      healthcheck.dbPing = 'failed';
-      res.status(503).json(healthcheck);
+      const { executed, pending } = await getMigrationStatus(sequelize);
+      return {
+        status: pending.length === 0 ? 'current' : 'pending',
+        executed: executed.length,
+        pending
+      };
+    } catch (err) {
+      return { status: 'unknown', error: err.message };
     }
   }
 }
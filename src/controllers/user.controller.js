@@ -1,109 +1,227 @@
-const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
 const { getUser } = require('../config/database');
+const { DEFAULT_ROLE } = require('../config/roles');
+const { DEFAULT_STATUS } = require('../config/user-statuses');
+const { hashPassword, verifyPassword } = require('../utils/password');
+const {
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  TooManyRequestsError,
+  UnauthorizedError
+} = require('../utils/errors');
+const { invalidateUserCache } = require('../utils/cache-tags');
+const { sessionsNotRevoked } = require('../utils/token-store');
+const { PUBLIC_CACHE_CONTROL, userValidators, setCacheHeaders } = require('../utils/http-cache');
+const { logger } = require('../utils/logger');
+const metrics = require('../utils/metrics');
+
+const log = logger.child({ component: 'users' });
+
+/**
+ * Hash a password reset secret for storage.
+ * The secret is random and high-entropy, so a fast hash is enough to keep a
+ * leaked database row from being usable as a reset link.
+ * @param {string} secret - Reset token secret
+ * @returns {string} Hex encoded SHA-256 digest
+ */
+function hashResetSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * Escape a string for interpolation into HTML email bodies
+ * @param {string} value - Untrusted text
+ * @returns {string} HTML-safe text
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const userNotFound = () => new NotFoundError('User not found', { code: 'user_not_found' });
+const invalidCredentials = () => new BadRequestError('Invalid credentials', { code: 'invalid_credentials' });
+const accountSuspended = () => new ForbiddenError('Account suspended', { code: 'account_suspended' });
+const invalidRefreshToken = () => new UnauthorizedError('Invalid refresh token', { code: 'refresh_token_invalid' });
+const invalidVerificationLink = () => new BadRequestError('Invalid verification link', { code: 'verification_link_invalid' });
+
+/**
+ * Map a unique email violation to a conflict; other errors pass through
+ * @param {Error} err - Error from creating or updating a user
+ * @returns {Error} Error to throw
+ */
+function emailConflict(err) {
+  if (err.name === 'SequelizeUniqueConstraintError') {
+    return new ConflictError('Email already in use', { code: 'email_in_use', cause: err });
+  }
+  return err;
+}
 
 class UserController {
-  constructor(dbCircuitBreaker) {
+  constructor(dbCircuitBreaker, tokenStore, mailer, loginThrottle, config) {
     this.dbCircuitBreaker = dbCircuitBreaker;
-    this.JWT_SECRET = process.env.JWT_SECRET || 'default-jwt-secret-for-development';
-    
-    if (!process.env.JWT_SECRET && process.env.NODE_ENV === 'production') {
-      console.warn('WARNING: Using default JWT_SECRET in production environment!');
-    }
+    this.tokenStore = tokenStore;
+    this.mailer = mailer;
+    this.loginThrottle = loginThrottle;
+    // Production refuses to start with the development secret (see config/config.js)
+    this.JWT_SECRET = config.auth.jwtSecret;
+    this.accessTokenTtl = config.auth.accessTokenTtl;
+    this.refreshTokenTtlSeconds = config.auth.refreshTokenTtlSeconds;
+    this.emailVerificationTtl = config.auth.emailVerificationTtl;
+    this.requireEmailVerification = config.auth.requireEmailVerification;
+    this.passwordResetTtlMinutes = config.auth.passwordResetTtlMinutes;
+    this.passwordResetUrl = config.auth.passwordResetUrl;
+    this.appBaseUrl = config.server.appBaseUrl;
+  }
+
+  /**
+   * Sign a new access/refresh token pair
+   * @param {object} user - Authenticated user
+   * @param {string} [familyId] - Refresh token family to continue, a new one is started if omitted
+   * @returns {object} Access and refresh tokens
+   */
+  issueTokens(user, familyId = crypto.randomUUID()) {
+    const userId = user.id;
+
+    // Sub-second iat so a "revoked before" timestamp set at the same second
+    // as a new login doesn't also revoke the fresh token
+    const iat = Date.now() / 1000;
+
+    const accessToken = jwt.sign(
+      { userId, role: user.role || DEFAULT_ROLE, iat },
+      this.JWT_SECRET,
+      { expiresIn: this.accessTokenTtl, jwtid: crypto.randomUUID() }
+    );
+
+    const refreshToken = jwt.sign(
+      { userId, type: 'refresh', family: familyId, iat },
+      this.JWT_SECRET,
+      { expiresIn: this.refreshTokenTtlSeconds, jwtid: crypto.randomUUID() }
+    );
+
+    return { accessToken, refreshToken };
+  }
+
+  /**
+   * Email a signed, expiring verification link to a user
+   * @param {object} user - User whose address should be verified
+   */
+  async sendVerificationEmail(user) {
+    // Binding the email into the token invalidates old links when the address changes
+    const token = jwt.sign(
+      { userId: user.id, email: user.email, type: 'email-verification' },
+      this.JWT_SECRET,
+      { expiresIn: this.emailVerificationTtl }
+    );
+    const link = `${this.appBaseUrl}/v1/auth/verify-email?token=${encodeURIComponent(token)}`;
+
+    await this.mailer.sendMail({
+      to: user.email,
+      subject: 'Confirm your CineRate email address',
+      text: `Hi ${user.name},\n\nPlease confirm your email address by opening this link:\n${link}\n\nThe link expires in ${this.emailVerificationTtl}.`,
+      html: `<p>Hi ${escapeHtml(user.name)},</p><p>Please confirm your email address by opening <a href="${link}">this link</a>.</p><p>The link expires in ${this.emailVerificationTtl}.</p>`
+    });
   }
 
   /**
    * Get user by ID
    */
   async getUserById(req, res) {
+    // Validated and converted to a number by the route schema
     const userId = req.params.id;
-    if (!userId) return res.status(400).send('No user ID provided');
-    
-    // Validate that userId is a number to prevent SQL errors
-    if (isNaN(parseInt(userId))) {
-      return res.status(400).json({ error: 'Invalid user ID format. ID must be a number.' });
-    }
 
-    try {
-      const user = await this.dbCircuitBreaker.fire(async () => {
-        return await getUser().findByPk(parseInt(userId));
-      });
-      
-      if (!user) return res.status(404).send('User not found');
+    const user = await this.dbCircuitBreaker.fire(async () => {
+      return await getUser().findByPk(userId);
+    }, 'find_user_by_id');
 
-      res.json({ name: user.name, email: user.email });
-    } catch (err) {
-      console.error('Error fetching user:', err);
-      
-      // Improved error handling with specific messages for different error types
-      if (err.name === 'SequelizeDatabaseError') {
-        return res.status(400).json({ error: 'Database query error', details: err.message });
-      } else if (err.name === 'CircuitBreakerError') {
-        return res.status(503).json({ error: 'Service temporarily unavailable', details: 'Database connection issues' });
-      }
-      
-      res.status(500).send('Internal server error');
-    }
+    if (!user || user.deletedAt) throw userNotFound();
+
+    // Lets pollers revalidate and get a 304 instead of the full body
+    setCacheHeaders(res, userValidators(user, 'profile'), PUBLIC_CACHE_CONTROL);
+    res.json({ name: user.name, email: user.email });
   }
 
   /**
-   * Update user profile
+   * Update the authenticated user's profile.
+   * A new email address is unverified until the user opens the link sent to it.
    */
   async updateUser(req, res) {
-    const { userId, name, email } = req.body;
-    
-    try {
-      const [updated] = await this.dbCircuitBreaker.fire(async () => {
-        return await getUser().update(
-          { name, email },
-          { where: { id: userId } }
-        );
-      }, 'update_user');
-      
-      if (updated === 0) {
-        return res.status(404).send('User not found');
-      }
-      
-      // Invalidate user cache after update
-      if (req.redisCache) {
-        await req.redisCache.del(userId);
+    const userId = req.user.id;
+    const { name, email } = req.body;
+
+    const user = await this.dbCircuitBreaker.fire(async () => {
+      return await getUser().findByPk(userId);
+    }, 'find_user_by_id');
+
+    if (!user || user.deletedAt) throw userNotFound();
+
+    // Only touch the fields that were sent
+    const changes = {};
+    if (name !== undefined) changes.name = name;
+    const emailChanged = email !== undefined && email !== user.email;
+    if (emailChanged) {
+      changes.email = email;
+      changes.emailVerified = false;
+      changes.emailVerifiedAt = null;
+    }
+
+    await this.dbCircuitBreaker.fire(async () => {
+      Object.assign(user, changes);
+      return await user.save();
+    }, 'update_user').catch((err) => { throw emailConflict(err); });
+
+    // Invalidate user cache after update
+    await invalidateUserCache(req.redisCache, userId);
+
+    // The change is saved either way; a failed send can be retried via /resend-verification
+    if (emailChanged) {
+      try {
+        await this.sendVerificationEmail(user);
+      } catch (mailError) {
+        log.error('Failed to send verification email', { err: mailError });
       }
-      
-      res.json({ message: 'User updated' });
-    } catch (err) {
-      console.error('Error updating user:', err);
-      res.status(500).send('Internal server error');
     }
+
+    res.json({ message: 'User updated' });
   }
 
   /**
-   * Change user password
+   * Change the authenticated user's password
    */
   async changePassword(req, res) {
-    const { userId, oldPassword, newPassword } = req.body;
+    const userId = req.user.id;
+    const { oldPassword, newPassword } = req.body;
     
-    try {
-      const user = await this.dbCircuitBreaker.fire(async () => {
-        return await getUser().findByPk(userId);
-      });
-      
-      if (!user) return res.status(404).send('User not found');
+    const user = await this.dbCircuitBreaker.fire(async () => {
+      return await getUser().findByPk(userId);
+    }, 'find_user_by_id');
 
-      const isMatch = await bcrypt.compare(oldPassword, user.password);
-      if (!isMatch) return res.status(400).send('Invalid credentials');
+    if (!user || user.deletedAt) throw userNotFound();
 
-      const hashedPassword = await bcrypt.hash(newPassword, 10);
-      
-      await this.dbCircuitBreaker.fire(async () => {
-        user.password = hashedPassword;
-        return await user.save();
-      }, 'update_user_password');
+    const isMatch = await verifyPassword(oldPassword, user.password);
+    if (!isMatch) throw invalidCredentials();
 
-      res.json({ message: 'Password changed' });
-    } catch (err) {
-      console.error('Error changing password:', err);
-      res.status(500).send('Internal server error');
-    }
+    const hashedPassword = await hashPassword(newPassword);
+
+    await this.dbCircuitBreaker.fire(async () => {
+      user.password = hashedPassword;
+      return await user.save();
+    }, 'update_user_password');
+    metrics.passwordChanges.inc({ method: 'change' });
+    await invalidateUserCache(req.redisCache, userId);
+
+    // Log out every existing session, then hand the caller a fresh token pair
+    await this.tokenStore.revokeUserTokensBefore(userId, Date.now(), this.refreshTokenTtlSeconds)
+      .catch((err) => { throw sessionsNotRevoked('Password changed', err); });
+    const { accessToken, refreshToken } = this.issueTokens(user);
+
+    res.json({ message: 'Password changed', accessToken, refreshToken });
   }
 
   /**
@@ -112,33 +230,21 @@ class UserController {
   async signup(req, res) {
     const { email, password, name } = req.body;
     
+    const hashedPassword = await hashPassword(password);
+
+    const user = await this.dbCircuitBreaker.fire(async () => {
+      return await getUser().create({ email, password: hashedPassword, name, role: DEFAULT_ROLE, status: DEFAULT_STATUS, emailVerified: false });
+    }, 'create_user').catch((err) => { throw emailConflict(err); });
+    metrics.signups.inc();
+
+    // The account exists either way; a failed send can be retried via /resend-verification
     try {
-      const hashedPassword = await bcrypt.hash(password, 10);
-      
-      await this.dbCircuitBreaker.fire(async () => {
-        return await getUser().create({ email, password: hashedPassword, name });
-      }, 'create_user');
-      
-      res.status(201).json({ message: 'User created' });
-    } catch (error) {
-      if (error.name === 'SequelizeUniqueConstraintError') {
-        return res.status(400).json({ message: 'Email already in use' });
-      }
-      
-      // Enhanced error handling with more detailed responses
-      if (error.code === 'ETIMEDOUT') {
-        console.error('Database timeout error:', error);
-        return res.status(503).json({ message: 'Service temporarily unavailable. Please try again later.' });
-      }
-      
-      if (error.code === 'EOPENBREAKER') {
-        console.error('Circuit breaker open:', error);
-        return res.status(503).json({ message: 'Service temporarily unavailable due to database issues. Please try again later.' });
-      }
-      
-      console.error('Error creating user:', error);
-      res.status(500).send('Internal server error');
+      await this.sendVerificationEmail(user);
+    } catch (mailError) {
+      log.error('Failed to send verification email', { err: mailError });
     }
+
+    res.status(201).json({ message: 'User created' });
   }
 
   /**
@@ -146,24 +252,362 @@ class UserController {
    */
   async login(req, res) {
     const { email, password } = req.body;
+    const throttleKeys = this.loginThrottle.keysFor(email, req.ip);
     
+    // Throws ETHROTTLESTORE (503) when the throttle store is down and fails closed
+    const retryAfter = await this.loginThrottle.check(throttleKeys);
+    if (retryAfter > 0) {
+      metrics.loginFailures.inc({ reason: 'throttled' });
+      throw new TooManyRequestsError('Too many failed login attempts. Please try again later.', retryAfter, {
+        code: 'too_many_login_attempts'
+      });
+    }
+
+    const user = await this.dbCircuitBreaker.fire(async () => {
+      return await getUser().findOne({ where: { email } });
+    }, 'find_user_by_email');
+
+    // Deleted accounts log in like unknown ones
+    const isMatch = user && !user.deletedAt ? await verifyPassword(password, user.password) : false;
+    if (!isMatch) {
+      await this.loginThrottle.recordFailure(throttleKeys);
+      metrics.loginFailures.inc({ reason: 'invalid_credentials' });
+      throw invalidCredentials();
+    }
+
+    await this.loginThrottle.recordSuccess(throttleKeys);
+
+    if (user.status === 'suspended') {
+      metrics.loginFailures.inc({ reason: 'suspended' });
+      throw accountSuspended();
+    }
+
+    if (this.requireEmailVerification && !user.emailVerified) {
+      metrics.loginFailures.inc({ reason: 'unverified' });
+      throw new ForbiddenError('Email address not verified', { code: 'email_not_verified' });
+    }
+
+    const { accessToken, refreshToken } = this.issueTokens(user);
+    metrics.loginSuccesses.inc();
+
+    res.json({ accessToken, refreshToken, userId: user.id, name: user.name });
+  }
+
+  /**
+   * Exchange a refresh token for a new access/refresh token pair.
+   * Each refresh token is single-use; presenting one twice revokes its whole family.
+   */
+  async refreshToken(req, res) {
+    const { refreshToken } = req.body;
+
+    let payload;
     try {
-      const user = await this.dbCircuitBreaker.fire(async () => {
-        return await getUser().findOne({ where: { email } });
-      }, 'find_user_by_email');
-      
-      if (!user) return res.status(400).json({ message: 'Invalid credentials' });
+      payload = jwt.verify(refreshToken, this.JWT_SECRET);
+    } catch (err) {
+      if (err.name === 'TokenExpiredError') {
+        metrics.tokenRefreshes.inc({ outcome: 'expired' });
+        throw new UnauthorizedError('Refresh token expired', { code: 'refresh_token_expired' });
+      }
+      metrics.tokenRefreshes.inc({ outcome: 'invalid' });
+      throw invalidRefreshToken();
+    }
 
-      const isMatch = await bcrypt.compare(password, user.password);
-      if (!isMatch) return res.status(400).json({ message: 'Invalid credentials' });
+    if (payload.type !== 'refresh' || !payload.jti || !payload.family) {
+      metrics.tokenRefreshes.inc({ outcome: 'invalid' });
+      throw invalidRefreshToken();
+    }
 
-      const accessToken = jwt.sign({ userId: user.id }, this.JWT_SECRET, { expiresIn: '3h' });
+    const { revokedBefore } = await this.tokenStore.getRevocationState(payload.jti, payload.userId);
+    if (
+      (revokedBefore !== null && payload.iat * 1000 < revokedBefore) ||
+      await this.tokenStore.isFamilyRevoked(payload.family)
+    ) {
+      metrics.tokenRefreshes.inc({ outcome: 'revoked' });
+      throw new UnauthorizedError('Refresh token revoked', { code: 'refresh_token_revoked' });
+    }
 
-      res.json({ accessToken, userId: user.id, name: user.name });
+    // Load the user so the new access token carries their current role
+    const user = await this.dbCircuitBreaker.fire(async () => {
+      return await getUser().findByPk(payload.userId);
+    }, 'find_user_by_id');
+    if (!user || user.deletedAt) {
+      metrics.tokenRefreshes.inc({ outcome: 'invalid' });
+      throw invalidRefreshToken();
+    }
+    if (user.status === 'suspended') {
+      metrics.tokenRefreshes.inc({ outcome: 'suspended' });
+      throw accountSuspended();
+    }
+
+    const firstUse = await this.tokenStore.markRefreshTokenUsed(payload.jti, this.refreshTokenTtlSeconds);
+    if (!firstUse) {
+      // A rotated token came back: assume it leaked and cut off every token descended from it
+      await this.tokenStore.revokeFamily(payload.family, this.refreshTokenTtlSeconds);
+      log.warn('Refresh token reuse detected, family revoked', { userId: payload.userId, family: payload.family });
+      metrics.tokenRefreshes.inc({ outcome: 'reused' });
+      throw new UnauthorizedError('Refresh token reuse detected', { code: 'refresh_token_reused' });
+    }
+
+    metrics.tokenRefreshes.inc({ outcome: 'success' });
+    res.json(this.issueTokens(user, payload.family));
+  }
+
+  /**
+   * Log out the authenticated user.
+   * Revokes the presented access token and, if given, the refresh token's family.
+   * With `allDevices: true` every token issued to the user so far is revoked.
+   */
+  async logout(req, res) {
+    const { refreshToken, allDevices } = req.body;
+
+    if (allDevices === true) {
+      await this.tokenStore.revokeUserTokensBefore(req.user.id, Date.now(), this.refreshTokenTtlSeconds);
+    } else {
+      // Keep the entry only as long as the token itself would have stayed valid
+      const remainingSeconds = Math.max(req.user.tokenExpiresAt - Math.floor(Date.now() / 1000), 1);
+      await this.tokenStore.revokeAccessToken(req.user.tokenId, remainingSeconds);
+
+      if (refreshToken) {
+        let payload = null;
+        try {
+          payload = jwt.verify(refreshToken, this.JWT_SECRET, { ignoreExpiration: true });
+        } catch {
+          // An invalid refresh token can't be used anyway, nothing to revoke
+        }
+
+        if (payload && payload.type === 'refresh' && payload.userId === req.user.id && payload.family) {
+          await this.tokenStore.revokeFamily(payload.family, this.refreshTokenTtlSeconds);
+        }
+      }
+    }
+
+    res.json({ message: 'Logged out' });
+  }
+
+  /**
+   * Verify an email address from a signed link
+   */
+  async verifyEmail(req, res) {
+    const { token } = req.query;
+
+    let payload;
+    try {
+      payload = jwt.verify(token, this.JWT_SECRET);
     } catch (err) {
-      console.error('Error during login:', err);
-      res.status(500).send('Internal server error');
+      if (err.name === 'TokenExpiredError') {
+        throw new BadRequestError('Verification link expired', { code: 'verification_link_expired' });
+      }
+      throw invalidVerificationLink();
+    }
+
+    if (payload.type !== 'email-verification') {
+      throw invalidVerificationLink();
+    }
+
+    const user = await this.dbCircuitBreaker.fire(async () => {
+      return await getUser().findOne({ where: { id: payload.userId, deletedAt: null } });
+    }, 'find_user_by_id');
+
+    // The account was deleted or the address changed since the link was sent
+    if (!user || user.email !== payload.email) {
+      throw invalidVerificationLink();
+    }
+
+    if (user.emailVerified) {
+      return res.json({ message: 'Email already verified' });
     }
+
+    await this.dbCircuitBreaker.fire(async () => {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      return await user.save();
+    }, 'verify_user_email');
+    await invalidateUserCache(req.redisCache, user.id);
+
+    res.json({ message: 'Email verified' });
+  }
+
+  /**
+   * Resend the verification link.
+   * Always answers the same way so it can't be used to probe for registered emails.
+   */
+  async resendVerification(req, res) {
+    const { email } = req.body;
+
+    const user = await this.dbCircuitBreaker.fire(async () => {
+      return await getUser().findOne({ where: { email, deletedAt: null } });
+    }, 'find_user_by_email');
+
+    // A failed send must answer like an unknown email, or it would reveal the account
+    if (user && !user.emailVerified) {
+      try {
+        await this.sendVerificationEmail(user);
+      } catch (mailError) {
+        log.error('Failed to send verification email', { err: mailError });
+      }
+    }
+
+    res.json({ message: 'If the account exists and is unverified, a verification email has been sent' });
+  }
+
+  /**
+   * Start a password reset by emailing a single-use, time-limited link.
+   * Always answers the same way so it can't be used to probe for registered emails.
+   */
+  async forgotPassword(req, res) {
+    const { email } = req.body;
+
+    const user = await this.dbCircuitBreaker.fire(async () => {
+      return await getUser().findOne({ where: { email, deletedAt: null } });
+    }, 'find_user_by_email');
+
+    if (user) {
+      // Only a hash of the secret is stored; the user id lets us find the row
+      const secret = crypto.randomBytes(32).toString('hex');
+      const token = `${user.id}.${secret}`;
+
+      await this.dbCircuitBreaker.fire(async () => {
+        user.passwordResetTokenHash = hashResetSecret(secret);
+        user.passwordResetExpiresAt = new Date(Date.now() + this.passwordResetTtlMinutes * 60 * 1000);
+        return await user.save();
+      }, 'store_password_reset_token');
+      await invalidateUserCache(req.redisCache, user.id);
+
+      const url = new URL(this.passwordResetUrl);
+      url.searchParams.set('token', token);
+      const link = url.toString();
+      try {
+        await this.mailer.sendMail({
+          to: user.email,
+          subject: 'Reset your CineRate password',
+          text: `Hi ${user.name},\n\nYou can choose a new password by opening this link:\n${link}\n\nThe link expires in ${this.passwordResetTtlMinutes} minutes. If you didn't ask for a reset, you can ignore this email.`,
+          html: `<p>Hi ${escapeHtml(user.name)},</p><p>You can choose a new password by opening <a href="${link}">this link</a>.</p><p>The link expires in ${this.passwordResetTtlMinutes} minutes. If you didn't ask for a reset, you can ignore this email.</p>`
+        });
+      } catch (mailError) {
+        log.error('Failed to send password reset email', { err: mailError });
+      }
+    }
+
+    res.json({ message: 'If an account exists for that email, a password reset link has been sent' });
+  }
+
+  /**
+   * Set a new password using a reset token, then log out every existing session
+   */
+  async resetPassword(req, res) {
+    const { token, newPassword } = req.body;
+
+    // Token format (<userId>.<hex secret>) is checked by the route schema
+    const [userId, secret] = token.split('.');
+
+    const user = await this.dbCircuitBreaker.fire(async () => {
+      return await getUser().findOne({ where: { id: parseInt(userId), deletedAt: null } });
+    }, 'find_user_by_id');
+
+    // Deleted accounts match nothing, so a leftover token can't revive one during the grace period
+    const storedHash = user && user.passwordResetTokenHash;
+    const presentedHash = hashResetSecret(secret);
+    const isValid = storedHash &&
+      crypto.timingSafeEqual(Buffer.from(storedHash, 'hex'), Buffer.from(presentedHash, 'hex')) &&
+      new Date(user.passwordResetExpiresAt).getTime() > Date.now();
+
+    if (!isValid) {
+      throw new BadRequestError('Invalid or expired reset token', { code: 'reset_token_invalid' });
+    }
+
+    const hashedPassword = await hashPassword(newPassword);
+
+    // Clearing the hash makes the token single-use
+    await this.dbCircuitBreaker.fire(async () => {
+      user.password = hashedPassword;
+      user.passwordResetTokenHash = null;
+      user.passwordResetExpiresAt = null;
+      return await user.save();
+    }, 'reset_user_password');
+    metrics.passwordChanges.inc({ method: 'reset' });
+    await invalidateUserCache(req.redisCache, user.id);
+
+    // The password is reset either way; only revoking older sessions can fail here
+    await this.tokenStore.revokeUserTokensBefore(user.id, Date.now(), this.refreshTokenTtlSeconds)
+      .catch((err) => { throw sessionsNotRevoked('Password has been reset', err); });
+
+    res.json({ message: 'Password has been reset' });
+  }
+
+  /**
+   * Delete the authenticated user's account.
+   * The account is soft-deleted right away and purged after the grace period.
+   */
+  async deleteAccount(req, res) {
+    const userId = req.user.id;
+    const { password } = req.body;
+
+    const user = await this.dbCircuitBreaker.fire(async () => {
+      return await getUser().findByPk(userId);
+    }, 'find_user_by_id');
+
+    if (!user || user.deletedAt) throw userNotFound();
+
+    const isMatch = await verifyPassword(password, user.password);
+    if (!isMatch) throw invalidCredentials();
+
+    await this.dbCircuitBreaker.fire(async () => {
+      user.deletedAt = new Date();
+      user.passwordResetTokenHash = null;
+      user.passwordResetExpiresAt = null;
+      return await user.save();
+    }, 'soft_delete_user');
+
+    // Drop cached copies of the profile, including query-string variants
+    await invalidateUserCache(req.redisCache, userId);
+
+    // The account is deleted either way; its tokens stay valid only until they expire
+    await this.tokenStore.revokeUserTokensBefore(userId, Date.now(), this.refreshTokenTtlSeconds)
+      .catch((err) => { throw sessionsNotRevoked('Account deleted', err); });
+
+    res.json({ message: 'Account deleted' });
+  }
+
+  /**
+   * Export everything stored about the authenticated user as a JSON download
+   */
+  async exportAccount(req, res) {
+    const userId = req.user.id;
+
+    const user = await this.dbCircuitBreaker.fire(async () => {
+      return await getUser().findByPk(userId);
+    }, 'find_user_by_id');
+
+    if (!user || user.deletedAt) throw userNotFound();
+
+    const exportDocument = {
+      exportedAt: new Date().toISOString(),
+      service: 'user-service',
+      account: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        status: user.status,
+        emailVerified: Boolean(user.emailVerified),
+        emailVerifiedAt: user.emailVerifiedAt || null,
+        createdAt: user.createdAt || null,
+        updatedAt: user.updatedAt || null
+      },
+      security: {
+        passwordSet: Boolean(user.password),
+        passwordResetPending: Boolean(user.passwordResetTokenHash),
+        passwordResetExpiresAt: user.passwordResetExpiresAt || null
+      },
+      notes: [
+        'Your password is stored only as a one-way hash and is not included.',
+        'Session tokens and failed login counters are kept temporarily and expire on their own.'
+      ]
+    };
+
+    res.setHeader('Content-Disposition', `attachment; filename="cinerate-user-${user.id}-export.json"`);
+    res.setHeader('Cache-Control', 'no-store');
+    res.json(exportDocument);
   }
 }
 
@@ -0,0 +1,683 @@
+const { version } = require('../../package.json');
+const { ROLES } = require('../config/roles');
+const { USER_STATUSES } = require('../config/user-statuses');
+
+/**
+ * OpenAPI 3.1 description of the public user and health routes.
+ *
+ * Keep this in step with src/routes: test/openapi.test.js fails when a route
+ * is missing here, or when a response doesn't match its schema. Response
+ * objects set additionalProperties: false so new fields have to be documented.
+ */
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const response = (name) => ({ $ref: `#/components/responses/${name}` });
+
+/**
+ * A JSON response
+ * @param {string} description - Response description
+ * @param {object} schema - Body schema
+ * @param {object} [headers] - Response headers
+ * @returns {object} Response object
+ */
+function json(description, schema, headers) {
+  return { description, ...(headers && { headers }), content: { 'application/json': { schema } } };
+}
+
+/**
+ * A problem response (RFC 7807)
+ * @param {string} description - When it happens, with the error codes used
+ * @returns {object} Response object
+ */
+function problem(description) {
+  return { description, content: { 'application/problem+json': { schema: ref('Problem') } } };
+}
+
+/**
+ * A required JSON request body
+ * @param {object} schema - Body schema
+ * @returns {object} Request body object
+ */
+function body(schema) {
+  return { required: true, content: { 'application/json': { schema } } };
+}
+
+const messageResponse = (description) => json(description, ref('Message'));
+const bearerAuth = [{ bearerAuth: [] }];
+
+const healthStatus = { type: 'string', enum: ['ok', 'degraded', 'unavailable'] };
+const nullableString = { type: ['string', 'null'] };
+const nullableDateTime = { type: ['string', 'null'], format: 'date-time' };
+
+const schemas = {
+  Problem: {
+    type: 'object',
+    description: 'Error response (RFC 7807). Branch on `code`; `detail` is meant for people.',
+    required: ['type', 'title', 'status', 'detail', 'code', 'instance'],
+    properties: {
+      type: { type: 'string', const: 'about:blank' },
+      title: { type: 'string', description: 'HTTP reason phrase', examples: ['Not Found'] },
+      status: { type: 'integer', examples: [404] },
+      detail: { type: 'string', examples: ['User not found'] },
+      code: { type: 'string', description: 'Stable error code', examples: ['user_not_found'] },
+      instance: { type: 'string', description: 'Request path', examples: ['/42'] },
+      requestId: { type: 'string', description: 'Matches the X-Request-Id response header' },
+      errors: {
+        type: 'array',
+        description: 'Every invalid field (validation_failed only)',
+        items: ref('ValidationIssue')
+      },
+      retryAfter: { type: 'integer', description: 'Seconds until the next attempt is allowed (429 only)' }
+    },
+    additionalProperties: false
+  },
+  ValidationIssue: {
+    type: 'object',
+    required: ['location', 'field', 'message'],
+    properties: {
+      location: { type: 'string', enum: ['params', 'query', 'body'] },
+      field: { type: ['string', 'null'], examples: ['email'] },
+      message: { type: 'string', examples: ['"email" must be a valid email'] }
+    },
+    additionalProperties: false
+  },
+  Message: {
+    type: 'object',
+    required: ['message'],
+    properties: { message: { type: 'string' } },
+    additionalProperties: false
+  },
+  TokenPair: {
+    type: 'object',
+    required: ['accessToken', 'refreshToken'],
+    properties: {
+      accessToken: { type: 'string', description: 'JWT sent as `Authorization: Bearer <token>`' },
+      refreshToken: { type: 'string', description: 'Single-use JWT for POST /v1/auth/refresh' }
+    },
+    additionalProperties: false
+  },
+  Email: { type: 'string', format: 'email', maxLength: 254 },
+  NewPassword: {
+    type: 'string',
+    minLength: 8,
+    maxLength: 72,
+    description: 'At least one letter and one digit'
+  },
+  PublicProfile: {
+    type: 'object',
+    required: ['name', 'email'],
+    properties: {
+      name: { type: 'string' },
+      email: { type: 'string', format: 'email' }
+    },
+    additionalProperties: false
+  },
+  AccountExport: {
+    type: 'object',
+    required: ['exportedAt', 'service', 'account', 'security', 'notes'],
+    properties: {
+      exportedAt: { type: 'string', format: 'date-time' },
+      service: { type: 'string', const: 'user-service' },
+      account: {
+        type: 'object',
+        required: ['id', 'name', 'email', 'role', 'status', 'emailVerified', 'emailVerifiedAt', 'createdAt', 'updatedAt'],
+        properties: {
+          id: { type: 'integer' },
+          name: { type: 'string' },
+          email: { type: 'string', format: 'email' },
+          role: { type: 'string', enum: ROLES },
+          status: { type: 'string', enum: USER_STATUSES },
+          emailVerified: { type: 'boolean' },
+          emailVerifiedAt: nullableDateTime,
+          createdAt: nullableDateTime,
+          updatedAt: nullableDateTime
+        },
+        additionalProperties: false
+      },
+      security: {
+        type: 'object',
+        required: ['passwordSet', 'passwordResetPending', 'passwordResetExpiresAt'],
+        properties: {
+          passwordSet: { type: 'boolean' },
+          passwordResetPending: { type: 'boolean' },
+          passwordResetExpiresAt: nullableDateTime
+        },
+        additionalProperties: false
+      },
+      notes: { type: 'array', items: { type: 'string' } }
+    },
+    additionalProperties: false
+  },
+  Readiness: {
+    type: 'object',
+    required: ['status'],
+    properties: {
+      status: healthStatus,
+      checks: {
+        type: 'object',
+        required: ['database', 'redis'],
+        properties: { database: healthStatus, redis: healthStatus },
+        additionalProperties: false
+      },
+      reason: { type: 'string', description: 'Set while shutting down', examples: ['Shutting down'] }
+    },
+    additionalProperties: false
+  },
+  BreakerState: { type: 'string', enum: ['closed', 'open', 'half-open'] },
+  HealthDetails: {
+    type: 'object',
+    required: ['status', 'timestamp', 'uptime', 'dependencies', 'build'],
+    properties: {
+      status: healthStatus,
+      timestamp: { type: 'string', format: 'date-time' },
+      uptime: { type: 'number', description: 'Seconds since the process started' },
+      dependencies: {
+        type: 'object',
+        required: ['database', 'redis'],
+        properties: {
+          database: {
+            type: 'object',
+            required: ['status', 'dialect', 'circuitBreaker', 'pool', 'migrations'],
+            properties: {
+              status: healthStatus,
+              latencyMs: { type: 'number' },
+              error: { type: 'string' },
+              dialect: { type: ['string', 'null'], examples: ['postgres'] },
+              circuitBreaker: ref('BreakerState'),
+              pool: {
+                type: ['object', 'null'],
+                properties: {
+                  size: { type: 'integer' },
+                  available: { type: 'integer' },
+                  using: { type: 'integer' },
+                  waiting: { type: 'integer' },
+                  max: { type: 'integer' },
+                  min: { type: 'integer' }
+                },
+                additionalProperties: false
+              },
+              migrations: {
+                type: 'object',
+                required: ['status'],
+                properties: {
+                  status: { type: 'string', enum: ['current', 'pending', 'unknown'] },
+                  executed: { type: 'integer' },
+                  pending: { type: 'array', items: { type: 'string' } },
+                  error: { type: 'string' }
+                },
+                additionalProperties: false
+              }
+            },
+            additionalProperties: false
+          },
+          redis: {
+            type: 'object',
+            required: ['status', 'circuitBreaker'],
+            properties: {
+              status: healthStatus,
+              mode: { type: 'string', const: 'disabled', description: 'Redis is not used (tests)' },
+              latencyMs: { type: 'number' },
+              error: { type: 'string' },
+              impact: { type: 'string', description: 'What is affected while Redis is down' },
+              circuitBreaker: ref('BreakerState'),
+              localTierEntries: { type: 'integer', description: 'Entries in the in-process cache' }
+            },
+            additionalProperties: false
+          }
+        },
+        additionalProperties: false
+      },
+      build: {
+        type: 'object',
+        required: ['version', 'commit', 'builtAt', 'node'],
+        properties: {
+          version: { type: 'string' },
+          commit: nullableString,
+          builtAt: nullableString,
+          node: { type: 'string', examples: ['v20.11.1'] }
+        },
+        additionalProperties: false
+      }
+    },
+    additionalProperties: false
+  }
+};
+
+const responses = {
+  ValidationFailed: problem('Invalid request (`validation_failed`, with every invalid field in `errors`)'),
+  Unauthorized: {
+    ...problem('Missing, invalid, expired or revoked access token (`token_missing`, `token_invalid`, `token_expired`, `token_revoked`)'),
+    headers: {
+      'WWW-Authenticate': { description: 'Bearer challenge (RFC 6750)', schema: { type: 'string' } }
+    }
+  },
+  ServiceUnavailable: problem('The database or Redis is unavailable (`dependency_unavailable`). Retry later.'),
+  SessionsNotRevoked: problem(
+    'The change was saved, but older sessions could not be logged out (`session_revocation_failed`), ' +
+    'or a dependency is unavailable (`dependency_unavailable`)'
+  )
+};
+
+// Operations of the /v1 paths; the pre-v1 paths are aliases of the same ones
+const operations = {
+  signup: {
+    tags: ['Authentication'],
+    summary: 'Create an account',
+    description: 'Sends a verification email. Login may require a verified address, depending on configuration.',
+    requestBody: body({
+      type: 'object',
+      required: ['email', 'password', 'name'],
+      properties: {
+        email: ref('Email'),
+        password: ref('NewPassword'),
+        name: { type: 'string', minLength: 1, maxLength: 100 }
+      }
+    }),
+    responses: {
+      201: messageResponse('Account created'),
+      400: response('ValidationFailed'),
+      409: problem('The email address is already registered (`email_in_use`)'),
+      503: response('ServiceUnavailable')
+    }
+  },
+  login: {
+    tags: ['Authentication'],
+    summary: 'Log in with email and password',
+    requestBody: body({
+      type: 'object',
+      required: ['email', 'password'],
+      properties: {
+        email: ref('Email'),
+        password: { type: 'string', minLength: 1 }
+      }
+    }),
+    responses: {
+      200: json('Logged in', {
+        type: 'object',
+        required: ['accessToken', 'refreshToken', 'userId', 'name'],
+        properties: {
+          accessToken: { type: 'string' },
+          refreshToken: { type: 'string' },
+          userId: { type: 'integer' },
+          name: { type: 'string' }
+        },
+        additionalProperties: false
+      }),
+      400: problem('Invalid request (`validation_failed`) or wrong email or password (`invalid_credentials`)'),
+      403: problem('The account is suspended (`account_suspended`) or its email is unverified (`email_not_verified`)'),
+      429: {
+        ...problem('Too many failed attempts for this account or IP (`too_many_login_attempts`)'),
+        headers: {
+          'Retry-After': { description: 'Seconds until the next attempt is allowed', schema: { type: 'integer' } }
+        }
+      },
+      503: response('ServiceUnavailable')
+    }
+  },
+  refreshToken: {
+    tags: ['Authentication'],
+    summary: 'Exchange a refresh token for a new token pair',
+    description: 'Refresh tokens are single-use. Presenting one twice revokes every token descended from the same login.',
+    requestBody: body({
+      type: 'object',
+      required: ['refreshToken'],
+      properties: { refreshToken: { type: 'string' } }
+    }),
+    responses: {
+      200: json('New token pair', ref('TokenPair')),
+      400: response('ValidationFailed'),
+      401: problem(
+        'The refresh token is invalid, expired, revoked or was already used ' +
+        '(`refresh_token_invalid`, `refresh_token_expired`, `refresh_token_revoked`, `refresh_token_reused`)'
+      ),
+      403: problem('The account is suspended (`account_suspended`)'),
+      503: response('ServiceUnavailable')
+    }
+  },
+  verifyEmail: {
+    tags: ['Authentication'],
+    summary: 'Confirm an email address',
+    description: 'Target of the link sent at signup.',
+    parameters: [{ name: 'token', in: 'query', required: true, schema: { type: 'string' } }],
+    responses: {
+      200: messageResponse('Verified, or already verified'),
+      400: problem('Invalid request (`validation_failed`) or link (`verification_link_invalid`, `verification_link_expired`)'),
+      503: response('ServiceUnavailable')
+    }
+  },
+  resendVerification: {
+    tags: ['Authentication'],
+    summary: 'Send a new verification link',
+    description: 'Answers the same way whether or not the account exists.',
+    requestBody: body({
+      type: 'object',
+      required: ['email'],
+      properties: { email: ref('Email') }
+    }),
+    responses: {
+      200: messageResponse('Sent if the account exists and is unverified'),
+      400: response('ValidationFailed'),
+      503: response('ServiceUnavailable')
+    }
+  },
+  forgotPassword: {
+    tags: ['Authentication'],
+    summary: 'Request a password reset link',
+    description: 'Answers the same way whether or not the account exists.',
+    requestBody: body({
+      type: 'object',
+      required: ['email'],
+      properties: { email: ref('Email') }
+    }),
+    responses: {
+      200: messageResponse('Sent if the account exists'),
+      400: response('ValidationFailed'),
+      503: response('ServiceUnavailable')
+    }
+  },
+  resetPasswordPage: {
+    tags: ['Authentication'],
+    summary: 'Password reset form',
+    description: 'Where reset emails link to unless PASSWORD_RESET_URL is set. Submits to POST /v1/auth/reset-password.',
+    parameters: [{ name: 'token', in: 'query', schema: { type: 'string' } }],
+    responses: {
+      200: { description: 'HTML form', content: { 'text/html': { schema: { type: 'string' } } } }
+    }
+  },
+  resetPassword: {
+    tags: ['Authentication'],
+    summary: 'Set a new password with a reset token',
+    description: 'Logs out every existing session.',
+    requestBody: body({
+      type: 'object',
+      required: ['token', 'newPassword'],
+      properties: {
+        token: { type: 'string', pattern: '^\\d+\\.[0-9a-f]+$' },
+        newPassword: ref('NewPassword')
+      }
+    }),
+    responses: {
+      200: messageResponse('Password reset'),
+      400: problem('Invalid request (`validation_failed`) or token (`reset_token_invalid`)'),
+      503: response('SessionsNotRevoked')
+    }
+  },
+  updateUser: {
+    tags: ['Account'],
+    summary: "Update the caller's profile",
+    description: 'A new email address is unverified until the user opens the verification link sent to it.',
+    security: bearerAuth,
+    requestBody: body({
+      type: 'object',
+      minProperties: 1,
+      properties: {
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        email: ref('Email')
+      }
+    }),
+    responses: {
+      200: messageResponse('Updated'),
+      400: response('ValidationFailed'),
+      401: response('Unauthorized'),
+      404: problem('The account no longer exists (`user_not_found`)'),
+      409: problem('The email address is already registered (`email_in_use`)'),
+      503: response('ServiceUnavailable')
+    }
+  },
+  changePassword: {
+    tags: ['Account'],
+    summary: "Change the caller's password",
+    description: 'Logs out every existing session and returns a new token pair for the caller.',
+    security: bearerAuth,
+    requestBody: body({
+      type: 'object',
+      required: ['oldPassword', 'newPassword'],
+      properties: {
+        oldPassword: { type: 'string', minLength: 1 },
+        newPassword: ref('NewPassword')
+      }
+    }),
+    responses: {
+      200: json('Password changed', {
+        type: 'object',
+        required: ['message', 'accessToken', 'refreshToken'],
+        properties: {
+          message: { type: 'string' },
+          accessToken: { type: 'string' },
+          refreshToken: { type: 'string' }
+        },
+        additionalProperties: false
+      }),
+      400: problem('Invalid request (`validation_failed`) or wrong current password (`invalid_credentials`)'),
+      401: response('Unauthorized'),
+      404: problem('The account no longer exists (`user_not_found`)'),
+      503: response('SessionsNotRevoked')
+    }
+  },
+  logout: {
+    tags: ['Account'],
+    summary: 'Log out',
+    description: 'Revokes the access token and, if given, the refresh token. With `allDevices`, revokes every token issued so far.',
+    security: bearerAuth,
+    requestBody: {
+      content: {
+        'application/json': {
+          schema: {
+            type: 'object',
+            properties: {
+              refreshToken: { type: 'string' },
+              allDevices: { type: 'boolean' }
+            }
+          }
+        }
+      }
+    },
+    responses: {
+      200: messageResponse('Logged out'),
+      400: response('ValidationFailed'),
+      401: response('Unauthorized'),
+      503: response('ServiceUnavailable')
+    }
+  },
+  exportAccount: {
+    tags: ['Account'],
+    summary: 'Download everything stored about the caller',
+    security: bearerAuth,
+    responses: {
+      200: json('Account data, sent as a file download', ref('AccountExport'), {
+        'Content-Disposition': { schema: { type: 'string' } }
+      }),
+      401: response('Unauthorized'),
+      404: problem('The account no longer exists (`user_not_found`)'),
+      503: response('ServiceUnavailable')
+    }
+  },
+  deleteAccount: {
+    tags: ['Account'],
+    summary: "Delete the caller's account",
+    description: 'The account is deactivated right away and purged after the grace period. Logs out every session.',
+    security: bearerAuth,
+    requestBody: body({
+      type: 'object',
+      required: ['password'],
+      properties: { password: { type: 'string', minLength: 1 } }
+    }),
+    responses: {
+      200: messageResponse('Account deleted'),
+      400: problem('Invalid request (`validation_failed`) or wrong password (`invalid_credentials`)'),
+      401: response('Unauthorized'),
+      404: problem('The account no longer exists (`user_not_found`)'),
+      503: response('SessionsNotRevoked')
+    }
+  },
+  getUserById: {
+    tags: ['Users'],
+    summary: 'Public profile',
+    description: 'Cached. Supports conditional requests with If-None-Match and If-Modified-Since. ' +
+      'While the database is unavailable, a recently cached copy may be served instead of an error.',
+    parameters: [{ name: 'id', in: 'path', required: true, schema: { type: 'integer', minimum: 1 } }],
+    responses: {
+      200: json('Profile', ref('PublicProfile'), {
+        ETag: { schema: { type: 'string' } },
+        'Last-Modified': { schema: { type: 'string' } },
+        'Cache-Control': { schema: { type: 'string' } },
+        'X-Cache': {
+          description: 'Where the response came from',
+          schema: { type: 'string', enum: ['HIT', 'MISS', 'STALE', 'COALESCED'] }
+        }
+      }),
+      304: { description: 'Not modified since the validators the client sent' },
+      400: response('ValidationFailed'),
+      404: problem('No such user, or the account was deleted (`user_not_found`)'),
+      503: response('ServiceUnavailable')
+    }
+  },
+  testEndpoint: {
+    tags: ['Health'],
+    summary: 'Smoke test',
+    responses: {
+      200: { description: 'The service is running', content: { 'text/plain': { schema: { type: 'string' } } } }
+    }
+  },
+  live: {
+    tags: ['Health'],
+    summary: 'Liveness probe',
+    description: 'Checks no dependencies.',
+    responses: {
+      200: json('The process is up', {
+        type: 'object',
+        required: ['status', 'uptime'],
+        properties: {
+          status: { type: 'string', const: 'ok' },
+          uptime: { type: 'number' }
+        },
+        additionalProperties: false
+      })
+    }
+  },
+  ready: {
+    tags: ['Health'],
+    summary: 'Readiness probe',
+    description: 'Ready (possibly `degraded`) while the database answers, even without Redis.',
+    responses: {
+      200: json('Ready to serve traffic', ref('Readiness')),
+      503: json('The database is unreachable, or the service is shutting down', ref('Readiness'))
+    }
+  },
+  readyLegacy: {
+    tags: ['Health'],
+    summary: 'Readiness probe (legacy path)',
+    description: 'Same as /health/ready.',
+    responses: {
+      200: json('Ready to serve traffic', ref('Readiness')),
+      503: json('The database is unreachable, or the service is shutting down', ref('Readiness'))
+    }
+  },
+  healthDetails: {
+    tags: ['Health'],
+    summary: 'Dependency report for operators',
+    description: 'Latency, circuit breaker state, pool usage, migrations and build info. Requires the `health:read` permission (admins).',
+    security: bearerAuth,
+    responses: {
+      200: json('Ready (possibly degraded)', ref('HealthDetails')),
+      401: response('Unauthorized'),
+      403: problem('The caller lacks the `health:read` permission (`insufficient_permissions`)'),
+      503: json('The database is unreachable', ref('HealthDetails'))
+    }
+  }
+};
+
+const DEPRECATION_HEADERS = {
+  Deprecation: { description: 'When the path was deprecated (RFC 9745), e.g. `@1792368000`', schema: { type: 'string' } },
+  Sunset: { description: 'When the path will be removed (RFC 8594)', schema: { type: 'string' } },
+  Link: { description: 'The replacing /v1 path (`rel="successor-version"`)', schema: { type: 'string' } }
+};
+
+/**
+ * A deprecated pre-v1 alias of an operation. Its responses carry the
+ * Deprecation, Sunset and Link headers (see deprecation.middleware.js).
+ * @param {object} operation - The /v1 operation
+ * @param {string} successor - Method and path of the /v1 operation
+ * @param {string} [note] - How the alias differs from its successor
+ * @returns {object} Operation object
+ */
+function legacy(operation, successor, note) {
+  const legacyResponses = Object.fromEntries(Object.entries(operation.responses).map(([status, documented]) => {
+    const resolved = documented.$ref ? responses[documented.$ref.split('/').pop()] : documented;
+    return [status, { ...resolved, headers: { ...resolved.headers, ...DEPRECATION_HEADERS } }];
+  }));
+
+  return {
+    ...operation,
+    tags: ['Legacy'],
+    deprecated: true,
+    description: [`Deprecated: use \`${successor}\`.`, note, operation.description].filter(Boolean).join(' '),
+    responses: legacyResponses
+  };
+}
+
+const paths = {
+  '/v1/auth/signup': { post: operations.signup },
+  '/v1/auth/login': { post: operations.login },
+  '/v1/auth/refresh': { post: operations.refreshToken },
+  '/v1/auth/logout': { post: operations.logout },
+  '/v1/auth/verify-email': { get: operations.verifyEmail },
+  '/v1/auth/resend-verification': { post: operations.resendVerification },
+  '/v1/auth/forgot-password': { post: operations.forgotPassword },
+  '/v1/auth/reset-password': { get: operations.resetPasswordPage, post: operations.resetPassword },
+  '/v1/users/me': { patch: operations.updateUser, delete: operations.deleteAccount },
+  '/v1/users/me/password': { post: operations.changePassword },
+  '/v1/users/me/export': { get: operations.exportAccount },
+  '/v1/users/{id}': { get: operations.getUserById },
+
+  '/test': { get: operations.testEndpoint },
+  '/health/live': { get: operations.live },
+  '/health/ready': { get: operations.ready },
+  '/health': { get: operations.readyLegacy },
+  '/health/details': { get: operations.healthDetails },
+
+  '/signup': { post: legacy(operations.signup, 'POST /v1/auth/signup') },
+  '/login': { post: legacy(operations.login, 'POST /v1/auth/login') },
+  '/token/refresh': { post: legacy(operations.refreshToken, 'POST /v1/auth/refresh') },
+  '/verify-email': { get: legacy(operations.verifyEmail, 'GET /v1/auth/verify-email') },
+  '/resend-verification': { post: legacy(operations.resendVerification, 'POST /v1/auth/resend-verification') },
+  '/forgot-password': { post: legacy(operations.forgotPassword, 'POST /v1/auth/forgot-password') },
+  '/reset-password': { post: legacy(operations.resetPassword, 'POST /v1/auth/reset-password') },
+  '/update': { post: legacy(operations.updateUser, 'PATCH /v1/users/me') },
+  '/change-password': { post: legacy(operations.changePassword, 'POST /v1/users/me/password') },
+  '/logout': { post: legacy(operations.logout, 'POST /v1/auth/logout') },
+  '/me/export': { get: legacy(operations.exportAccount, 'GET /v1/users/me/export') },
+  '/me': { delete: legacy(operations.deleteAccount, 'DELETE /v1/users/me') },
+  '/{id}': { get: legacy(operations.getUserById, 'GET /v1/users/{id}', 'Matches numeric IDs only.') }
+};
+
+const openApiDocument = {
+  openapi: '3.1.0',
+  info: {
+    title: 'CineRate user service',
+    version,
+    description: 'Accounts, authentication and public profiles.\n\n' +
+      'Errors are `application/problem+json` (RFC 7807) with a stable `code`. ' +
+      'Any operation may also answer 500 (`internal_error`). ' +
+      'Every response carries an `X-Request-Id` header; send one to correlate requests.\n\n' +
+      'The pre-v1 paths (tagged Legacy) still work but are deprecated: their responses carry ' +
+      '`Deprecation`, `Sunset` and `Link` headers pointing to the /v1 replacement.'
+  },
+  tags: [
+    { name: 'Authentication', description: 'Signup, login, tokens, email verification and password reset' },
+    { name: 'Account', description: "The caller's own account" },
+    { name: 'Users', description: 'Public profiles' },
+    { name: 'Health', description: 'Probes and diagnostics' },
+    { name: 'Legacy', description: 'Deprecated pre-v1 paths' }
+  ],
+  paths,
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+    },
+    schemas,
+    responses
+  }
+};
+
+module.exports = openApiDocument;
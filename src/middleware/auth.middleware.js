@@ -0,0 +1,113 @@
+const jwt = require('jsonwebtoken');
+const { DEFAULT_ROLE } = require('../config/roles');
+const { DependencyUnavailableError, UnauthorizedError } = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'auth' });
+
+/**
+ * Extract a bearer token from the Authorization header
+ * @param {object} req - Express request
+ * @returns {string|null} Raw token or null when absent
+ */
+function extractBearerToken(req) {
+  const header = req.headers.authorization;
+  if (!header) return null;
+
+  const [scheme, token] = header.split(' ');
+  if (!scheme || scheme.toLowerCase() !== 'bearer' || !token) return null;
+
+  return token;
+}
+
+/**
+ * 401 error with the matching WWW-Authenticate challenge (RFC 6750)
+ * @param {string} message - Client-facing message
+ * @param {string} code - Stable error code
+ * @param {string} [challenge='Bearer error="invalid_token"'] - WWW-Authenticate value
+ * @returns {UnauthorizedError} Error to pass to next()
+ */
+function tokenError(message, code, challenge = 'Bearer error="invalid_token"') {
+  return new UnauthorizedError(message, { code, headers: { 'WWW-Authenticate': challenge } });
+}
+
+/**
+ * Check a verified token against the server-side revocation list
+ * @param {object} tokenStore - Token store holding revocation state
+ * @param {object} payload - Verified JWT payload
+ * @returns {Promise<boolean>} True if the token has been revoked
+ */
+async function isTokenRevoked(tokenStore, payload) {
+  const { tokenRevoked, revokedBefore } = await tokenStore.getRevocationState(payload.jti, payload.userId);
+  if (tokenRevoked) return true;
+
+  // iat is in seconds (possibly fractional), revokedBefore in milliseconds
+  return revokedBefore !== null && payload.iat * 1000 < revokedBefore;
+}
+
+/**
+ * Create JWT authentication middleware
+ * @param {string} jwtSecret - Secret used to sign access tokens
+ * @param {object} tokenStore - Token store holding revocation state
+ * @param {object} [options] - Middleware options
+ * @param {string} [options.revocationFailMode='open'] - 'open' accepts otherwise valid tokens while the
+ *   revocation list is unreachable, 'closed' rejects the request with 503
+ * @returns {Function} Express middleware that requires a valid access token
+ */
+function createAuthMiddleware(jwtSecret, tokenStore, options = {}) {
+  const revocationFailMode = options.revocationFailMode === 'closed' ? 'closed' : 'open';
+
+  return async (req, res, next) => {
+    const token = extractBearerToken(req);
+
+    if (!token) {
+      return next(tokenError('Authentication token missing', 'token_missing', 'Bearer'));
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(token, jwtSecret);
+    } catch (err) {
+      if (err.name === 'TokenExpiredError') {
+        return next(tokenError('Authentication token expired', 'token_expired',
+          'Bearer error="invalid_token", error_description="The access token expired"'));
+      }
+
+      return next(tokenError('Invalid authentication token', 'token_invalid'));
+    }
+
+    // Refresh and email tokens are signed with the same secret but carry a
+    // type claim; only untyped access tokens grant access
+    if (payload.type) {
+      return next(tokenError('Invalid authentication token', 'token_invalid'));
+    }
+
+    try {
+      if (await isTokenRevoked(tokenStore, payload)) {
+        return next(tokenError('Authentication token revoked', 'token_revoked',
+          'Bearer error="invalid_token", error_description="The access token has been revoked"'));
+      }
+    } catch (err) {
+      if (err.code !== 'ETOKENSTORE') return next(err);
+
+      if (revocationFailMode === 'closed') {
+        log.error('Revocation list unavailable, rejecting request', { err });
+        return next(new DependencyUnavailableError(undefined, { cause: err }));
+      }
+
+      // Fail open: the token is still signed and unexpired, only revocation can't be checked
+      log.warn('Revocation list unavailable, accepting token without revocation check');
+    }
+
+    // Expose the caller's identity to downstream handlers
+    req.user = {
+      id: payload.userId,
+      role: payload.role || DEFAULT_ROLE,
+      tokenId: payload.jti,
+      tokenExpiresAt: payload.exp
+    };
+    next();
+  };
+}
+
+module.exports = createAuthMiddleware;
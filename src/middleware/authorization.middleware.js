@@ -0,0 +1,47 @@
+const { hasPermission } = require('../config/roles');
+const { ForbiddenError, UnauthorizedError } = require('../utils/errors');
+
+/**
+ * Require the authenticated user to have one of the given roles.
+ * Must run after the authentication middleware.
+ * @param {...string} roles - Accepted roles
+ * @returns {Function} Express middleware
+ */
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(new UnauthorizedError('Authentication token missing', { code: 'token_missing' }));
+    }
+
+    if (!roles.includes(req.user.role)) {
+      return next(new ForbiddenError('Insufficient permissions', { code: 'insufficient_permissions' }));
+    }
+
+    next();
+  };
+}
+
+/**
+ * Require the authenticated user's role to grant every given permission.
+ * Must run after the authentication middleware.
+ * @param {...string} permissions - Required permissions
+ * @returns {Function} Express middleware
+ */
+function requirePermission(...permissions) {
+  return (req, res, next) => {
+    if (!req.user) {
+      return next(new UnauthorizedError('Authentication token missing', { code: 'token_missing' }));
+    }
+
+    if (!permissions.every(permission => hasPermission(req.user.role, permission))) {
+      return next(new ForbiddenError('Insufficient permissions', { code: 'insufficient_permissions' }));
+    }
+
+    next();
+  };
+}
+
+module.exports = {
+  requireRole,
+  requirePermission
+};
@@ -1,13 +1,19 @@
 const RedisCache = require('../utils/redis-cache');
+const { getConfig } = require('../config/config');
 
 /**
  * Create and initialize Redis cache middleware
+ * @param {object} [options] - Cache configuration ({ ttlSeconds, local }), defaults to the configured one
  * @returns {object} Redis cache middleware
  */
-function createCacheMiddleware() {
+function createCacheMiddleware(options = getConfig().cache) {
+  // In-process tier in front of Redis; CACHE_LOCAL_MAX_ENTRIES=0 turns it off
+  const { maxEntries, ttlSeconds } = options.local;
+
   const redisCache = new RedisCache({
     prefix: 'user-service:',
-    ttl: 3600 // 1 hour default TTL
+    ttl: options.ttlSeconds,
+    local: maxEntries > 0 ? { maxEntries, ttl: ttlSeconds } : null
   });
 
   return {
@@ -19,8 +25,8 @@ function createCacheMiddleware() {
       next();
     },
     
-    // Cache middleware for routes
-    cacheRoute: (ttl) => redisCache.cacheMiddleware(ttl)
+    // Cache middleware for routes; options.tags(req) lists the entities a response contains
+    cacheRoute: (ttl, options) => redisCache.cacheMiddleware(ttl, options)
   };
 }
 
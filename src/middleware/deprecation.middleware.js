@@ -0,0 +1,31 @@
+const routeTemplate = require('../utils/route-template');
+const { legacyApiRequests } = require('../utils/metrics');
+
+/**
+ * Create a factory for middleware that marks a route as deprecated.
+ * Responses announce when the route was deprecated (Deprecation, RFC 9745),
+ * when it goes away (Sunset, RFC 8594) and what replaces it (Link), and
+ * each request is counted in legacy_api_requests_total so we know who still
+ * needs to move before the sunset.
+ * @param {object} options - { deprecatedAt, sunsetAt } as Dates
+ * @returns {Function} (successor) => Express middleware, where successor is
+ * the replacing path template, e.g. '/v1/users/:id'
+ */
+function createDeprecationMiddleware({ deprecatedAt, sunsetAt }) {
+  const deprecation = `@${Math.floor(deprecatedAt.getTime() / 1000)}`;
+  const sunset = sunsetAt.toUTCString();
+
+  return (successor) => (req, res, next) => {
+    const successorPath = successor.replace(/:(\w+)/g, (match, name) =>
+      (req.params[name] !== undefined ? encodeURIComponent(req.params[name]) : match));
+
+    res.setHeader('Deprecation', deprecation);
+    res.setHeader('Sunset', sunset);
+    res.setHeader('Link', `<${successorPath}>; rel="successor-version", </docs>; rel="deprecation"`);
+
+    legacyApiRequests.inc({ route: routeTemplate(req) || 'unmatched' });
+    next();
+  };
+}
+
+module.exports = createDeprecationMiddleware;
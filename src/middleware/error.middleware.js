@@ -1,9 +1,100 @@
+const {
+  BaseError: SequelizeBaseError,
+  ConnectionError: SequelizeConnectionError,
+  ForeignKeyConstraintError,
+  TimeoutError: SequelizeTimeoutError,
+  UniqueConstraintError,
+  ValidationError: SequelizeValidationError
+} = require('sequelize');
+const {
+  AppError,
+  BadRequestError,
+  ConflictError,
+  DependencyUnavailableError,
+  NotFoundError,
+  ValidationError
+} = require('../utils/errors');
+const { logger } = require('../utils/logger');
+
+const log = logger.child({ component: 'http' });
+
+// Circuit breaker (opossum) and store errors that mean a dependency is unavailable
+const UNAVAILABLE_CODES = ['EOPENBREAKER', 'ETIMEDOUT', 'ESEMLOCKED', 'ETOKENSTORE', 'ETHROTTLESTORE'];
+
+/**
+ * Map any error to an AppError. Errors that aren't AppErrors keep nothing of
+ * their message: it may contain SQL, hostnames or stack details.
+ * @param {Error} err - Error passed to next() or thrown by a handler
+ * @returns {AppError} Client-safe error
+ */
+function toAppError(err) {
+  if (err instanceof AppError) return err;
+
+  if (UNAVAILABLE_CODES.includes(err.code)) {
+    return new DependencyUnavailableError(undefined, { cause: err });
+  }
+
+  // UniqueConstraintError extends Sequelize's ValidationError, so check it first
+  if (err instanceof UniqueConstraintError || err instanceof ForeignKeyConstraintError) {
+    return new ConflictError('The request conflicts with existing data', { cause: err });
+  }
+  if (err instanceof SequelizeValidationError) {
+    return new ValidationError([], { cause: err });
+  }
+  if (err instanceof SequelizeConnectionError || err instanceof SequelizeTimeoutError) {
+    return new DependencyUnavailableError(undefined, { cause: err });
+  }
+  if (err instanceof SequelizeBaseError) {
+    return new AppError('An unexpected error occurred', { cause: err });
+  }
+
+  // Body parser errors: malformed JSON, bodies over the size limit, ...
+  if (err.type === 'entity.parse.failed') {
+    return new BadRequestError('Request body is not valid JSON', { code: 'malformed_json', cause: err });
+  }
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return new AppError(err.message, { status: err.status, code: 'bad_request', cause: err });
+  }
+
+  return new AppError('An unexpected error occurred', { cause: err });
+}
+
 /**
- * Global error handling middleware
+ * Answer requests no route matched
+ */
+function notFoundMiddleware(req, res, next) {
+  next(new NotFoundError(`No route for ${req.method} ${req.path}`, { code: 'route_not_found' }));
+}
+
+/**
+ * Global error handling middleware. Renders every error as an RFC 7807
+ * application/problem+json response with a stable `code`.
  */
 function errorMiddleware(err, req, res, next) {
-  console.error('Express error:', err.stack || err);
-  res.status(500).json({ message: 'Internal Server Error', error: err.message });
+  const error = toAppError(err);
+
+  if (error.status >= 500) {
+    log.error('Request failed', { err: error.cause || err, code: error.code });
+  }
+
+  for (const [name, value] of Object.entries(error.headers)) {
+    res.setHeader(name, value);
+  }
+
+  res.status(error.status).type('application/problem+json').json({
+    ...error.extensions,
+    type: 'about:blank',
+    title: error.title,
+    status: error.status,
+    detail: error.message,
+    code: error.code,
+    instance: req.originalUrl,
+    requestId: req.id
+  });
 }
 
-module.exports = errorMiddleware;
+module.exports = {
+  errorMiddleware,
+  notFoundMiddleware,
+  toAppError
+};
@@ -1,5 +1,6 @@
 const promClient = require('prom-client');
 const promBundle = require('express-prom-bundle');
+const routeTemplate = require('../utils/route-template');
 
 /**
  * Create and configure Prometheus metrics middleware
@@ -9,6 +10,9 @@ function createMetricsMiddleware() {
   return promBundle({
     includeMethod: true,
     includePath: true,
+    // Label by route template ('/:id', not '/42'); unmatched paths share one
+    // label so scanners probing random URLs can't create new series
+    normalizePath: (req) => routeTemplate(req) || 'unmatched',
     includeStatusCode: true,
     includeUp: true,
     customLabels: { service: 'user-service' },
@@ -0,0 +1,43 @@
+const crypto = require('crypto');
+const { logger, runWithContext } = require('../utils/logger');
+
+// Incoming IDs are echoed back and logged, so only accept short, plain ones
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+const log = logger.child({ component: 'http' });
+
+/**
+ * Create middleware that gives every request an ID and logs its outcome.
+ * The ID comes from an incoming X-Request-Id header or is generated, is
+ * echoed back in the response, and is attached to every log line written
+ * while the request is handled.
+ * @returns {Function} Express middleware
+ */
+function createRequestContextMiddleware() {
+  return (req, res, next) => {
+    const incoming = req.get('X-Request-Id');
+    const requestId = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+
+    req.id = requestId;
+    res.setHeader('X-Request-Id', requestId);
+
+    const startTime = process.hrtime.bigint();
+    res.on('finish', () => {
+      const durationMs = Number(process.hrtime.bigint() - startTime) / 1e6;
+      const level = res.statusCode >= 500 ? 'error' : 'info';
+
+      // Logged outside the request's async context, so pass the ID explicitly
+      log.log(level, 'Request completed', {
+        requestId,
+        method: req.method,
+        path: req.originalUrl.split('?')[0],
+        status: res.statusCode,
+        durationMs: Math.round(durationMs * 10) / 10
+      });
+    });
+
+    runWithContext({ requestId }, next);
+  };
+}
+
+module.exports = createRequestContextMiddleware;
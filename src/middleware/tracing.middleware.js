@@ -0,0 +1,59 @@
+const { context, propagation, trace, ROOT_CONTEXT, SpanKind, SpanStatusCode } = require('@opentelemetry/api');
+const { getTracer } = require('../config/tracing');
+const { runWithContext } = require('../utils/logger');
+const routeTemplate = require('../utils/route-template');
+
+/**
+ * Create middleware that opens a server span per request.
+ * An incoming W3C traceparent header makes the span part of the caller's
+ * trace; the trace ID is also added to the request's log lines.
+ * @returns {Function} Express middleware
+ */
+function createTracingMiddleware() {
+  return (req, res, next) => {
+    const parentContext = propagation.extract(ROOT_CONTEXT, req.headers);
+    const span = getTracer().startSpan(req.method, {
+      kind: SpanKind.SERVER,
+      attributes: {
+        'http.request.method': req.method,
+        'url.path': req.path,
+        'request.id': req.id
+      }
+    }, parentContext);
+
+    let ended = false;
+    const endSpan = () => {
+      if (ended) return;
+      ended = true;
+
+      // The matched route is only known once routing is done
+      const route = routeTemplate(req);
+      if (route) {
+        span.setAttribute('http.route', route);
+        span.updateName(`${req.method} ${route}`);
+      }
+
+      // 'close' without 'finish': the client went away before the response was sent
+      if (!res.writableFinished) {
+        span.setAttribute('http.request.aborted', true);
+        span.setStatus({ code: SpanStatusCode.ERROR, message: 'Request aborted' });
+      } else {
+        span.setAttribute('http.response.status_code', res.statusCode);
+        if (res.statusCode >= 500) {
+          span.setStatus({ code: SpanStatusCode.ERROR });
+        }
+      }
+      span.end();
+    };
+
+    res.on('finish', endSpan);
+    res.on('close', endSpan);
+
+    const { traceId, spanId } = span.spanContext();
+    context.with(trace.setSpan(parentContext, span), () => {
+      runWithContext({ traceId, spanId }, next);
+    });
+  };
+}
+
+module.exports = createTracingMiddleware;
@@ -0,0 +1,53 @@
+const { ValidationError } = require('../utils/errors');
+
+const REQUEST_PARTS = ['params', 'query', 'body'];
+
+/**
+ * Create request validation middleware
+ * @param {object} schema - Joi schemas keyed by request part ({ params, query, body })
+ * @returns {Function} Express middleware that validates and sanitizes the request
+ */
+function validate(schema) {
+  // Label each part so object-level errors read e.g. '"body" must contain ...'
+  const parts = REQUEST_PARTS
+    .filter(part => schema[part])
+    .map(part => [part, schema[part].label(part)]);
+
+  return (req, res, next) => {
+    const errors = [];
+    const sanitized = {};
+
+    for (const [part, partSchema] of parts) {
+      const { error, value } = partSchema.validate(req[part] || {}, {
+        abortEarly: false,   // Report every invalid field, not just the first
+        stripUnknown: true,  // Drop fields the route doesn't know about
+        convert: true
+      });
+
+      if (error) {
+        for (const detail of error.details) {
+          errors.push({
+            location: part,
+            field: detail.path.join('.') || null,
+            message: detail.message
+          });
+        }
+      } else {
+        sanitized[part] = value;
+      }
+    }
+
+    if (errors.length > 0) {
+      return next(new ValidationError(errors));
+    }
+
+    for (const [part, value] of Object.entries(sanitized)) {
+      // req.query is a getter in Express 5, so shadow it instead of assigning
+      Object.defineProperty(req, part, { value, writable: true, configurable: true, enumerable: true });
+    }
+
+    next();
+  };
+}
+
+module.exports = validate;
@@ -0,0 +1,49 @@
+const { DataTypes } = require('sequelize');
+
+/**
+ * Baseline: the Users table as sequelize.sync() used to create it.
+ * Databases created before migrations existed already have it, so it's only
+ * created when missing.
+ */
+module.exports = {
+  async up({ context: queryInterface }) {
+    const tables = await queryInterface.showAllTables();
+    if (tables.map(table => (typeof table === 'string' ? table : table.tableName)).includes('Users')) {
+      return;
+    }
+
+    await queryInterface.createTable('Users', {
+      id: {
+        type: DataTypes.INTEGER,
+        autoIncrement: true,
+        primaryKey: true,
+        allowNull: false
+      },
+      email: {
+        type: DataTypes.STRING,
+        allowNull: false,
+        unique: true
+      },
+      password: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      name: {
+        type: DataTypes.STRING,
+        allowNull: false
+      },
+      createdAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      },
+      updatedAt: {
+        type: DataTypes.DATE,
+        allowNull: false
+      }
+    });
+  },
+
+  async down({ context: queryInterface }) {
+    await queryInterface.dropTable('Users');
+  }
+};
@@ -0,0 +1,83 @@
+const { DataTypes } = require('sequelize');
+
+// Columns added for roles, moderation, email verification, password resets and account deletion
+const columns = {
+  role: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'user'
+  },
+  status: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    defaultValue: 'active'
+  },
+  emailVerified: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  emailVerifiedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  passwordResetTokenHash: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  passwordResetExpiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  deletedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  anonymizedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+};
+
+const indexes = [
+  { name: 'users_created_at_id', fields: ['createdAt', 'id'] },
+  { name: 'users_role', fields: ['role'] },
+  { name: 'users_status', fields: ['status'] },
+  { name: 'users_deleted_at', fields: ['deletedAt'] }
+];
+
+module.exports = {
+  async up({ context: queryInterface }) {
+    // Skip columns that a sync() of a newer model may already have created
+    const existing = await queryInterface.describeTable('Users');
+
+    for (const [name, definition] of Object.entries(columns)) {
+      if (!existing[name]) {
+        await queryInterface.addColumn('Users', name, definition);
+      }
+    }
+
+    // Accounts from before verification existed count as verified, so turning
+    // on REQUIRE_EMAIL_VERIFICATION doesn't lock them out
+    if (!existing.emailVerified) {
+      await queryInterface.bulkUpdate('Users', { emailVerified: true, emailVerifiedAt: new Date() }, {});
+    }
+
+    const existingIndexes = (await queryInterface.showIndex('Users')).map(index => index.name);
+    for (const index of indexes) {
+      if (!existingIndexes.includes(index.name)) {
+        await queryInterface.addIndex('Users', index.fields, { name: index.name });
+      }
+    }
+  },
+
+  async down({ context: queryInterface }) {
+    for (const index of indexes) {
+      await queryInterface.removeIndex('Users', index.name);
+    }
+
+    for (const name of Object.keys(columns)) {
+      await queryInterface.removeColumn('Users', name);
+    }
+  }
+};
@@ -0,0 +1,15 @@
+// Keyset pagination for the admin user listing sorted by name
+const INDEX_NAME = 'users_name_id';
+
+module.exports = {
+  async up({ context: queryInterface }) {
+    const existingIndexes = (await queryInterface.showIndex('Users')).map(index => index.name);
+    if (!existingIndexes.includes(INDEX_NAME)) {
+      await queryInterface.addIndex('Users', ['name', 'id'], { name: INDEX_NAME });
+    }
+  },
+
+  async down({ context: queryInterface }) {
+    await queryInterface.removeIndex('Users', INDEX_NAME);
+  }
+};
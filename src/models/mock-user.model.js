@@ -1,3 +1,105 @@
+const { Op } = require('sequelize');
+
+/**
+ * Normalize a value for comparison (dates compare by timestamp)
+ * @param {*} value - Attribute or query value
+ * @returns {*} Comparable value
+ */
+const comparable = (value) => (value instanceof Date ? value.getTime() : value);
+
+/**
+ * Convert a SQL LIKE pattern to a regular expression
+ * @param {string} pattern - LIKE pattern using % and _ wildcards and \ escapes
+ * @param {boolean} caseInsensitive - Whether to match like ILIKE
+ * @returns {RegExp} Equivalent regular expression
+ */
+const likeToRegExp = (pattern, caseInsensitive) => {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\' && i + 1 < pattern.length) {
+      source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    } else if (char === '%') {
+      source += '.*';
+    } else if (char === '_') {
+      source += '.';
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, caseInsensitive ? 'si' : 's');
+};
+
+/**
+ * Check an attribute value against a Sequelize condition
+ * @param {*} value - Attribute value
+ * @param {*} condition - Plain value or object of Op operators
+ * @returns {boolean} True if the value satisfies the condition
+ */
+const matchesCondition = (value, condition) => {
+  if (condition === null || typeof condition !== 'object' || condition instanceof Date || Array.isArray(condition)) {
+    if (Array.isArray(condition)) return condition.some(item => comparable(item) === comparable(value));
+    return comparable(value) === comparable(condition) || (condition === null && value === undefined);
+  }
+
+  return Object.getOwnPropertySymbols(condition).every(op => {
+    const operand = condition[op];
+    switch (op) {
+    case Op.eq: return matchesCondition(value, operand);
+    case Op.ne: return !matchesCondition(value, operand);
+    case Op.in: return operand.some(item => comparable(item) === comparable(value));
+    case Op.gt: return value !== null && value !== undefined && comparable(value) > comparable(operand);
+    case Op.gte: return value !== null && value !== undefined && comparable(value) >= comparable(operand);
+    case Op.lt: return value !== null && value !== undefined && comparable(value) < comparable(operand);
+    case Op.lte: return value !== null && value !== undefined && comparable(value) <= comparable(operand);
+    case Op.like: return typeof value === 'string' && likeToRegExp(operand, false).test(value);
+    case Op.iLike: return typeof value === 'string' && likeToRegExp(operand, true).test(value);
+    case Op.notLike: return typeof value === 'string' && !likeToRegExp(operand, false).test(value);
+    case Op.is: return operand === null ? value === null || value === undefined : value === operand;
+    case Op.not: return operand === null ? value !== null && value !== undefined : !matchesCondition(value, operand);
+    case Op.and: return operand.every(item => matchesCondition(value, item));
+    case Op.or: return operand.some(item => matchesCondition(value, item));
+    default: throw new Error(`Mock User model does not support operator ${String(op)}`);
+    }
+  });
+};
+
+/**
+ * Check a user against a Sequelize where clause
+ * @param {object} user - Stored user
+ * @param {object} [where] - Where clause with attributes and Op.and / Op.or groups
+ * @returns {boolean} True if the user matches
+ */
+const matchesWhere = (user, where = {}) => {
+  const attributesMatch = Object.keys(where).every(key => matchesCondition(user[key], where[key]));
+  if (!attributesMatch) return false;
+
+  return Object.getOwnPropertySymbols(where).every(op => {
+    switch (op) {
+    case Op.and: return where[op].every(clause => matchesWhere(user, clause));
+    case Op.or: return where[op].some(clause => matchesWhere(user, clause));
+    default: throw new Error(`Mock User model does not support operator ${String(op)}`);
+    }
+  });
+};
+
+/**
+ * Compare two users by a Sequelize order clause
+ * @param {Array} order - List of [attribute, 'ASC' | 'DESC'] pairs
+ * @returns {Function} Comparator for Array.prototype.sort
+ */
+const compareByOrder = (order) => (a, b) => {
+  for (const [attribute, direction = 'ASC'] of order) {
+    const left = comparable(a[attribute]);
+    const right = comparable(b[attribute]);
+    if (left === right) continue;
+
+    const result = left < right ? -1 : 1;
+    return direction.toUpperCase() === 'DESC' ? -result : result;
+  }
+  return 0;
+};
+
 /**
  * Create a mock User model for testing
  * @returns {object} Mock User model
@@ -6,67 +108,71 @@ const createMockUserModel = () => {
   // Mock user data store for tests
   const mockUsers = [];
   let mockUserId = 1;
-  
+
+  // Add save method to a user object
+  const withSave = (user) => {
+    if (user) {
+      user.save = async () => {
+        const index = mockUsers.findIndex(u => u.id === user.id);
+        if (index >= 0) {
+          user.updatedAt = new Date();
+          mockUsers[index] = { ...user };
+          return user;
+        }
+        return null;
+      };
+    }
+    return user;
+  };
+
   // Create a mock User model
   const User = {
-    findAll: async () => mockUsers,
-    findOne: async (query) => {
-      let user = null;
-      if (query.where.id) {
-        user = mockUsers.find(user => user.id === query.where.id) || null;
-      } else if (query.where.email) {
-        user = mockUsers.find(user => user.email === query.where.email) || null;
+    findAll: async (query = {}) => {
+      let users = mockUsers.filter(user => matchesWhere(user, query.where));
+      if (query.order) {
+        users = [...users].sort(compareByOrder(query.order));
+      }
+      if (query.offset) {
+        users = users.slice(query.offset);
       }
-      
-      if (user) {
-        // Add save method to the user object
-        user.save = async () => {
-          const index = mockUsers.findIndex(u => u.id === user.id);
-          if (index >= 0) {
-            mockUsers[index] = { ...user };
-            return user;
-          }
-          return null;
-        };
+      if (query.limit !== undefined) {
+        users = users.slice(0, query.limit);
       }
-      return user;
+      return users;
+    },
+    count: async (query = {}) => mockUsers.filter(user => matchesWhere(user, query.where)).length,
+    findOne: async (query) => {
+      const user = mockUsers.find(user => matchesWhere(user, query.where)) || null;
+      return withSave(user);
     },
     findByPk: async (id) => {
       const user = mockUsers.find(user => user.id === parseInt(id)) || null;
-      if (user) {
-        // Add save method to the user object
-        user.save = async () => {
-          const index = mockUsers.findIndex(u => u.id === user.id);
-          if (index >= 0) {
-            mockUsers[index] = { ...user };
-            return user;
-          }
-          return null;
-        };
-      }
-      return user;
+      return withSave(user);
     },
     create: async (data) => {
-      const newUser = { ...data, id: mockUserId++ };
+      const now = new Date();
+      const newUser = { ...data, id: mockUserId++, createdAt: now, updatedAt: now };
       mockUsers.push(newUser);
       return newUser;
     },
     update: async (data, query) => {
-      const userIndex = mockUsers.findIndex(user => user.id === query.where.id);
-      if (userIndex >= 0) {
-        mockUsers[userIndex] = { ...mockUsers[userIndex], ...data };
-        return [1];  // Return 1 row affected
-      }
-      return [0];
+      let affected = 0;
+      mockUsers.forEach((user, index) => {
+        if (matchesWhere(user, query.where)) {
+          mockUsers[index] = { ...user, ...data, updatedAt: new Date() };
+          affected++;
+        }
+      });
+      return [affected];  // Return number of rows affected
     },
     destroy: async (query) => {
       const initialLength = mockUsers.length;
-      const userIndex = mockUsers.findIndex(user => user.id === query.where.id);
-      if (userIndex >= 0) {
-        mockUsers.splice(userIndex, 1);
-        return initialLength - mockUsers.length; // Return number of rows affected
+      for (let index = mockUsers.length - 1; index >= 0; index--) {
+        if (matchesWhere(mockUsers[index], query.where)) {
+          mockUsers.splice(index, 1);
+        }
       }
-      return 0;
+      return initialLength - mockUsers.length; // Return number of rows affected
     }
   };
 
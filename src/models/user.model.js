@@ -1,4 +1,6 @@
 const { DataTypes } = require('sequelize');
+const { ROLES, DEFAULT_ROLE } = require('../config/roles');
+const { USER_STATUSES, DEFAULT_STATUS } = require('../config/user-statuses');
 
 /**
  * Define User model
@@ -19,7 +21,58 @@ const defineUserModel = (sequelize) => {
     name: {
       type: DataTypes.STRING,
       allowNull: false
+    },
+    role: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: DEFAULT_ROLE,
+      validate: {
+        isIn: [ROLES]
+      }
+    },
+    status: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      defaultValue: DEFAULT_STATUS,
+      validate: {
+        isIn: [USER_STATUSES]
+      }
+    },
+    emailVerified: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false
+    },
+    emailVerifiedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    passwordResetTokenHash: {
+      type: DataTypes.STRING,
+      allowNull: true
+    },
+    passwordResetExpiresAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    // Set when the user deletes their account; purged after the grace period
+    deletedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    anonymizedAt: {
+      type: DataTypes.DATE,
+      allowNull: true
     }
+  }, {
+    indexes: [
+      // Keyset pagination for the admin user listing
+      { name: 'users_created_at_id', fields: ['createdAt', 'id'] },
+      { name: 'users_name_id', fields: ['name', 'id'] },
+      { name: 'users_role', fields: ['role'] },
+      { name: 'users_status', fields: ['status'] },
+      { name: 'users_deleted_at', fields: ['deletedAt'] }
+    ]
   });
 
   return User;
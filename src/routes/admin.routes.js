@@ -0,0 +1,35 @@
+const express = require('express');
+const validate = require('../middleware/validation.middleware');
+const { requirePermission } = require('../middleware/authorization.middleware');
+const schemas = require('../schemas/admin.schemas');
+
+/**
+ * Create admin routes. Every route requires a valid access token.
+ * @param {object} adminController - Admin controller instance
+ * @param {Function} requireAuth - Authentication middleware
+ * @returns {Router} Express router
+ */
+function createAdminRoutes(adminController, requireAuth) {
+  const router = express.Router();
+
+  router.use(requireAuth);
+
+  // List users with filters, sorting and cursor pagination (moderators and admins)
+  router.get('/users', requirePermission('users:read'), validate(schemas.listUsers), adminController.listUsers.bind(adminController));
+
+  // Get a user's account details (moderators and admins)
+  router.get('/users/:id', requirePermission('users:read'), validate(schemas.getUser), adminController.getUser.bind(adminController));
+
+  // Suspend or reactivate a user (moderators and admins)
+  router.patch('/users/:id/status', requirePermission('users:moderate'), validate(schemas.updateUserStatus), adminController.updateUserStatus.bind(adminController));
+
+  // Change a user's role (admins only)
+  router.patch('/users/:id/role', requirePermission('users:manage'), validate(schemas.updateUserRole), adminController.updateUserRole.bind(adminController));
+
+  // Effective configuration with secrets redacted (admins only)
+  router.get('/config', requirePermission('config:read'), adminController.getConfig.bind(adminController));
+
+  return router;
+}
+
+module.exports = createAdminRoutes;
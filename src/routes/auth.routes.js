@@ -0,0 +1,84 @@
+const express = require('express');
+const validate = require('../middleware/validation.middleware');
+const schemas = require('../schemas/user.schemas');
+
+// Default target of password reset links (see PASSWORD_RESET_URL). Reads the
+// token from its own URL and posts it back to POST /v1/auth/reset-password.
+const RESET_PASSWORD_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>Reset your CineRate password</title>
+</head>
+<body>
+  <h1>Choose a new password</h1>
+  <form id="reset">
+    <label>New password
+      <input type="password" name="newPassword" minlength="8" maxlength="72" autocomplete="new-password" required>
+    </label>
+    <button type="submit">Set password</button>
+  </form>
+  <p id="result" role="status"></p>
+  <script>
+    document.getElementById('reset').addEventListener('submit', async (event) => {
+      event.preventDefault();
+      const token = new URLSearchParams(window.location.search).get('token');
+      const res = await fetch(window.location.pathname, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ token, newPassword: event.target.newPassword.value })
+      });
+      const body = await res.json();
+      document.getElementById('result').textContent = res.ok ? body.message : body.detail;
+    });
+  </script>
+</body>
+</html>
+`;
+
+/**
+ * Create authentication routes (mounted at /v1/auth)
+ * @param {object} userController - User controller instance
+ * @param {Function} requireAuth - Authentication middleware
+ * @returns {Router} Express router
+ */
+function createAuthRoutes(userController, requireAuth) {
+  const router = express.Router();
+
+  // Create an account
+  router.post('/signup', validate(schemas.signup), userController.signup.bind(userController));
+
+  // Log in with email and password
+  router.post('/login', validate(schemas.login), userController.login.bind(userController));
+
+  // Exchange a refresh token for a new token pair
+  router.post('/refresh', validate(schemas.refreshToken), userController.refreshToken.bind(userController));
+
+  // Log out (revoke the current token, or every token with allDevices)
+  router.post('/logout', requireAuth, validate(schemas.logout), userController.logout.bind(userController));
+
+  // Confirm an email address from the link sent at signup
+  router.get('/verify-email', validate(schemas.verifyEmail), userController.verifyEmail.bind(userController));
+
+  // Send a new verification link
+  router.post('/resend-verification', validate(schemas.resendVerification), userController.resendVerification.bind(userController));
+
+  // Request a password reset link
+  router.post('/forgot-password', validate(schemas.forgotPassword), userController.forgotPassword.bind(userController));
+
+  // Form the reset email links to, unless PASSWORD_RESET_URL points elsewhere.
+  // The token is in the URL, so keep it out of caches and Referer headers.
+  router.get('/reset-password', (req, res) => {
+    res.setHeader('Cache-Control', 'no-store');
+    res.setHeader('Referrer-Policy', 'no-referrer');
+    res.type('html').send(RESET_PASSWORD_PAGE);
+  });
+
+  // Set a new password with a reset token
+  router.post('/reset-password', validate(schemas.resetPassword), userController.resetPassword.bind(userController));
+
+  return router;
+}
+
+module.exports = createAuthRoutes;
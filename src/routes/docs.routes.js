@@ -0,0 +1,50 @@
+const express = require('express');
+const swaggerUiDist = require('swagger-ui-dist');
+
+// Swagger UI is served from the installed (pinned) package rather than a CDN,
+// so no third-party script runs on the API's origin
+const SWAGGER_UI_URL = 'docs/assets';
+
+const DOCS_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>CineRate user service API</title>
+  <link rel="stylesheet" href="${SWAGGER_UI_URL}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${SWAGGER_UI_URL}/swagger-ui-bundle.js"></script>
+  <script>
+    window.ui = SwaggerUIBundle({ url: 'openapi.json', dom_id: '#swagger-ui' });
+  </script>
+</body>
+</html>
+`;
+
+/**
+ * Create API documentation routes
+ * @param {object} openApiDocument - OpenAPI document (see src/docs/openapi.js)
+ * @returns {Router} Express router
+ */
+function createDocsRoutes(openApiDocument) {
+  const router = express.Router();
+
+  // Machine-readable API description
+  router.get('/openapi.json', (req, res) => {
+    res.json(openApiDocument);
+  });
+
+  // Interactive documentation for the document above
+  router.get('/docs', (req, res) => {
+    res.type('html').send(DOCS_PAGE);
+  });
+
+  // Swagger UI's scripts and styles; the package's own demo page is not served
+  router.use('/docs/assets', express.static(swaggerUiDist.getAbsoluteFSPath(), { index: false }));
+
+  return router;
+}
+
+module.exports = createDocsRoutes;
@@ -1,18 +1,29 @@
 const express = require('express');
+const { requirePermission } = require('../middleware/authorization.middleware');
 
 /**
  * Create health routes
  * @param {object} healthController - Health controller instance
+ * @param {Function} requireAuth - Authentication middleware
  * @returns {Router} Express router
  */
-function createHealthRoutes(healthController) {
+function createHealthRoutes(healthController, requireAuth) {
   const router = express.Router();
 
   // Test endpoint
   router.get('/test', healthController.testEndpoint.bind(healthController));
 
-  // Health check endpoint
-  router.get('/health', healthController.checkHealth.bind(healthController));
+  // Liveness probe: the process is running, no dependency checks
+  router.get('/health/live', healthController.live.bind(healthController));
+
+  // Readiness probe: 503 while the database is unreachable
+  router.get('/health/ready', healthController.ready.bind(healthController));
+
+  // Kept for existing monitors; same answer as the readiness probe
+  router.get('/health', healthController.ready.bind(healthController));
+
+  // Per-dependency latency, breaker state, pool usage, migrations and build info (admins)
+  router.get('/health/details', requireAuth, requirePermission('health:read'), healthController.details.bind(healthController));
 
   return router;
 }
@@ -0,0 +1,57 @@
+const express = require('express');
+const validate = require('../middleware/validation.middleware');
+const schemas = require('../schemas/user.schemas');
+const { cacheProfile } = require('./user.routes');
+
+/**
+ * Let GET /:id match numeric IDs only, so other top-level paths fall
+ * through to later routes (or a 404) instead of failing validation here
+ */
+function numericIdOnly(req, res, next) {
+  next(/^\d+$/.test(req.params.id) ? undefined : 'route');
+}
+
+/**
+ * Create the pre-v1 routes (mounted at /). Deprecated: every route points to
+ * its /v1 successor in the Link header and will be removed after the sunset date.
+ * @param {object} userController - User controller instance
+ * @param {Function} cacheRoute - Cache middleware function
+ * @param {Function} requireAuth - Authentication middleware
+ * @param {object} profileCache - { ttlSeconds, staleWhileRevalidateSeconds, staleIfErrorSeconds } for public profiles
+ * @param {Function} deprecated - (successor) => middleware, see deprecation.middleware.js
+ * @returns {Router} Express router
+ */
+function createLegacyRoutes(userController, cacheRoute, requireAuth, profileCache, deprecated) {
+  const router = express.Router();
+
+  router.post('/signup', deprecated('/v1/auth/signup'), validate(schemas.signup), userController.signup.bind(userController));
+
+  router.post('/login', deprecated('/v1/auth/login'), validate(schemas.login), userController.login.bind(userController));
+
+  router.post('/token/refresh', deprecated('/v1/auth/refresh'), validate(schemas.refreshToken), userController.refreshToken.bind(userController));
+
+  router.get('/verify-email', deprecated('/v1/auth/verify-email'), validate(schemas.verifyEmail), userController.verifyEmail.bind(userController));
+
+  router.post('/resend-verification', deprecated('/v1/auth/resend-verification'), validate(schemas.resendVerification), userController.resendVerification.bind(userController));
+
+  router.post('/forgot-password', deprecated('/v1/auth/forgot-password'), validate(schemas.forgotPassword), userController.forgotPassword.bind(userController));
+
+  router.post('/reset-password', deprecated('/v1/auth/reset-password'), validate(schemas.resetPassword), userController.resetPassword.bind(userController));
+
+  // Now PATCH /v1/users/me
+  router.post('/update', deprecated('/v1/users/me'), requireAuth, validate(schemas.updateUser), userController.updateUser.bind(userController));
+
+  router.post('/change-password', deprecated('/v1/users/me/password'), requireAuth, validate(schemas.changePassword), userController.changePassword.bind(userController));
+
+  router.post('/logout', deprecated('/v1/auth/logout'), requireAuth, validate(schemas.logout), userController.logout.bind(userController));
+
+  router.get('/me/export', deprecated('/v1/users/me/export'), requireAuth, userController.exportAccount.bind(userController));
+
+  router.delete('/me', deprecated('/v1/users/me'), requireAuth, validate(schemas.deleteAccount), userController.deleteAccount.bind(userController));
+
+  router.get('/:id', numericIdOnly, deprecated('/v1/users/:id'), validate(schemas.getUserById), cacheProfile(cacheRoute, profileCache), userController.getUserById.bind(userController));
+
+  return router;
+}
+
+module.exports = createLegacyRoutes;
@@ -1,30 +1,56 @@
 const express = require('express');
+const validate = require('../middleware/validation.middleware');
+const schemas = require('../schemas/user.schemas');
+const { userTag } = require('../utils/cache-tags');
 
 /**
- * Create user routes
+ * Cache middleware for public profiles. Expired profiles are served for a
+ * while longer (a minute by default) while one request refreshes them, and
+ * for up to 10 minutes instead of an error while the database is down.
+ * @param {Function} cacheRoute - Cache middleware function
+ * @param {object} profileCache - { ttlSeconds, staleWhileRevalidateSeconds, staleIfErrorSeconds }
+ * @returns {Function} Express middleware
+ */
+function cacheProfile(cacheRoute, profileCache) {
+  return cacheRoute(profileCache.ttlSeconds, {
+    tags: (req) => [userTag(req.params.id)],
+    staleWhileRevalidate: profileCache.staleWhileRevalidateSeconds,
+    staleIfError: profileCache.staleIfErrorSeconds
+  });
+}
+
+/**
+ * Create user routes (mounted at /v1/users)
  * @param {object} userController - User controller instance
  * @param {Function} cacheRoute - Cache middleware function
+ * @param {Function} requireAuth - Authentication middleware
+ * @param {object} profileCache - { ttlSeconds, staleWhileRevalidateSeconds, staleIfErrorSeconds } for public profiles
  * @returns {Router} Express router
  */
-function createUserRoutes(userController, cacheRoute) {
+function createUserRoutes(userController, cacheRoute, requireAuth, profileCache) {
   const router = express.Router();
 
-  // User signup
-  router.post('/signup', userController.signup.bind(userController));
+  // --- The authenticated user's own account ---
+
+  // Update the profile
+  router.patch('/me', requireAuth, validate(schemas.updateUser), userController.updateUser.bind(userController));
+
+  // Change the password
+  router.post('/me/password', requireAuth, validate(schemas.changePassword), userController.changePassword.bind(userController));
+
+  // Download everything stored about the user
+  router.get('/me/export', requireAuth, userController.exportAccount.bind(userController));
+
+  // Delete the account (confirmed with the password)
+  router.delete('/me', requireAuth, validate(schemas.deleteAccount), userController.deleteAccount.bind(userController));
 
-  // User login
-  router.post('/login', userController.login.bind(userController));
-  
-  // Update user profile
-  router.post('/update', userController.updateUser.bind(userController));
+  // --- Public profiles ---
 
-  // Change password
-  router.post('/change-password', userController.changePassword.bind(userController));
-  
-  // Get user by ID (with cache) - MUST be last to avoid catching other routes
-  router.get('/:id', cacheRoute(300), userController.getUserById.bind(userController));
+  // Get user by ID (with cache)
+  router.get('/:id', validate(schemas.getUserById), cacheProfile(cacheRoute, profileCache), userController.getUserById.bind(userController));
 
   return router;
 }
 
 module.exports = createUserRoutes;
+module.exports.cacheProfile = cacheProfile;
@@ -0,0 +1,71 @@
+const Joi = require('joi');
+const { ROLES } = require('../config/roles');
+const { USER_STATUSES } = require('../config/user-statuses');
+
+const userIdParams = Joi.object({
+  id: Joi.number().integer().positive().required()
+});
+
+const LIST_SORTS = ['createdAt', 'email', 'name', 'id'];
+
+const listUsers = {
+  query: Joi.object({
+    email: Joi.string().trim().max(254),
+    name: Joi.string().trim().max(100),
+    role: Joi.string().valid(...ROLES),
+    status: Joi.string().valid(...USER_STATUSES),
+    verified: Joi.boolean(),
+    createdFrom: Joi.date().iso(),
+    createdTo: Joi.date().iso().when('createdFrom', {
+      is: Joi.exist(),
+      then: Joi.date().min(Joi.ref('createdFrom'))
+    }),
+    sort: Joi.string().valid(...LIST_SORTS).default('createdAt'),
+    order: Joi.string().valid('asc', 'desc').default('desc'),
+    limit: Joi.number().integer().min(1).max(100).default(20),
+    cursor: Joi.string().max(1024),
+    // Counting every match is a full scan on large tables; only do it when asked
+    includeTotal: Joi.boolean().default(false)
+  })
+};
+
+// Decoded listUsers cursor. Cursors come back from clients, so check every
+// field before it reaches a query; value is the last row's sort key.
+const listUsersCursor = Joi.object({
+  sort: Joi.string().valid(...LIST_SORTS).required(),
+  order: Joi.string().valid('asc', 'desc').required(),
+  value: Joi.when('sort', {
+    switch: [
+      { is: 'createdAt', then: Joi.date().iso().required() },
+      { is: 'id', then: Joi.number().integer().positive().strict().required() }
+    ],
+    otherwise: Joi.string().max(254).required()
+  }),
+  id: Joi.number().integer().positive().strict().required()
+}).required();
+
+const getUser = {
+  params: userIdParams
+};
+
+const updateUserRole = {
+  params: userIdParams,
+  body: Joi.object({
+    role: Joi.string().valid(...ROLES).required()
+  })
+};
+
+const updateUserStatus = {
+  params: userIdParams,
+  body: Joi.object({
+    status: Joi.string().valid(...USER_STATUSES).required()
+  })
+};
+
+module.exports = {
+  listUsers,
+  listUsersCursor,
+  getUser,
+  updateUserRole,
+  updateUserStatus
+};
@@ -0,0 +1,112 @@
+const Joi = require('joi');
+
+// Shared field rules
+const email = Joi.string().trim().email().max(254);
+const name = Joi.string().trim().min(1).max(100);
+
+// bcrypt only uses the first 72 bytes, so longer passwords would be silently truncated
+const newPassword = Joi.string()
+  .min(8)
+  .max(72)
+  .pattern(/[A-Za-z]/, 'letter')
+  .pattern(/[0-9]/, 'digit')
+  .messages({
+    'string.pattern.name': '{#label} must contain at least one {#name}'
+  });
+
+// Existing passwords may predate the current rules, so only require presence on login
+const currentPassword = Joi.string().min(1).max(1024);
+
+const signup = {
+  body: Joi.object({
+    email: email.required(),
+    password: newPassword.required(),
+    name: name.required()
+  })
+};
+
+const login = {
+  body: Joi.object({
+    email: email.required(),
+    password: currentPassword.required()
+  })
+};
+
+const refreshToken = {
+  body: Joi.object({
+    refreshToken: Joi.string().required()
+  })
+};
+
+const verifyEmail = {
+  query: Joi.object({
+    token: Joi.string().required()
+  })
+};
+
+const resendVerification = {
+  body: Joi.object({
+    email: email.required()
+  })
+};
+
+const forgotPassword = {
+  body: Joi.object({
+    email: email.required()
+  })
+};
+
+const resetPassword = {
+  body: Joi.object({
+    token: Joi.string().pattern(/^\d+\.[0-9a-f]+$/, 'reset token').required(),
+    newPassword: newPassword.required()
+  })
+};
+
+const updateUser = {
+  body: Joi.object({
+    name,
+    email
+  }).or('name', 'email')
+};
+
+const changePassword = {
+  body: Joi.object({
+    oldPassword: currentPassword.required(),
+    newPassword: newPassword.required()
+  })
+};
+
+const logout = {
+  body: Joi.object({
+    refreshToken: Joi.string(),
+    allDevices: Joi.boolean()
+  })
+};
+
+const deleteAccount = {
+  body: Joi.object({
+    password: currentPassword.required()
+  })
+};
+
+const getUserById = {
+  params: Joi.object({
+    id: Joi.number().integer().positive().required()
+  })
+};
+
+module.exports = {
+  signup,
+  login,
+  refreshToken,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  updateUser,
+  changePassword,
+  logout,
+  deleteAccount,
+  getUserById
+};
@@ -1,25 +1,62 @@
-const { app, redisCache } = require('./app');
-const { connectToDatabase, setupDatabaseEventHandlers } = require('./config/database');
-
-// Setup database connection event handlers
-setupDatabaseEventHandlers();
-
-// Handle Redis closure on application termination
-process.on('SIGINT', async () => {
-  if (redisCache.connected) {
-    await redisCache.close();
-    // Only log Redis closure here, not in the RedisCache.close() method
-    console.log('Redis connection closed');
-  }
-});
+const { getConfig } = require('./config/config');
+const { logger } = require('./utils/logger');
 
-process.on('SIGTERM', async () => {
-  if (redisCache.connected) {
-    await redisCache.close();
-    // Only log Redis closure here, not in the RedisCache.close() method
-    console.log('Redis connection closed');
-  }
-});
+const log = logger.child({ component: 'server' });
+
+// Validate the configuration before anything uses it, and refuse to start
+// with a report of every problem if it is invalid
+let config;
+try {
+  config = getConfig();
+} catch (err) {
+  if (err.code !== 'ECONFIG') throw err;
+  log.error('Invalid configuration', { errors: err.details });
+  process.exit(1);
+}
+
+const { app, redisCache, dbCircuitBreaker, shutdown } = require('./app');
+const { connectToDatabase, closeDatabase } = require('./config/database');
+const { shutdownTracing } = require('./config/tracing');
+const { bootstrapAdmin } = require('./config/admin-bootstrap');
+const { scheduleAccountPurge } = require('./utils/account-purge');
+const { closeServer } = require('./utils/shutdown');
+
+/**
+ * Register shutdown hooks for everything the server owns: stop accepting
+ * connections, drain in-flight requests, then close Redis, the database and
+ * the span exporter
+ * @param {object} resources - { server, purgeTimer }
+ */
+function registerShutdownHooks({ server, purgeTimer }) {
+  const { drainTimeoutMs } = config.shutdown;
+  let drained;
+
+  shutdown.register('stop accepting connections', () => {
+    drained = closeServer(server, drainTimeoutMs);
+    // Awaited by the drain step; don't report the same failure twice
+    drained.catch(() => {});
+  }, { phase: 'stop' });
+
+  // The server enforces the drain deadline itself; allow a little extra here
+  shutdown.register('drain in-flight requests', () => drained, {
+    phase: 'drain',
+    timeoutMs: drainTimeoutMs + 1000
+  });
+
+  shutdown.register('stop account purge', () => clearInterval(purgeTimer));
+
+  shutdown.register('close Redis', async () => {
+    if (redisCache.connected) {
+      await redisCache.close();
+      // Only log Redis closure here, not in the RedisCache.close() method
+      log.info('Redis connection closed');
+    }
+  });
+
+  shutdown.register('close database', closeDatabase);
+
+  shutdown.register('flush spans', shutdownTracing);
+}
 
 /**
  * Start the server
@@ -28,23 +65,40 @@ async function startServer() {
   try {
     // Connect to database
     await connectToDatabase();
+
+    // Create the first admin account if one is configured
+    try {
+      await bootstrapAdmin();
+    } catch (bootstrapError) {
+      log.error('Admin bootstrap failed', { err: bootstrapError });
+    }
+
+    // Purge deleted accounts once their grace period has passed
+    const purgeTimer = scheduleAccountPurge(dbCircuitBreaker, {
+      graceDays: config.accounts.deletionGraceDays,
+      mode: config.accounts.purgeMode
+    });
     
     // Connect to Redis
     try {
       await redisCache.connect();
       // Redis client will log connection via event handler
     } catch (redisError) {
-      console.warn('Warning: Could not connect to Redis:', redisError.message);
-      console.warn('Service will run without caching');
+      log.warn('Could not connect to Redis', { err: redisError });
+      log.warn('Service will run without caching');
     }
     
     // Start the server
-    const PORT = process.env.PORT || 3001;
+    const PORT = config.server.port;
     app.server = app.listen(PORT, () => {
-      console.log(`User service running on port ${PORT}`);
+      log.info('User service running', { port: PORT });
     });
+
+    // SIGINT / SIGTERM run the hooks, then exit 0 (or 1 if a step failed)
+    registerShutdownHooks({ server: app.server, purgeTimer });
+    shutdown.listen();
   } catch (err) {
-    console.error('Failed to start server:', err);
+    log.error('Failed to start server', { err });
     process.exit(1);
   }
 }
@@ -0,0 +1,93 @@
+const { Op } = require('sequelize');
+const { getUser } = require('../config/database');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'account-purge' });
+
+const BATCH_SIZE = 100;
+
+/**
+ * Purge accounts whose deletion grace period has passed.
+ *
+ * In 'anonymize' mode the row is kept (so foreign references elsewhere stay
+ * valid) but every personal field is overwritten; in 'delete' mode the row
+ * is removed.
+ * @param {CircuitBreaker} dbCircuitBreaker - Database circuit breaker
+ * @param {object} [options] - Purge options
+ * @param {number} [options.graceDays=30] - Days between deletion and purge
+ * @param {string} [options.mode='anonymize'] - 'anonymize' or 'delete'
+ * @param {Date} [options.now] - Current time (for tests)
+ * @returns {Promise<number>} Number of accounts purged
+ */
+async function purgeDeletedAccounts(dbCircuitBreaker, options = {}) {
+  const graceDays = options.graceDays !== undefined ? options.graceDays : 30;
+  const mode = options.mode || 'anonymize';
+  const now = options.now || new Date();
+  const cutoff = new Date(now.getTime() - graceDays * 24 * 60 * 60 * 1000);
+
+  if (mode === 'delete') {
+    return await dbCircuitBreaker.fire(async () => {
+      return await getUser().destroy({ where: { deletedAt: { [Op.lte]: cutoff } } });
+    }, 'purge_deleted_users');
+  }
+
+  let purged = 0;
+  for (;;) {
+    const users = await dbCircuitBreaker.fire(async () => {
+      return await getUser().findAll({
+        where: { deletedAt: { [Op.lte]: cutoff }, anonymizedAt: null },
+        order: [['id', 'ASC']],
+        limit: BATCH_SIZE
+      });
+    }, 'find_users_to_purge');
+
+    for (const user of users) {
+      await dbCircuitBreaker.fire(async () => {
+        return await getUser().update({
+          name: 'Deleted user',
+          email: `deleted-${user.id}@deleted.invalid`,
+          password: '!', // Not a bcrypt hash, so no password can ever match
+          emailVerified: false,
+          emailVerifiedAt: null,
+          passwordResetTokenHash: null,
+          passwordResetExpiresAt: null,
+          anonymizedAt: now
+        }, { where: { id: user.id } });
+      }, 'anonymize_user');
+      purged++;
+    }
+
+    if (users.length < BATCH_SIZE) break;
+  }
+
+  return purged;
+}
+
+/**
+ * Run the account purge periodically
+ * @param {CircuitBreaker} dbCircuitBreaker - Database circuit breaker
+ * @param {object} [options] - purgeDeletedAccounts options plus intervalMs
+ * @returns {NodeJS.Timeout} Interval handle (unref'd so it never keeps the process alive)
+ */
+function scheduleAccountPurge(dbCircuitBreaker, options = {}) {
+  const intervalMs = options.intervalMs || 60 * 60 * 1000; // Hourly
+
+  const timer = setInterval(async () => {
+    try {
+      const purged = await purgeDeletedAccounts(dbCircuitBreaker, options);
+      if (purged > 0) {
+        log.info('Purged deleted accounts', { count: purged });
+      }
+    } catch (err) {
+      log.error('Account purge failed', { err });
+    }
+  }, intervalMs);
+
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  purgeDeletedAccounts,
+  scheduleAccountPurge
+};
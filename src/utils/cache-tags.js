@@ -0,0 +1,45 @@
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'cache' });
+
+/**
+ * Cache tags.
+ *
+ * Cached responses are tagged with the entities they contain, so a write
+ * can drop every cached response that includes the entity it changed,
+ * whatever URL or query string the response was cached under.
+ */
+
+/**
+ * Tag for cached responses containing a user
+ * @param {number|string} userId - User ID
+ * @returns {string} Cache tag
+ */
+function userTag(userId) {
+  return `user:${userId}`;
+}
+
+/**
+ * Drop every cached response containing a user.
+ * Failures are only logged: the write has already happened, and stale
+ * entries still expire with their TTL.
+ * @param {RedisCache} [redisCache] - Shared Redis cache instance
+ * @param {number|string} userId - User whose cached responses are stale
+ */
+async function invalidateUserCache(redisCache, userId) {
+  if (!redisCache) return;
+
+  try {
+    const removed = await redisCache.invalidateTag(userTag(userId));
+    if (removed === null) {
+      log.warn('Redis unavailable, cached responses for user expire with their TTL', { userId });
+    }
+  } catch (err) {
+    log.error('Could not invalidate cache for user', { userId, err });
+  }
+}
+
+module.exports = {
+  userTag,
+  invalidateUserCache
+};
@@ -0,0 +1,34 @@
+/**
+ * Opaque cursors for keyset pagination.
+ *
+ * A cursor records the sort key and id of the last row on a page, plus the
+ * sort it was created for, so it can't be replayed against a different sort.
+ */
+
+/**
+ * Encode a cursor
+ * @param {object} data - Cursor contents
+ * @returns {string} URL-safe cursor string
+ */
+function encodeCursor(data) {
+  return Buffer.from(JSON.stringify(data)).toString('base64url');
+}
+
+/**
+ * Decode a cursor
+ * @param {string} cursor - Cursor string from a previous page
+ * @returns {object|null} Cursor contents, or null if the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const data = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return data && typeof data === 'object' ? data : null;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor
+};
@@ -0,0 +1,119 @@
+const http = require('http');
+
+/**
+ * Errors that become RFC 7807 problem responses.
+ *
+ * Controllers and middleware throw these (or pass them to next) instead of
+ * writing error responses themselves; errorMiddleware renders them as
+ * application/problem+json. `code` is a stable identifier clients can branch
+ * on, and the message is sent as the problem's `detail`, so it must be safe
+ * to show to clients. Anything internal belongs in `cause`, which is logged
+ * but never sent.
+ */
+class AppError extends Error {
+  /**
+   * @param {string} message - Client-safe description, sent as `detail`
+   * @param {object} [options] - Error options
+   * @param {number} [options.status=500] - HTTP status
+   * @param {string} [options.code='internal_error'] - Stable error code
+   * @param {object} [options.headers] - Response headers, e.g. WWW-Authenticate
+   * @param {object} [options.extensions] - Extra problem members, e.g. { retryAfter }
+   * @param {Error} [options.cause] - Underlying error, for logs only
+   */
+  constructor(message, options = {}) {
+    super(message, options.cause ? { cause: options.cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = options.status || 500;
+    this.code = options.code || 'internal_error';
+    this.headers = options.headers || {};
+    this.extensions = options.extensions || {};
+  }
+
+  /**
+   * Short summary of the problem type: the HTTP reason phrase
+   * @returns {string} Title
+   */
+  get title() {
+    return http.STATUS_CODES[this.status] || 'Error';
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(message = 'Bad request', options = {}) {
+    super(message, { code: 'bad_request', ...options, status: 400 });
+  }
+}
+
+/**
+ * Invalid input. `errors` lists each problem as { location, field, message }.
+ */
+class ValidationError extends AppError {
+  constructor(errors = [], options = {}) {
+    super('Validation failed', {
+      code: 'validation_failed',
+      ...options,
+      status: 400,
+      extensions: { errors }
+    });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required', options = {}) {
+    super(message, { code: 'unauthorized', ...options, status: 401 });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'Insufficient permissions', options = {}) {
+    super(message, { code: 'forbidden', ...options, status: 403 });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Not found', options = {}) {
+    super(message, { code: 'not_found', ...options, status: 404 });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message = 'Conflict', options = {}) {
+    super(message, { code: 'conflict', ...options, status: 409 });
+  }
+}
+
+/**
+ * Rate limited. Sets Retry-After and a `retryAfter` member (in seconds).
+ */
+class TooManyRequestsError extends AppError {
+  constructor(message, retryAfter, options = {}) {
+    super(message, {
+      code: 'too_many_requests',
+      ...options,
+      status: 429,
+      headers: { 'Retry-After': String(retryAfter) },
+      extensions: { retryAfter }
+    });
+  }
+}
+
+/**
+ * A dependency (database, Redis) is unreachable or its circuit breaker is open
+ */
+class DependencyUnavailableError extends AppError {
+  constructor(message = 'Service temporarily unavailable. Please try again later.', options = {}) {
+    super(message, { code: 'dependency_unavailable', ...options, status: 503 });
+  }
+}
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+  DependencyUnavailableError
+};
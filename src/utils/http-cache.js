@@ -0,0 +1,49 @@
+/**
+ * HTTP caching headers for user resources.
+ *
+ * Validators come from the user's updatedAt, which every write bumps, so
+ * clients can revalidate with If-None-Match / If-Modified-Since and get a
+ * 304 back. Express answers conditional requests by itself once these
+ * headers are set before the body is sent.
+ */
+
+// Anyone may cache public profiles briefly
+const PUBLIC_CACHE_CONTROL = 'public, max-age=60';
+
+// Only the requesting client may store the response, and must revalidate before reuse
+const PRIVATE_CACHE_CONTROL = 'private, no-cache';
+
+/**
+ * Build the validators for one representation of a user
+ * @param {object} user - User record
+ * @param {string} view - Representation name, e.g. 'profile' or 'admin'
+ * @returns {object} { etag, lastModified }
+ */
+function userValidators(user, view) {
+  const updatedAt = new Date(user.updatedAt || user.createdAt || 0);
+
+  return {
+    // Strong: the body is fully determined by the row's state at updatedAt
+    etag: `"${view}-${user.id}-${updatedAt.getTime()}"`,
+    lastModified: updatedAt.toUTCString()
+  };
+}
+
+/**
+ * Set caching headers on a response before its body is sent
+ * @param {object} res - Express response
+ * @param {object} validators - { etag, lastModified } from userValidators()
+ * @param {string} cacheControl - PUBLIC_CACHE_CONTROL or PRIVATE_CACHE_CONTROL
+ */
+function setCacheHeaders(res, validators, cacheControl) {
+  res.setHeader('Cache-Control', cacheControl);
+  res.setHeader('ETag', validators.etag);
+  res.setHeader('Last-Modified', validators.lastModified);
+}
+
+module.exports = {
+  PUBLIC_CACHE_CONTROL,
+  PRIVATE_CACHE_CONTROL,
+  userValidators,
+  setCacheHeaders
+};
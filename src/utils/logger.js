@@ -0,0 +1,200 @@
+const { AsyncLocalStorage } = require('async_hooks');
+const { getConfig, logSettings } = require('../config/config');
+
+/**
+ * Structured logger.
+ *
+ * Every line carries a level, a message and optional fields. Output is one
+ * JSON object per line in production and a readable line elsewhere
+ * (LOG_FORMAT=json|pretty overrides), filtered by LOG_LEVEL. Both are
+ * validated by the configuration (see src/config/config.js).
+ *
+ * Fields of the current request context (see runWithContext) are added to
+ * every line automatically, so logs written deep inside the circuit breaker
+ * or the cache still carry the request ID that caused them. Secrets are
+ * redacted by key name and by shape before anything is written.
+ */
+
+const LEVELS = { error: 0, warn: 1, info: 2, debug: 3 };
+
+// Keys whose values are never logged, wherever they appear
+const SENSITIVE_KEY = /pass(word)?|secret|token|authorization|cookie|api[-_]?key/i;
+
+const REDACTED = '[REDACTED]';
+
+// JWTs and bearer credentials embedded in free text, e.g. error messages
+const SENSITIVE_TEXT = [
+  [/eyJ[\w-]+\.[\w-]+\.[\w-]+/g, REDACTED],
+  [/\b(Bearer)\s+[\w.~+/=-]+/gi, `$1 ${REDACTED}`]
+];
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Run a function with fields attached to every log line written during it,
+ * including from callbacks and promises it starts
+ * @param {object} fields - Context fields, e.g. { requestId }
+ * @param {Function} fn - Function to run
+ * @returns {*} Result of fn
+ */
+function runWithContext(fields, fn) {
+  return context.run({ ...getContext(), ...fields }, fn);
+}
+
+/**
+ * Fields of the current context
+ * @returns {object} Context fields ({} outside any context)
+ */
+function getContext() {
+  return context.getStore() || {};
+}
+
+/**
+ * Mask secrets embedded in a string
+ * @param {string} text - Text to clean
+ * @returns {string} Text with tokens replaced
+ */
+function redactText(text) {
+  return SENSITIVE_TEXT.reduce((result, [pattern, replacement]) => result.replace(pattern, replacement), text);
+}
+
+/**
+ * Copy a value for logging with secrets removed
+ * @param {*} value - Value to clean
+ * @param {number} [depth=0] - Current nesting depth
+ * @returns {*} Loggable copy
+ */
+function redact(value, depth = 0) {
+  if (typeof value === 'string') return redactText(value);
+  if (value === null || typeof value !== 'object') return value;
+  if (depth > 5) return '[Object]';
+
+  if (value instanceof Error) {
+    return redact({
+      name: value.name,
+      message: value.message,
+      code: value.code,
+      stack: value.stack
+    }, depth + 1);
+  }
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (item === undefined) continue;
+    copy[key] = SENSITIVE_KEY.test(key) ? REDACTED : redact(item, depth + 1);
+  }
+  return copy;
+}
+
+/**
+ * Render a log record for people
+ * @param {object} record - Log record
+ * @returns {string} Single-line text with an optional stack trace below
+ */
+function formatPretty(record) {
+  const { time, level, message, err, ...fields } = record;
+  const extra = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+  const error = err ? `\n  ${err.stack || `${err.name}: ${err.message}`}` : '';
+  return `${time} ${level.toUpperCase().padEnd(5)} ${message}${extra}${error}`;
+}
+
+class Logger {
+  /**
+   * @param {object} [options] - Logger options
+   * @param {string} [options.level] - Most verbose level written (error, warn, info, debug or silent)
+   * @param {string} [options.format] - 'json' or 'pretty'
+   * @param {object} [options.bindings] - Fields added to every line
+   * @param {object} [options.stream] - Where lines go, defaults to stdout / stderr by level
+   */
+  constructor(options = {}) {
+    this.level = options.level || 'info';
+    this.format = options.format || 'pretty';
+    this.bindings = options.bindings || {};
+    this.stream = options.stream || null;
+  }
+
+  /**
+   * Create a logger that adds fields to every line
+   * @param {object} bindings - Fields, e.g. { component: 'redis-cache' }
+   * @returns {Logger} Child logger
+   */
+  child(bindings) {
+    return new Logger({
+      level: this.level,
+      format: this.format,
+      bindings: { ...this.bindings, ...bindings },
+      stream: this.stream
+    });
+  }
+
+  isLevelEnabled(level) {
+    return this.level !== 'silent' && LEVELS[level] <= LEVELS[this.level];
+  }
+
+  /**
+   * Write a log line
+   * @param {string} level - Log level
+   * @param {string} message - What happened
+   * @param {object} [fields] - Structured details; an `err` field is serialized with its stack
+   */
+  log(level, message, fields = {}) {
+    if (!this.isLevelEnabled(level)) return;
+
+    const record = redact({
+      time: new Date().toISOString(),
+      level,
+      message,
+      ...this.bindings,
+      ...getContext(),
+      ...fields
+    });
+
+    const line = this.format === 'json' ? JSON.stringify(record) : formatPretty(record);
+    const stream = this.stream || (LEVELS[level] <= LEVELS.warn ? process.stderr : process.stdout);
+    stream.write(`${line}\n`);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+}
+
+/**
+ * Create the logger for the current environment
+ * @returns {Logger} Logger configured from the validated LOG_LEVEL and LOG_FORMAT
+ */
+function createLogger() {
+  try {
+    return new Logger(getConfig().log);
+  } catch (err) {
+    if (err.code !== 'ECONFIG') throw err;
+    // server.js reports the invalid configuration through this logger, so
+    // write that report with the defaults
+    return new Logger(logSettings({ NODE_ENV: process.env.NODE_ENV }));
+  }
+}
+
+// Shared logger; modules take a child with their component name
+const logger = createLogger();
+
+module.exports = {
+  Logger,
+  logger,
+  runWithContext,
+  getContext,
+  redact
+};
@@ -0,0 +1,249 @@
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'login-throttle' });
+
+/**
+ * Login brute-force protection.
+ *
+ * Failed logins are counted per account and per client IP. Once a key
+ * passes `maxAttempts` failures within the window, every further failure
+ * blocks it for an exponentially growing back-off (1s, 2s, 4s, ...); at
+ * `lockAttempts` failures it is locked for `lockSeconds`.
+ *
+ * Throttle stores expose the same async interface:
+ *
+ *   increment(key, windowSeconds) -> failure count within the current window
+ *   block(key, until, ttl)        -> blocks a key until `until` (ms)
+ *   getBlocks(keys)               -> array of block end times (ms) or null per key
+ *   reset(keys)                   -> clears counters and blocks
+ *
+ * and throw an error with code ETHROTTLESTORE when the backing store cannot be reached.
+ */
+
+/**
+ * Build the error thrown when the backing store cannot be reached
+ * @returns {Error} Throttle store unavailable error
+ */
+function throttleStoreUnavailableError() {
+  const error = new Error('Login throttle store unavailable');
+  error.code = 'ETHROTTLESTORE';
+  return error;
+}
+
+/**
+ * Throttle store backed by Redis through RedisCache
+ */
+class RedisThrottleStore {
+  constructor(redisCache) {
+    this.redisCache = redisCache;
+  }
+
+  async increment(key, windowSeconds) {
+    const count = await this.redisCache.incr(`login-failures:${key}`, windowSeconds);
+    if (count === null || count === undefined) {
+      throw throttleStoreUnavailableError();
+    }
+    return count;
+  }
+
+  async block(key, until, ttl) {
+    const result = await this.redisCache.set(`login-blocked:${key}`, until, ttl);
+    if (result === null || result === undefined) {
+      throw throttleStoreUnavailableError();
+    }
+  }
+
+  async getBlocks(keys) {
+    const values = await this.redisCache.mget(keys.map(key => `login-blocked:${key}`));
+    if (!values) {
+      throw throttleStoreUnavailableError();
+    }
+    return values.map(value => (value !== null ? Number(value) : null));
+  }
+
+  async reset(keys) {
+    for (const key of keys) {
+      const results = await Promise.all([
+        this.redisCache.del(`login-failures:${key}`),
+        this.redisCache.del(`login-blocked:${key}`)
+      ]);
+      if (results.some(result => result === null || result === undefined)) {
+        throw throttleStoreUnavailableError();
+      }
+    }
+  }
+}
+
+/**
+ * In-memory throttle store for tests and single-instance development
+ */
+class MemoryThrottleStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  // Read a key, dropping it if its TTL has passed
+  read(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    return entry;
+  }
+
+  async increment(key, windowSeconds) {
+    const entry = this.read(`login-failures:${key}`);
+    if (entry) {
+      entry.value += 1;
+      return entry.value;
+    }
+
+    this.entries.set(`login-failures:${key}`, { value: 1, expiresAt: Date.now() + windowSeconds * 1000 });
+    return 1;
+  }
+
+  async block(key, until, ttl) {
+    this.entries.set(`login-blocked:${key}`, { value: until, expiresAt: Date.now() + ttl * 1000 });
+  }
+
+  async getBlocks(keys) {
+    return keys.map(key => {
+      const entry = this.read(`login-blocked:${key}`);
+      return entry ? entry.value : null;
+    });
+  }
+
+  async reset(keys) {
+    for (const key of keys) {
+      this.entries.delete(`login-failures:${key}`);
+      this.entries.delete(`login-blocked:${key}`);
+    }
+  }
+}
+
+class LoginThrottle {
+  /**
+   * @param {object} store - Throttle store
+   * @param {object} [options] - Throttle options
+   * @param {number} [options.windowSeconds=900] - How long failures are remembered
+   * @param {object} [options.account] - { maxAttempts, lockAttempts } for per-account counters
+   * @param {object} [options.ip] - { maxAttempts, lockAttempts } for per-IP counters
+   * @param {number} [options.lockSeconds=900] - Lock duration once lockAttempts is reached
+   * @param {string} [options.failMode='open'] - 'open' allows logins while the store is unreachable,
+   *   'closed' rejects them
+   */
+  constructor(store, options = {}) {
+    this.store = store;
+    this.windowSeconds = options.windowSeconds || 900;
+    this.lockSeconds = options.lockSeconds || 900;
+    this.limits = {
+      account: { maxAttempts: 5, lockAttempts: 10, ...options.account },
+      ip: { maxAttempts: 20, lockAttempts: 50, ...options.ip }
+    };
+    this.failMode = options.failMode === 'closed' ? 'closed' : 'open';
+  }
+
+  /**
+   * Throttle keys for a login attempt
+   * @param {string} email - Email the attempt is for
+   * @param {string} ip - Client IP address
+   * @returns {object} Keys by scope
+   */
+  keysFor(email, ip) {
+    return {
+      account: `account:${String(email).toLowerCase()}`,
+      ip: `ip:${ip}`
+    };
+  }
+
+  /**
+   * Check whether a login attempt may proceed
+   * @param {object} keys - Keys from keysFor()
+   * @returns {Promise<number>} Seconds to wait before retrying, 0 when allowed
+   * @throws {Error} ETHROTTLESTORE when the store is unreachable in fail-closed mode
+   */
+  async check(keys) {
+    let blocks;
+    try {
+      blocks = await this.store.getBlocks([keys.account, keys.ip]);
+    } catch (err) {
+      if (err.code !== 'ETHROTTLESTORE' || this.failMode === 'closed') throw err;
+
+      log.warn('Login throttle store unavailable, allowing login attempt');
+      return 0;
+    }
+
+    const now = Date.now();
+    const blockedUntil = Math.max(0, ...blocks.filter(until => until !== null));
+    return blockedUntil > now ? Math.ceil((blockedUntil - now) / 1000) : 0;
+  }
+
+  /**
+   * Record a failed login, blocking keys that passed their thresholds
+   * @param {object} keys - Keys from keysFor()
+   */
+  async recordFailure(keys) {
+    try {
+      for (const scope of ['account', 'ip']) {
+        const failures = await this.store.increment(keys[scope], this.windowSeconds);
+        const blockSeconds = this.blockDuration(scope, failures);
+
+        if (blockSeconds > 0) {
+          await this.store.block(keys[scope], Date.now() + blockSeconds * 1000, blockSeconds);
+        }
+      }
+    } catch (err) {
+      // The attempt already failed; there is nothing to reject, only to log
+      if (err.code !== 'ETHROTTLESTORE') throw err;
+      log.error('Could not record failed login attempt', { err });
+    }
+  }
+
+  /**
+   * Clear the account's counters after a successful login.
+   * The IP counter is left to expire so one valid account can't be used to
+   * reset the counter for guesses against other accounts from the same IP.
+   * @param {object} keys - Keys from keysFor()
+   */
+  async recordSuccess(keys) {
+    try {
+      await this.store.reset([keys.account]);
+    } catch (err) {
+      if (err.code !== 'ETHROTTLESTORE') throw err;
+      log.error('Could not reset failed login counters', { err });
+    }
+  }
+
+  // Seconds to block a key after its nth failure
+  blockDuration(scope, failures) {
+    const { maxAttempts, lockAttempts } = this.limits[scope];
+
+    if (failures >= lockAttempts) return this.lockSeconds;
+    if (failures < maxAttempts) return 0;
+
+    return Math.min(2 ** (failures - maxAttempts), this.lockSeconds);
+  }
+}
+
+/**
+ * Create the login throttle for the current environment
+ * @param {RedisCache} redisCache - Shared Redis cache instance
+ * @param {object} [options] - LoginThrottle options
+ * @returns {LoginThrottle} Login throttle
+ */
+function createLoginThrottle(redisCache, options = {}) {
+  // RedisCache is a no-op in test mode, so keep counters in memory instead
+  const store = redisCache.testMode ? new MemoryThrottleStore() : new RedisThrottleStore(redisCache);
+  return new LoginThrottle(store, options);
+}
+
+module.exports = {
+  LoginThrottle,
+  RedisThrottleStore,
+  MemoryThrottleStore,
+  createLoginThrottle
+};
@@ -0,0 +1,116 @@
+/**
+ * Convert a Redis glob pattern to a regular expression
+ * @param {string} pattern - Pattern using * and ? wildcards and \ escapes
+ * @returns {RegExp} Equivalent regular expression
+ */
+function globToRegExp(pattern) {
+  let source = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\' && i + 1 < pattern.length) {
+      source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    } else if (char === '*') {
+      source += '.*';
+    } else if (char === '?') {
+      source += '.';
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`, 's');
+}
+
+/**
+ * In-process least-recently-used cache with a size limit and a TTL cap.
+ * Used as the local tier in front of Redis, so entries are short-lived by design.
+ */
+class LruCache {
+  /**
+   * @param {object} [options] - Cache options
+   * @param {number} [options.maxEntries=1000] - Entries kept before the least recently used is evicted
+   * @param {number} [options.ttl=30] - Longest time in seconds an entry is kept, whatever TTL it was set with
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 1000;
+    this.ttl = options.ttl || 30;
+    this.entries = new Map(); // Insertion order doubles as recency order
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Read an entry, marking it as most recently used
+   * @param {string} key - Cache key
+   * @returns {*} Cached value, or undefined when missing or expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Store an entry, evicting the least recently used ones past maxEntries
+   * @param {string} key - Cache key
+   * @param {*} value - Value to cache
+   * @param {number} [ttl] - TTL in seconds, capped at the cache's own TTL
+   * @param {string[]} [tags] - Tags the entry can be invalidated by
+   */
+  set(key, value, ttl = this.ttl, tags = []) {
+    this.entries.delete(key);
+    this.entries.set(key, {
+      value,
+      tags,
+      expiresAt: Date.now() + Math.min(ttl, this.ttl) * 1000
+    });
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  delete(key) {
+    return this.entries.delete(key) ? 1 : 0;
+  }
+
+  // Remove every entry stored with a tag; returns the number removed
+  deleteTag(tag) {
+    let removed = 0;
+    for (const [key, entry] of this.entries) {
+      if (entry.tags.includes(tag)) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  // Remove every entry whose key matches a Redis glob pattern; returns the number removed
+  deleteMatching(pattern) {
+    const regex = globToRegExp(pattern);
+    let removed = 0;
+    for (const key of this.entries.keys()) {
+      if (regex.test(key)) {
+        this.entries.delete(key);
+        removed++;
+      }
+    }
+    return removed;
+  }
+
+  clear() {
+    this.entries.clear();
+  }
+}
+
+module.exports = LruCache;
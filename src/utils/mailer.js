@@ -0,0 +1,122 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const { logger } = require('./logger');
+const { getConfig } = require('../config/config');
+
+const log = logger.child({ component: 'mailer' });
+
+/**
+ * Mail transports.
+ *
+ * Every mailer exposes the same async interface:
+ *
+ *   sendMail({ to, subject, text, html }) -> resolves once the message is handed off
+ *
+ * The sender address is filled in by the mailer itself.
+ */
+
+/**
+ * Mailer that delivers through an SMTP server
+ */
+class SmtpMailer {
+  constructor(options = {}) {
+    this.from = options.from;
+    this.transport = nodemailer.createTransport({
+      host: options.host,
+      port: options.port,
+      secure: options.secure,
+      auth: options.user ? { user: options.user, pass: options.pass } : undefined
+    });
+  }
+
+  async sendMail(message) {
+    return await this.transport.sendMail({ from: this.from, ...message });
+  }
+}
+
+/**
+ * Mailer that writes each message as a JSON file, for local development
+ */
+class FileMailer {
+  constructor(options = {}) {
+    this.from = options.from;
+    this.directory = options.directory;
+  }
+
+  async sendMail(message) {
+    const mail = { from: this.from, ...message, sentAt: new Date().toISOString() };
+    const fileName = `${Date.now()}-${Math.random().toString(36).slice(2, 8)}.json`;
+
+    await fs.mkdir(this.directory, { recursive: true });
+    await fs.writeFile(path.join(this.directory, fileName), JSON.stringify(mail, null, 2));
+    log.info('Mail written to file', { to: message.to, file: path.join(this.directory, fileName) });
+
+    return mail;
+  }
+}
+
+/**
+ * Mailer that keeps messages in memory so tests can inspect them
+ */
+class MemoryMailer {
+  constructor(options = {}) {
+    this.from = options.from;
+    this.outbox = [];
+  }
+
+  async sendMail(message) {
+    const mail = { from: this.from, ...message, sentAt: new Date().toISOString() };
+    this.outbox.push(mail);
+    return mail;
+  }
+
+  // Most recent message sent to an address
+  lastMailTo(to) {
+    for (let i = this.outbox.length - 1; i >= 0; i--) {
+      if (this.outbox[i].to === to) return this.outbox[i];
+    }
+    return null;
+  }
+
+  clear() {
+    this.outbox = [];
+  }
+}
+
+/**
+ * Create the mailer for the configured transport.
+ * MAIL_TRANSPORT selects 'smtp', 'file' or 'memory'; by default tests use memory,
+ * and other environments use SMTP when SMTP_HOST is set, files otherwise.
+ * Production configurations must use SMTP.
+ * @param {object} [options] - Mail configuration, defaults to the configured one
+ * @returns {SmtpMailer|FileMailer|MemoryMailer} Mailer
+ */
+function createMailer(options = getConfig().mail) {
+  const { transport, from, smtp } = options;
+
+  switch (transport) {
+  case 'smtp':
+    return new SmtpMailer({
+      from,
+      host: smtp.host,
+      port: smtp.port,
+      secure: smtp.secure,
+      user: smtp.user,
+      pass: smtp.password
+    });
+  case 'file':
+    return new FileMailer({ from, directory: options.outboxDir });
+  case 'memory':
+    return new MemoryMailer({ from });
+  default:
+    throw new Error(`Unknown MAIL_TRANSPORT: ${transport}`);
+  }
+}
+
+module.exports = {
+  SmtpMailer,
+  FileMailer,
+  MemoryMailer,
+  createMailer
+};
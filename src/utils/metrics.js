@@ -0,0 +1,70 @@
+const promClient = require('prom-client');
+
+/**
+ * Business and cache metrics, registered on the default registry and
+ * exported on /metrics next to the HTTP ones.
+ */
+
+const signups = new promClient.Counter({
+  name: 'user_signups_total',
+  help: 'Accounts created'
+});
+
+const loginSuccesses = new promClient.Counter({
+  name: 'user_login_successes_total',
+  help: 'Logins that issued tokens'
+});
+
+const loginFailures = new promClient.Counter({
+  name: 'user_login_failures_total',
+  help: 'Rejected logins by reason (invalid_credentials, throttled, suspended, unverified)',
+  labelNames: ['reason']
+});
+
+const passwordChanges = new promClient.Counter({
+  name: 'user_password_changes_total',
+  help: 'Passwords changed, by method (change or reset)',
+  labelNames: ['method']
+});
+
+const tokenRefreshes = new promClient.Counter({
+  name: 'user_token_refreshes_total',
+  help: 'Refresh token exchanges by outcome (success, expired, invalid, revoked, reused, suspended)',
+  labelNames: ['outcome']
+});
+
+const cacheHits = new promClient.Counter({
+  name: 'cache_hits_total',
+  help: 'Responses served from the cache, by route and freshness (fresh, stale or coalesced)',
+  labelNames: ['route', 'freshness']
+});
+
+const cacheMisses = new promClient.Counter({
+  name: 'cache_misses_total',
+  help: 'Cacheable requests the route had to compute, by route',
+  labelNames: ['route']
+});
+
+const cacheErrors = new promClient.Counter({
+  name: 'cache_errors_total',
+  help: 'Cache failures that fell back to running the route uncached, by route',
+  labelNames: ['route']
+});
+
+const legacyApiRequests = new promClient.Counter({
+  name: 'legacy_api_requests_total',
+  help: 'Requests to deprecated pre-v1 paths, by route',
+  labelNames: ['route']
+});
+
+module.exports = {
+  signups,
+  loginSuccesses,
+  loginFailures,
+  passwordChanges,
+  tokenRefreshes,
+  cacheHits,
+  cacheMisses,
+  cacheErrors,
+  legacyApiRequests
+};
@@ -0,0 +1,28 @@
+const bcrypt = require('bcryptjs');
+const { withSpan } = require('../config/tracing');
+
+const BCRYPT_ROUNDS = 10;
+
+/**
+ * Hash a password for storage
+ * @param {string} password - Plain text password
+ * @returns {Promise<string>} bcrypt hash
+ */
+function hashPassword(password) {
+  return withSpan('password.hash', {}, () => bcrypt.hash(password, BCRYPT_ROUNDS));
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Plain text password
+ * @param {string} hash - Stored bcrypt hash
+ * @returns {Promise<boolean>} True if the password matches
+ */
+function verifyPassword(password, hash) {
+  return withSpan('password.verify', {}, () => bcrypt.compare(password, hash));
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword
+};
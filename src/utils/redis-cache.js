@@ -1,22 +1,69 @@
+const crypto = require('crypto');
 const { createClient } = require('redis');
 const CircuitBreaker = require('opossum');
+const promClient = require('prom-client');
+const { SpanKind } = require('@opentelemetry/api');
+const LruCache = require('./lru-cache');
+const routeTemplate = require('./route-template');
+const { cacheHits, cacheMisses, cacheErrors } = require('./metrics');
+const { withSpan } = require('../config/tracing');
+const { circuitBreakerState } = require('../config/circuit-breaker');
+const { getConfig } = require('../config/config');
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'redis-cache' });
+
+// Response headers stored with cached responses, so hits keep answering
+// conditional requests and keep their caching policy
+const CACHED_HEADERS = ['Cache-Control', 'ETag', 'Last-Modified'];
+
+// Delete a lock only if this instance still holds it; once it expires another
+// replica may have taken it
+const RELEASE_LOCK_SCRIPT = `if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0`;
+
+const redisOperationDuration = new promClient.Histogram({
+  name: 'redis_operation_duration_seconds',
+  help: 'Duration of Redis operations in seconds',
+  labelNames: ['operation', 'success'],
+  buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 3]
+});
 
 class RedisCache {
+  /**
+   * @param {object} [options] - Cache options
+   * @param {number} [options.ttl=3600] - Default TTL in seconds
+   * @param {string} [options.prefix='user-service:'] - Prefix for every Redis key
+   * @param {object} [options.local] - { maxEntries, ttl } for an in-process LRU tier checked
+   *   before Redis; omit to use Redis only
+   * @param {string} [options.url] - Redis URL, defaults to the configured one
+   * @param {object} [options.circuitBreaker] - { timeoutMs, resetTimeoutMs, errorThresholdPercentage }
+   */
   constructor(options = {}) {
+    const config = getConfig();
+
     this.ttl = options.ttl || 3600; // Default TTL: 1 hour
     this.prefix = options.prefix || 'user-service:';
     this.client = null;
+    this.subscriber = null;
     this.connected = false;
     this.circuitBreaker = null;
+
+    // Local tier; replicas keep theirs in step through invalidation messages
+    this.local = options.local ? new LruCache(options.local) : null;
+    this.instanceId = crypto.randomUUID();
+    this.invalidationChannel = `${this.prefix}invalidations`;
+
+    // Recomputes in progress in this process, by cache key
+    this.inflight = new Map();
     
-    // Get Redis connection details from environment variables
-    const redisHost = process.env.REDIS_HOST || 'localhost';
-    const redisPort = process.env.REDIS_PORT || '6379';
-    this.redisUrl = process.env.REDIS_URL || `redis://${redisHost}:${redisPort}`;
-    this.testMode = process.env.NODE_ENV === 'test';
+    this.redisUrl = options.url || config.redis.url;
+    this.testMode = config.env === 'test';
     
     // Initialize circuit breaker for Redis operations
-    this.initCircuitBreaker();
+    this.initCircuitBreaker(options.circuitBreaker || config.redis.circuitBreaker);
   }
 
   async connect() {
@@ -24,7 +71,7 @@ class RedisCache {
     
     // Skip actual Redis connection in test mode
     if (this.testMode) {
-      console.log('Running in test mode - skipping Redis connection');
+      log.info('Running in test mode - skipping Redis connection');
       return;
     }
 
@@ -35,15 +82,15 @@ class RedisCache {
 
       // Set up event handlers
       this.client.on('error', (err) => {
-        console.error('Redis error:', err);
+        log.error('Redis error', { err });
       });
 
       this.client.on('connect', () => {
-        console.log('Connected to Redis');
+        log.info('Connected to Redis');
       });
 
       this.client.on('reconnecting', () => {
-        console.log('Reconnecting to Redis...');
+        log.info('Reconnecting to Redis...');
       });
 
       // Connect to Redis (the 'connect' event will log the success)
@@ -56,54 +103,128 @@ class RedisCache {
       this.delAsync = this.client.del.bind(this.client);
       this.expireAsync = this.client.expire.bind(this.client);
       this.flushAsync = this.client.flushAll.bind(this.client);
+
+      if (this.local) {
+        await this.subscribeToInvalidations();
+      }
     } catch (error) {
-      console.error('Failed to connect to Redis:', error);
+      log.error('Failed to connect to Redis', { err: error });
       this.connected = false;
       throw error;
     }
   }
 
-  initCircuitBreaker() {
+  // Listen for invalidations published by other instances, on a dedicated
+  // connection since a subscribed client can't run other commands
+  async subscribeToInvalidations() {
+    this.subscriber = this.client.duplicate();
+    this.subscriber.on('error', (err) => {
+      log.error('Redis subscriber error', { err });
+    });
+
+    await this.subscriber.connect();
+    await this.subscriber.subscribe(this.invalidationChannel, (message) => this.applyInvalidation(message));
+  }
+
+  // Apply an invalidation message from another instance to the local tier
+  applyInvalidation(message) {
+    let invalidation;
+    try {
+      invalidation = JSON.parse(message);
+    } catch {
+      log.error('Ignoring malformed cache invalidation message');
+      return;
+    }
+
+    if (invalidation.origin === this.instanceId) return;
+
+    switch (invalidation.type) {
+    case 'key': this.local.delete(invalidation.value); break;
+    case 'tag': this.local.deleteTag(invalidation.value); break;
+    case 'pattern': this.local.deleteMatching(invalidation.value); break;
+    case 'flush': this.local.clear(); break;
+    default: log.error('Ignoring unknown cache invalidation type', { type: invalidation.type });
+    }
+  }
+
+  // Tell other instances to drop entries from their local tier.
+  // Runs inside a Redis operation; when Redis is down, other instances'
+  // local entries simply expire with the (short) local TTL.
+  async publishInvalidation(type, value) {
+    if (!this.local) return;
+    await this.client.publish(this.invalidationChannel, JSON.stringify({ origin: this.instanceId, type, value }));
+  }
+
+  initCircuitBreaker(settings) {
     const options = {
-      failureThreshold: 50,
-      resetTimeout: 10000,
-      timeout: 3000,
-      errorThresholdPercentage: 50
+      resetTimeout: settings.resetTimeoutMs,
+      timeout: settings.timeoutMs,
+      errorThresholdPercentage: settings.errorThresholdPercentage
     };
 
-    this.circuitBreaker = new CircuitBreaker(async (operation) => {
-      if (!this.connected) {
-        await this.connect();
+    // Each operation gets a client span named after the RedisCache method
+    this.circuitBreaker = new CircuitBreaker((operation, operationName = 'unknown') => withSpan(`redis ${operationName}`, {
+      kind: SpanKind.CLIENT,
+      attributes: { 'db.system.name': 'redis', 'db.operation.name': operationName }
+    }, async () => {
+      const endTimer = redisOperationDuration.startTimer({ operation: operationName });
+      let success = false;
+
+      try {
+        if (!this.connected) {
+          await this.connect();
+        }
+        const result = await operation();
+        success = true;
+        return result;
+      } finally {
+        endTimer({ success });
       }
-      return await operation();
-    }, options);
+    }), options);
 
     this.circuitBreaker.on('open', () => {
-      console.log('Redis circuit breaker opened');
+      log.warn('Redis circuit breaker opened');
+      circuitBreakerState.set({ breaker: 'redis' }, 0);
     });
 
     this.circuitBreaker.on('close', () => {
-      console.log('Redis circuit breaker closed');
+      log.info('Redis circuit breaker closed');
+      circuitBreakerState.set({ breaker: 'redis' }, 1);
     });
 
     this.circuitBreaker.on('halfOpen', () => {
-      console.log('Redis circuit breaker half-open');
+      log.info('Redis circuit breaker half-open');
+      circuitBreakerState.set({ breaker: 'redis' }, 0.5);
     });
 
     this.circuitBreaker.fallback(() => {
-      console.log('Redis fallback triggered');
+      log.debug('Redis fallback triggered');
       return null; // Return null when Redis is unavailable
     });
+
+    circuitBreakerState.set({ breaker: 'redis' }, 1);
   }
 
   getKey(key) {
     return `${this.prefix}${key}`;
   }
 
-  async get(key) {
+  // Set holding the keys of every entry cached under a tag
+  getTagKey(tag) {
+    return this.getKey(`tag:${tag}`);
+  }
+
+  // Read a key from the local tier, falling back to Redis.
+  // options.tags are recorded when a Redis hit is copied into the local tier.
+  async get(key, options = {}) {
+    if (this.local) {
+      const localValue = this.local.get(key);
+      if (localValue !== undefined) return localValue;
+    }
+
     if (this.testMode) return null;
     
-    return this.circuitBreaker.fire(async () => {
+    const value = await this.circuitBreaker.fire(async () => {
       if (!this.connected || !this.client) return null;
       
       const value = await this.getAsync(this.getKey(key));
@@ -115,43 +236,163 @@ class RedisCache {
         }
       }
       return null;
-    });
+    }, 'get');
+
+    if (this.local && value !== null && value !== undefined) {
+      this.local.set(key, value, this.local.ttl, options.tags);
+    }
+    return value;
+  }
+
+  // Fetch several keys in one round trip.
+  // Resolves an array of parsed values (null for missing keys), or null when
+  // Redis is unavailable, so callers can tell "not found" from "unknown".
+  async mget(keys) {
+    if (this.testMode) return keys.map(() => null);
+
+    return this.circuitBreaker.fire(async () => {
+      if (!this.connected || !this.client) return null;
+
+      const values = await this.client.mGet(keys.map(key => this.getKey(key)));
+      return values.map(value => {
+        if (value === null) return null;
+        try {
+          return JSON.parse(value);
+        } catch {
+          return value; // Return as-is if not JSON
+        }
+      });
+    }, 'mget');
   }
 
   async set(key, value, ttl = this.ttl) {
+    // The local tier keeps working while Redis is unavailable
+    if (this.local) this.local.set(key, value, ttl);
+
     if (this.testMode) return 'OK';
     
     return this.circuitBreaker.fire(async () => {
       if (!this.connected || !this.client) return 'OK';
       
       const stringValue = typeof value === 'object' ? JSON.stringify(value) : value;
-      return await this.setAsync(this.getKey(key), stringValue, {
+      const result = await this.setAsync(this.getKey(key), stringValue, {
         EX: ttl
       });
-    });
+      await this.publishInvalidation('key', key);
+      return result;
+    }, 'set');
+  }
+
+  // Cache a value and record its key under each tag, so invalidateTag()
+  // can remove it later whatever the exact key (e.g. query-string variants).
+  async setTagged(key, value, tags = [], ttl = this.ttl) {
+    if (this.local) this.local.set(key, value, ttl, tags);
+
+    if (this.testMode) return 'OK';
+
+    return this.circuitBreaker.fire(async () => {
+      if (!this.connected || !this.client) return 'OK';
+
+      const redisKey = this.getKey(key);
+      const stringValue = typeof value === 'object' ? JSON.stringify(value) : value;
+
+      const transaction = this.client.multi().set(redisKey, stringValue, { EX: ttl });
+      for (const tag of tags) {
+        transaction.sAdd(this.getTagKey(tag), redisKey);
+      }
+      await transaction.exec();
+
+      // A tag must outlive every entry recorded under it, or those entries
+      // could no longer be invalidated
+      for (const tag of tags) {
+        const tagKey = this.getTagKey(tag);
+        if (await this.client.ttl(tagKey) < ttl) {
+          await this.client.expire(tagKey, ttl);
+        }
+      }
+      await this.publishInvalidation('key', key);
+      return 'OK';
+    }, 'setTagged');
+  }
+
+  // Atomically set a key only if it does not exist yet.
+  // Resolves true when the key was set, false when it already existed and
+  // null when Redis is unavailable (circuit breaker fallback).
+  async setIfAbsent(key, value, ttl = this.ttl) {
+    if (this.testMode) return true;
+
+    return this.circuitBreaker.fire(async () => {
+      if (!this.connected || !this.client) return null;
+
+      const stringValue = typeof value === 'object' ? JSON.stringify(value) : value;
+      const result = await this.client.set(this.getKey(key), stringValue, {
+        EX: ttl,
+        NX: true
+      });
+      return result === 'OK';
+    }, 'setIfAbsent');
+  }
+
+  // Increment a counter, starting its TTL window on the first increment.
+  // Resolves the new count, or null when Redis is unavailable.
+  async incr(key, ttl = this.ttl) {
+    if (this.testMode) return 1;
+
+    return this.circuitBreaker.fire(async () => {
+      if (!this.connected || !this.client) return null;
+
+      const redisKey = this.getKey(key);
+      const count = await this.client.incr(redisKey);
+      if (count === 1) {
+        await this.client.expire(redisKey, ttl);
+      }
+      return count;
+    }, 'incr');
   }
 
   async del(key) {
+    if (this.local) this.local.delete(key);
+
     if (this.testMode) return 1;
     
     return this.circuitBreaker.fire(async () => {
       if (!this.connected || !this.client) return 1;
       
-      return await this.delAsync(this.getKey(key));
-    });
+      const result = await this.delAsync(this.getKey(key));
+      await this.publishInvalidation('key', key);
+      return result;
+    }, 'del');
   }
 
   async flush() {
+    if (this.local) this.local.clear();
+
     if (this.testMode) return 'OK';
     
     return this.circuitBreaker.fire(async () => {
       if (!this.connected || !this.client) return 'OK';
       
-      return await this.flushAsync();
-    });
+      const result = await this.flushAsync();
+      await this.publishInvalidation('flush', null);
+      return result;
+    }, 'flush');
+  }
+
+  // Round trip to Redis for health checks. Bypasses the circuit breaker so
+  // it reports the connection's real state, and never connects on its own.
+  async ping() {
+    if (!this.connected || !this.client) {
+      throw new Error('Not connected to Redis');
+    }
+    return await this.client.ping();
   }
 
   async close() {
+    if (this.subscriber) {
+      await this.subscriber.quit();
+      this.subscriber = null;
+    }
+
     if (this.client && this.connected) {
       await this.client.quit();
       this.connected = false;
@@ -159,61 +400,311 @@ class RedisCache {
     }
   }
 
-  // Cache middleware for Express routes
-  cacheMiddleware(ttl = this.ttl) {
+  // Cache middleware for Express routes.
+  // Responses are stored as { data, storedAt } so they can be served after
+  // they stop being fresh, and concurrent misses for a key are coalesced so
+  // only one request (per process, and per cluster through a short Redis
+  // lock) recomputes it.
+  // options.tags(req) returns the tags of the cached response, e.g. ['user:42'].
+  // options.staleWhileRevalidate serves entries up to that many seconds past
+  // their TTL while one request refreshes them in the background.
+  // options.staleIfError serves entries up to that many seconds past their
+  // TTL instead of a 5xx response.
+  // options.lockTtl caps, in seconds, how long others wait for a recompute.
+  cacheMiddleware(ttl = this.ttl, options = {}) {
+    const staleWhileRevalidate = options.staleWhileRevalidate || 0;
+    const staleIfError = options.staleIfError || 0;
+    const lockTtl = options.lockTtl || 5;
+
+    // Entries outlive their freshness so they can still be served stale
+    const storeTtl = ttl + Math.max(staleWhileRevalidate, staleIfError);
+
     return async (req, res, next) => {
-      // Skip caching for non-GET requests or in test mode
-      if (req.method !== 'GET' || this.testMode) {
+      // Skip caching for non-GET requests, and in test mode unless the local tier is on
+      if (req.method !== 'GET' || (this.testMode && !this.local)) {
         return next();
       }
 
       const key = `${req.originalUrl}`;
+      const tags = options.tags ? options.tags(req) : [];
+      const route = routeTemplate(req) || 'unmatched';
+      const target = { key, tags, storeTtl, route };
       
       try {
-        const cachedData = await this.get(key);
-        
-        if (cachedData) {
-          console.log(`Cache hit for ${key}`);
-          res.setHeader('X-Cache', 'HIT');
-          return res.json(cachedData);
+        const entry = await this.getEntry(key, tags);
+        const age = entry ? (Date.now() - entry.storedAt) / 1000 : Infinity;
+
+        if (age < ttl) {
+          log.debug('Cache hit', { key });
+          cacheHits.inc({ route, freshness: 'fresh' });
+          this.setEntryHeaders(res, entry, 'HIT');
+          return res.json(entry.data);
         }
 
-        console.log(`Cache miss for ${key}`);
-        res.setHeader('X-Cache', 'MISS');
+        if (age < ttl + staleWhileRevalidate) {
+          log.debug('Serving stale cache entry while revalidating', { key });
+          cacheHits.inc({ route, freshness: 'stale' });
+          this.setEntryHeaders(res, entry, 'STALE');
+          res.json(entry.data);
 
-        // Store original res.json method
-        const originalJson = res.json;
+          // Whoever else is already recomputing the key will refresh it
+          const recompute = await this.beginRecompute(key, lockTtl);
+          if (recompute && recompute.locked) {
+            return this.revalidate(req, res, next, { ...target, settle: recompute.settle });
+          }
+          if (recompute) recompute.settle(null);
+          return;
+        }
+
+        const staleEntry = age < ttl + staleIfError ? entry : null;
 
-        // Override res.json method to cache the response
-        res.json = async (data) => {
-          // Cache the response data
-          await this.set(key, data, ttl);
-          
-          // Call the original json method
-          return originalJson.call(res, data);
-        };
+        // Another request in this process is already recomputing the key
+        const inflight = this.inflight.get(key);
+        if (inflight) {
+          const shared = await inflight;
+          if (shared !== null) {
+            cacheHits.inc({ route, freshness: 'coalesced' });
+            this.setEntryHeaders(res, shared, 'COALESCED');
+            return res.json(shared.data);
+          }
+          cacheMisses.inc({ route });
+          return this.computeAndCache(req, res, next, { ...target, staleEntry });
+        }
+
+        const recompute = await this.beginRecompute(key, lockTtl);
+        if (!recompute.locked) {
+          // Another replica holds the lock; wait for it to fill the cache
+          const shared = await this.waitForFreshEntry(key, tags, ttl, lockTtl);
+          recompute.settle(shared);
+          if (shared !== null) {
+            cacheHits.inc({ route, freshness: 'coalesced' });
+            this.setEntryHeaders(res, shared, 'COALESCED');
+            return res.json(shared.data);
+          }
+          cacheMisses.inc({ route });
+          return this.computeAndCache(req, res, next, { ...target, staleEntry });
+        }
 
-        next();
+        log.debug('Cache miss', { key });
+        cacheMisses.inc({ route });
+        this.computeAndCache(req, res, next, { ...target, staleEntry, settle: recompute.settle });
       } catch (error) {
-        console.error('Cache middleware error:', error);
+        log.error('Cache middleware error', { err: error });
+        cacheErrors.inc({ route });
         next(); // Continue without caching on error
       }
     };
   }
 
-  // Helper to invalidate cache by pattern
-  async invalidateByPattern(pattern) {
-    if (this.testMode) return 0;
-    
+  // Read a cached response envelope ({ data, storedAt, headers }), or null
+  async getEntry(key, tags) {
+    const entry = await this.get(key, { tags });
+    if (!entry || typeof entry !== 'object' || typeof entry.storedAt !== 'number' || !('data' in entry)) {
+      return null;
+    }
+    return entry;
+  }
+
+  // Become the request that recomputes a key. Resolves { locked, settle }:
+  // locked is false when another replica holds the Redis lock, and
+  // settle(entry) hands the stored entry (or null) to requests coalesced onto this
+  // one. Resolves null when a request in this process already recomputes it.
+  async beginRecompute(key, lockTtl) {
+    if (this.inflight.has(key)) return null;
+
+    // Register before the first await so concurrent requests see it
+    let resolve;
+    this.inflight.set(key, new Promise((done) => { resolve = done; }));
+
+    let settled = false;
+    let locked = false;
+    const settle = (entry) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(timer);
+      this.inflight.delete(key);
+      resolve(entry);
+      if (locked) this.releaseLock(key).catch(() => {});
+    };
+
+    // Don't keep waiters forever if the recompute never responds
+    const timer = setTimeout(() => settle(null), lockTtl * 1000);
+    timer.unref();
+
+    // Without Redis (null) there is nothing to coordinate with, so go ahead
+    const acquired = await this.setIfAbsent(`lock:${key}`, this.instanceId, lockTtl);
+    locked = acquired !== false;
+
+    return { locked, settle };
+  }
+
+  async releaseLock(key) {
+    if (this.testMode) return 1;
+
     return this.circuitBreaker.fire(async () => {
       if (!this.connected || !this.client) return 0;
+
+      return await this.client.eval(RELEASE_LOCK_SCRIPT, {
+        keys: [this.getKey(`lock:${key}`)],
+        arguments: [this.instanceId]
+      });
+    }, 'releaseLock');
+  }
+
+  // Poll for an entry another replica is computing; resolves it, or null
+  // if none appears within maxWait seconds
+  async waitForFreshEntry(key, tags, ttl, maxWait) {
+    const deadline = Date.now() + maxWait * 1000;
+
+    while (Date.now() < deadline) {
+      await new Promise((resolve) => setTimeout(resolve, 50));
+
+      const entry = await this.getEntry(key, tags);
+      if (entry && (Date.now() - entry.storedAt) / 1000 < ttl) {
+        return entry;
+      }
+    }
+    return null;
+  }
+
+  // Store a response envelope for a key, with the response's caching headers.
+  // Resolves the stored entry.
+  async storeEntry({ key, tags, storeTtl }, data, getHeader) {
+    const headers = {};
+    for (const name of CACHED_HEADERS) {
+      const value = getHeader(name);
+      if (value !== undefined) headers[name] = value;
+    }
+
+    const entry = { data, storedAt: Date.now(), headers };
+    await this.setTagged(key, entry, tags, storeTtl);
+    return entry;
+  }
+
+  // Restore a cached response's headers before sending its body; Express
+  // then answers If-None-Match / If-Modified-Since with a 304 by itself
+  setEntryHeaders(res, entry, cacheStatus) {
+    res.setHeader('X-Cache', cacheStatus);
+    for (const [name, value] of Object.entries(entry.headers || {})) {
+      res.setHeader(name, value);
+    }
+  }
+
+  // Run the route and cache a successful response. With a stale entry,
+  // a 5xx response is replaced by the stale copy.
+  computeAndCache(req, res, next, { key, tags, storeTtl, staleEntry, settle = () => {} }) {
+    res.setHeader('X-Cache', 'MISS');
+    res.on('close', () => settle(null));
+
+    // Store original res.json and res.send methods
+    const originalJson = res.json;
+    const originalSend = res.send;
+
+    // Override res.json method to cache the response
+    res.json = async (data) => {
+      // Cache successful responses only
+      if (res.statusCode >= 200 && res.statusCode < 300) {
+        settle(await this.storeEntry({ key, tags, storeTtl }, data, (name) => res.getHeader(name)));
+      }
       
-      const keys = await this.client.keys(`${this.prefix}${pattern}`);
+      // Call the original json method
+      return originalJson.call(res, data);
+    };
+
+    if (staleEntry) {
+      // res.json goes through res.send, so this covers both
+      res.send = (body) => {
+        res.send = originalSend;
+        if (res.statusCode < 500) return originalSend.call(res, body);
+
+        log.warn('Serving stale cache entry instead of an error response', { key, status: res.statusCode });
+        res.status(200);
+        // Drop the error's application/problem+json type so the entry goes out as JSON
+        res.removeHeader('Content-Type');
+        this.setEntryHeaders(res, staleEntry, 'STALE');
+        return originalJson.call(res, staleEntry.data);
+      };
+    }
+
+    next();
+  }
+
+  // Refresh an entry after a stale copy was already sent: the route runs
+  // again against a response that only captures its result
+  revalidate(req, res, next, { key, tags, storeTtl, route, settle }) {
+    // Headers were already sent; collect the route's new ones for the entry
+    const headers = {};
+    res.setHeader = (name, value) => {
+      headers[name.toLowerCase()] = value;
+      return res;
+    };
+
+    res.send = () => {
+      settle(null);
+      return res;
+    };
+    res.json = async (data) => {
+      if (res.statusCode < 200 || res.statusCode >= 300) {
+        settle(null);
+        return res;
+      }
+
+      try {
+        settle(await this.storeEntry({ key, tags, storeTtl }, data, (name) => headers[name.toLowerCase()]));
+      } catch (error) {
+        log.error('Cache revalidation error', { err: error });
+        cacheErrors.inc({ route });
+        settle(null);
+      }
+      return res;
+    };
+
+    next();
+  }
+
+  // Remove every entry cached under a tag.
+  // Resolves the number of entries removed, or null when Redis is unavailable.
+  async invalidateTag(tag) {
+    const localRemoved = this.local ? this.local.deleteTag(tag) : 0;
+
+    if (this.testMode) return localRemoved;
+
+    return this.circuitBreaker.fire(async () => {
+      if (!this.connected || !this.client) return 0;
+
+      // Read and drop the tag in one step; entries cached afterwards start a fresh tag
+      const [keys] = await this.client.multi()
+        .sMembers(this.getTagKey(tag))
+        .del(this.getTagKey(tag))
+        .exec();
+      await this.publishInvalidation('tag', tag);
+
       if (keys.length > 0) {
         return await this.client.del(keys);
       }
       return 0;
-    });
+    }, 'invalidateTag');
+  }
+
+  // Helper to invalidate cache by pattern.
+  // Walks the keyspace with SCAN rather than KEYS so Redis is never blocked.
+  async invalidateByPattern(pattern) {
+    const localRemoved = this.local ? this.local.deleteMatching(pattern) : 0;
+
+    if (this.testMode) return localRemoved;
+    
+    return this.circuitBreaker.fire(async () => {
+      if (!this.connected || !this.client) return 0;
+      
+      let removed = 0;
+      for await (const keys of this.client.scanIterator({ MATCH: `${this.prefix}${pattern}`, COUNT: 100 })) {
+        if (keys.length > 0) {
+          removed += await this.client.del(keys);
+        }
+      }
+      await this.publishInvalidation('pattern', pattern);
+      return removed;
+    }, 'invalidateByPattern');
   }
 }
 
@@ -0,0 +1,30 @@
+/**
+ * Route template a request matched, e.g. '/admin/users/:id'.
+ * Used instead of the raw path wherever a path becomes a metric label or a
+ * span name, so IDs don't create a new series per user.
+ * @param {object} req - Express request, after routing
+ * @returns {string|null} Template, or null if no router handled the request
+ */
+function routeTemplate(req) {
+  // Express resets baseUrl once an error leaves the router, so prefer the remembered one
+  const baseUrl = req.routerBaseUrl !== undefined ? req.routerBaseUrl : req.baseUrl;
+
+  if (req.route) return `${baseUrl}${req.route.path}`;
+
+  // Answered by router-level middleware (e.g. authentication) before a route matched
+  if (baseUrl) return `${baseUrl}/*`;
+
+  return null;
+}
+
+/**
+ * Middleware to mount in front of a router: remembers the router's mount path
+ * so errors rendered by the app-level error handler keep their route template
+ */
+function rememberBaseUrl(req, res, next) {
+  req.routerBaseUrl = req.baseUrl;
+  next();
+}
+
+module.exports = routeTemplate;
+module.exports.rememberBaseUrl = rememberBaseUrl;
@@ -0,0 +1,172 @@
+const { logger } = require('./logger');
+
+const log = logger.child({ component: 'shutdown' });
+
+/**
+ * Shutdown phases, in the order they run:
+ * - stop: stop accepting new connections (readiness already fails by then)
+ * - drain: wait for in-flight requests to finish
+ * - close: close clients and flush buffers (Redis, database, telemetry)
+ */
+const SHUTDOWN_PHASES = ['stop', 'drain', 'close'];
+
+/**
+ * Reject if a promise doesn't settle in time
+ * @param {Promise} promise - Work to wait for
+ * @param {number} timeoutMs - Time limit in milliseconds
+ * @returns {Promise<*>} Result of the promise
+ */
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Runs registered shutdown hooks once, phase by phase, and reports an exit code.
+ * Nothing here exits the process except the signal handlers installed by
+ * listen(), and they exit through the injected `exit` function.
+ */
+class ShutdownCoordinator {
+  /**
+   * @param {object} [options] - Coordinator options
+   * @param {number} [options.timeoutMs=5000] - Default time limit per hook
+   * @param {Function} [options.exit] - Called with the exit code after a signal, defaults to process.exit
+   */
+  constructor(options = {}) {
+    this.timeoutMs = options.timeoutMs || 5000;
+    this.exit = options.exit || ((code) => process.exit(code));
+    this.hooks = [];
+    this.shuttingDown = false;
+    this.result = null;
+  }
+
+  /**
+   * Register a hook. Hooks of a phase run one after another, in registration order.
+   * @param {string} name - Step name for logs
+   * @param {Function} hook - Function to run, may return a promise
+   * @param {object} [options] - Hook options
+   * @param {string} [options.phase='close'] - One of SHUTDOWN_PHASES
+   * @param {number} [options.timeoutMs] - Time limit, defaults to the coordinator's
+   * @returns {ShutdownCoordinator} This coordinator
+   */
+  register(name, hook, options = {}) {
+    const phase = options.phase || 'close';
+    if (!SHUTDOWN_PHASES.includes(phase)) {
+      throw new Error(`Unknown shutdown phase: ${phase}`);
+    }
+
+    this.hooks.push({ name, hook, phase, timeoutMs: options.timeoutMs || this.timeoutMs });
+    return this;
+  }
+
+  /**
+   * Middleware asking clients to close keep-alive connections once shutdown
+   * has started, so draining isn't held up by idle connections
+   * @returns {Function} Express middleware
+   */
+  middleware() {
+    return (req, res, next) => {
+      if (this.shuttingDown) {
+        res.setHeader('Connection', 'close');
+      }
+      next();
+    };
+  }
+
+  /**
+   * Run every hook. Later calls return the first call's result.
+   * A failing or slow hook is logged and doesn't stop the ones after it.
+   * @param {string} [reason] - Why, e.g. the signal name
+   * @returns {Promise<number>} Exit code: 0 if every hook succeeded, 1 otherwise
+   */
+  shutdown(reason = 'requested') {
+    if (!this.result) {
+      this.shuttingDown = true;
+      this.result = this.runHooks(reason);
+    }
+    return this.result;
+  }
+
+  async runHooks(reason) {
+    log.info('Shutting down', { reason });
+    let failed = false;
+
+    for (const phase of SHUTDOWN_PHASES) {
+      for (const { name, hook, timeoutMs } of this.hooks.filter(entry => entry.phase === phase)) {
+        try {
+          await withTimeout(Promise.resolve().then(hook), timeoutMs);
+          log.info('Shutdown step done', { step: name, phase });
+        } catch (err) {
+          failed = true;
+          log.error('Shutdown step failed', { step: name, phase, err });
+        }
+      }
+    }
+
+    const exitCode = failed ? 1 : 0;
+    log.info('Shutdown complete', { exitCode });
+    return exitCode;
+  }
+
+  /**
+   * Shut down and exit on the given signals. A second signal exits at once.
+   * @param {string[]} [signals=['SIGINT', 'SIGTERM']] - Signals to handle
+   * @returns {Function} Removes the handlers again
+   */
+  listen(signals = ['SIGINT', 'SIGTERM']) {
+    const onSignal = (signal) => {
+      if (this.shuttingDown) {
+        log.warn('Received another signal during shutdown, exiting now', { signal });
+        this.exit(1);
+        return;
+      }
+      this.shutdown(signal).then((exitCode) => this.exit(exitCode));
+    };
+
+    for (const signal of signals) {
+      process.on(signal, onSignal);
+    }
+    return () => {
+      for (const signal of signals) {
+        process.removeListener(signal, onSignal);
+      }
+    };
+  }
+}
+
+/**
+ * Stop an HTTP server from accepting connections and wait for in-flight
+ * requests to finish. Connections still open at the deadline are destroyed.
+ * @param {http.Server} server - Listening server
+ * @param {number} timeoutMs - Drain deadline in milliseconds
+ * @returns {Promise<void>} Resolves once every connection is closed; rejects if the deadline forced them
+ */
+function closeServer(server, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    // Keep-alive connections go idle as their requests finish; close them
+    // then instead of waiting for the keep-alive timeout
+    const sweep = setInterval(() => server.closeIdleConnections(), 100);
+
+    const timer = setTimeout(() => {
+      clearInterval(sweep);
+      server.closeAllConnections();
+      reject(new Error(`Requests still in flight after ${timeoutMs}ms, connections closed`));
+    }, timeoutMs);
+
+    server.close((err) => {
+      clearInterval(sweep);
+      clearTimeout(timer);
+      if (err) return reject(err);
+      resolve();
+    });
+  });
+}
+
+module.exports = {
+  ShutdownCoordinator,
+  SHUTDOWN_PHASES,
+  closeServer
+};
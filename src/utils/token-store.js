@@ -0,0 +1,188 @@
+/**
+ * Token state stores.
+ *
+ * A token store keeps the server-side state needed for refresh token
+ * rotation. Every implementation exposes the same async interface:
+ *
+ *   markRefreshTokenUsed(jti, ttl) -> true on first use, false if already used
+ *   revokeFamily(familyId, ttl)    -> marks every token of a family as revoked
+ *   isFamilyRevoked(familyId)      -> true when the family has been revoked
+ *
+ * and the access token revocation list checked on every authenticated request:
+ *
+ *   revokeAccessToken(jti, ttl)                 -> revokes a single token by ID
+ *   revokeUserTokensBefore(userId, before, ttl) -> revokes every token of a user issued before `before` (ms)
+ *   getRevocationState(jti, userId)             -> { tokenRevoked, revokedBefore }
+ *
+ * TTLs are in seconds and should match the lifetime of the tokens involved so
+ * entries disappear once the tokens they describe have expired anyway.
+ * Methods throw an error with code ETOKENSTORE when the backing store cannot
+ * be reached, leaving the fail-open/fail-closed decision to the caller.
+ */
+
+const { DependencyUnavailableError } = require('./errors');
+
+/**
+ * Build the error thrown when the backing store cannot be reached
+ * @returns {Error} Token store unavailable error
+ */
+function tokenStoreUnavailableError() {
+  const error = new Error('Token store unavailable');
+  error.code = 'ETOKENSTORE';
+  return error;
+}
+
+/**
+ * Token store backed by Redis through RedisCache
+ */
+class RedisTokenStore {
+  constructor(redisCache) {
+    this.redisCache = redisCache;
+  }
+
+  async markRefreshTokenUsed(jti, ttl) {
+    const firstUse = await this.redisCache.setIfAbsent(`refresh-used:${jti}`, Date.now(), ttl);
+
+    // Fail closed: without Redis we cannot tell whether the token was used
+    if (firstUse === null || firstUse === undefined) {
+      throw tokenStoreUnavailableError();
+    }
+
+    return firstUse;
+  }
+
+  async revokeFamily(familyId, ttl) {
+    const result = await this.redisCache.set(`refresh-family-revoked:${familyId}`, Date.now(), ttl);
+    if (result === null || result === undefined) {
+      throw tokenStoreUnavailableError();
+    }
+  }
+
+  async isFamilyRevoked(familyId) {
+    const revokedAt = await this.redisCache.get(`refresh-family-revoked:${familyId}`);
+    return revokedAt !== null && revokedAt !== undefined;
+  }
+
+  async revokeAccessToken(jti, ttl) {
+    const result = await this.redisCache.set(`access-revoked:${jti}`, Date.now(), ttl);
+    if (result === null || result === undefined) {
+      throw tokenStoreUnavailableError();
+    }
+  }
+
+  async revokeUserTokensBefore(userId, before, ttl) {
+    const result = await this.redisCache.set(`user-tokens-revoked-before:${userId}`, before, ttl);
+    if (result === null || result === undefined) {
+      throw tokenStoreUnavailableError();
+    }
+  }
+
+  async getRevocationState(jti, userId) {
+    const values = await this.redisCache.mget([
+      `access-revoked:${jti}`,
+      `user-tokens-revoked-before:${userId}`
+    ]);
+
+    if (!values) {
+      throw tokenStoreUnavailableError();
+    }
+
+    return {
+      tokenRevoked: values[0] !== null,
+      revokedBefore: values[1] !== null ? Number(values[1]) : null
+    };
+  }
+}
+
+/**
+ * In-memory token store for tests and single-instance development
+ */
+class MemoryTokenStore {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  // Read a key, dropping it if its TTL has passed
+  read(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    return entry.value;
+  }
+
+  write(key, value, ttl) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttl * 1000 });
+  }
+
+  async markRefreshTokenUsed(jti, ttl) {
+    const key = `refresh-used:${jti}`;
+    if (this.read(key) !== null) return false;
+
+    this.write(key, Date.now(), ttl);
+    return true;
+  }
+
+  async revokeFamily(familyId, ttl) {
+    this.write(`refresh-family-revoked:${familyId}`, Date.now(), ttl);
+  }
+
+  async isFamilyRevoked(familyId) {
+    return this.read(`refresh-family-revoked:${familyId}`) !== null;
+  }
+
+  async revokeAccessToken(jti, ttl) {
+    this.write(`access-revoked:${jti}`, Date.now(), ttl);
+  }
+
+  async revokeUserTokensBefore(userId, before, ttl) {
+    this.write(`user-tokens-revoked-before:${userId}`, before, ttl);
+  }
+
+  async getRevocationState(jti, userId) {
+    return {
+      tokenRevoked: this.read(`access-revoked:${jti}`) !== null,
+      revokedBefore: this.read(`user-tokens-revoked-before:${userId}`)
+    };
+  }
+}
+
+/**
+ * Create the token store for the current environment
+ * @param {RedisCache} redisCache - Shared Redis cache instance
+ * @returns {RedisTokenStore|MemoryTokenStore} Token store
+ */
+function createTokenStore(redisCache) {
+  // RedisCache is a no-op in test mode, so keep token state in memory instead
+  if (redisCache.testMode) {
+    return new MemoryTokenStore();
+  }
+
+  return new RedisTokenStore(redisCache);
+}
+
+/**
+ * Error for a change that went through although revoking the user's older
+ * sessions afterwards failed. Other errors are returned unchanged.
+ * @param {string} done - What succeeded, e.g. 'Password changed'
+ * @param {Error} err - Error from revokeUserTokensBefore
+ * @returns {Error} Error to throw
+ */
+function sessionsNotRevoked(done, err) {
+  if (err.code !== 'ETOKENSTORE') return err;
+  return new DependencyUnavailableError(`${done}, but existing sessions could not be logged out. Please try again later.`, {
+    code: 'session_revocation_failed',
+    cause: err
+  });
+}
+
+module.exports = {
+  sessionsNotRevoked,
+  RedisTokenStore,
+  MemoryTokenStore,
+  createTokenStore
+};
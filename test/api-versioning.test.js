@@ -0,0 +1,121 @@
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.DB_DIALECT = 'sqlite';
+
+const request = require('supertest');
+const promClient = require('prom-client');
+const { connectToDatabase } = require('../src/config/database');
+const { app, mailer } = require('../src/app');
+
+const credentials = { email: 'versioned@example.com', password: 'password123' };
+
+let server;
+let userId;
+let accessToken;
+
+beforeAll(async () => {
+  await connectToDatabase();
+  server = app.listen(0);
+});
+
+afterAll(async () => {
+  if (server) {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+/**
+ * Requests counted for a deprecated route
+ * @param {string} route - Route template, e.g. '/:id'
+ * @returns {Promise<number>} Count, 0 if the route wasn't used yet
+ */
+async function legacyRequests(route) {
+  const metric = await promClient.register.getSingleMetric('legacy_api_requests_total').get();
+  const series = metric.values.find(value => value.labels.route === route);
+  return series ? series.value : 0;
+}
+
+describe('/v1 API', () => {
+  test('POST /v1/auth/signup and /v1/auth/login', async () => {
+    const signup = await request(server).post('/v1/auth/signup').send({ name: 'Versioned User', ...credentials });
+    expect(signup.statusCode).toBe(201);
+
+    const login = await request(server).post('/v1/auth/login').send(credentials);
+    expect(login.statusCode).toBe(200);
+    expect(login.headers).not.toHaveProperty('deprecation');
+
+    ({ userId, accessToken } = login.body);
+  });
+
+  test('signup emails link to /v1/auth/verify-email', async () => {
+    const link = new URL(mailer.lastMailTo(credentials.email).text.match(/https?:\/\/\S+/)[0]);
+    expect(link.pathname).toBe('/v1/auth/verify-email');
+
+    const res = await request(server).get(`${link.pathname}${link.search}`);
+    expect(res.statusCode).toBe(200);
+  });
+
+  test('PATCH /v1/users/me updates the caller', async () => {
+    const res = await request(server).patch('/v1/users/me')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ name: 'Renamed User' });
+    expect(res.statusCode).toBe(200);
+
+    const profile = await request(server).get(`/v1/users/${userId}`);
+    expect(profile.statusCode).toBe(200);
+    expect(profile.body.name).toBe('Renamed User');
+    expect(profile.headers).not.toHaveProperty('deprecation');
+  });
+
+  test('POST /v1/users/me/password and /v1/auth/refresh', async () => {
+    const changed = await request(server).post('/v1/users/me/password')
+      .set('Authorization', `Bearer ${accessToken}`)
+      .send({ oldPassword: credentials.password, newPassword: 'newPassword1' });
+    expect(changed.statusCode).toBe(200);
+    credentials.password = 'newPassword1';
+
+    const refreshed = await request(server).post('/v1/auth/refresh').send({ refreshToken: changed.body.refreshToken });
+    expect(refreshed.statusCode).toBe(200);
+    accessToken = refreshed.body.accessToken;
+  });
+});
+
+describe('Legacy paths', () => {
+  test('keep working, with Deprecation, Sunset and successor Link headers', async () => {
+    const res = await request(server).get(`/${userId}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.name).toBe('Renamed User');
+    expect(res.headers.deprecation).toBe('@1792368000');
+    expect(res.headers.sunset).toBe('Fri, 30 Apr 2027 00:00:00 GMT');
+    expect(res.headers.link).toBe(`</v1/users/${userId}>; rel="successor-version", </docs>; rel="deprecation"`);
+  });
+
+  test('send the headers on errors too', async () => {
+    const res = await request(server).post('/update').send({ name: 'Nobody' });
+
+    expect(res.statusCode).toBe(401);
+    expect(res.headers.deprecation).toBe('@1792368000');
+    expect(res.headers.link).toContain('</v1/users/me>; rel="successor-version"');
+  });
+
+  test('are counted by route', async () => {
+    const before = await legacyRequests('/login');
+
+    await request(server).post('/login').send(credentials);
+    await request(server).post('/login').send(credentials);
+
+    expect(await legacyRequests('/login')).toBe(before + 2);
+  });
+
+  test('GET /:id matches numeric IDs only', async () => {
+    const before = await legacyRequests('/:id');
+
+    const res = await request(server).get('/not-a-route');
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.code).toBe('route_not_found');
+    expect(res.headers).not.toHaveProperty('deprecation');
+    expect(await legacyRequests('/:id')).toBe(before);
+  });
+});
@@ -0,0 +1,216 @@
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.DB_DIALECT = 'sqlite';
+
+const request = require('supertest');
+const { loadConfig, redactConfig } = require('../src/config/config');
+const { connectToDatabase } = require('../src/config/database');
+const { bootstrapAdmin } = require('../src/config/admin-bootstrap');
+const { app } = require('../src/app');
+
+// Passes every production check
+const PRODUCTION_ENV = {
+  NODE_ENV: 'production',
+  JWT_SECRET: 'a-production-secret-of-at-least-32-chars',
+  DB_PASSWORD: 'a-real-password',
+  APP_BASE_URL: 'https://cinerate.example.com',
+  SMTP_HOST: 'smtp.example.com'
+};
+
+/**
+ * Load a configuration and return the problems it was rejected for
+ * @param {object} env - Environment variables
+ * @returns {string[]} Problems, empty if the configuration is valid
+ */
+function problemsWith(env) {
+  try {
+    loadConfig(env);
+    return [];
+  } catch (err) {
+    expect(err.code).toBe('ECONFIG');
+    return err.details;
+  }
+}
+
+describe('loadConfig', () => {
+  test('applies defaults for an empty environment', () => {
+    const config = loadConfig({});
+
+    expect(config.env).toBe('development');
+    expect(config.server.port).toBe(3001);
+    expect(config.database.pool).toEqual({ max: 10, min: 2, acquireMs: 60000, idleMs: 20000, evictMs: 30000 });
+    expect(config.database.circuitBreaker.timeoutMs).toBe(10000);
+    expect(config.redis.url).toBe('redis://localhost:6379');
+    expect(config.cache.profile).toEqual({ ttlSeconds: 300, staleWhileRevalidateSeconds: 60, staleIfErrorSeconds: 600 });
+    expect(config.mail.transport).toBe('file');
+    expect(config.auth.passwordResetUrl).toBe('http://localhost:3001/v1/auth/reset-password');
+  });
+
+  test('accepts the forms Express takes for TRUST_PROXY', () => {
+    expect(loadConfig({}).server.trustProxy).toBe(false);
+    expect(loadConfig({ TRUST_PROXY: '2' }).server.trustProxy).toBe(2);
+    expect(loadConfig({ TRUST_PROXY: 'loopback, 10.0.0.0/8' }).server.trustProxy).toEqual(['loopback', '10.0.0.0/8']);
+    expect(problemsWith({ TRUST_PROXY: '10.0.0.0/33' })[0]).toContain('"TRUST_PROXY" must be');
+    expect(problemsWith({ TRUST_PROXY: 'gateway' })[0]).toContain('"TRUST_PROXY" must be');
+  });
+
+  test('sends reset links to PASSWORD_RESET_URL when set', () => {
+    expect(loadConfig({ PASSWORD_RESET_URL: 'https://cinerate.example.com/reset' }).auth.passwordResetUrl)
+      .toBe('https://cinerate.example.com/reset');
+    expect(problemsWith({ PASSWORD_RESET_URL: 'not a url' })).toEqual(['"PASSWORD_RESET_URL" must be a valid uri with a scheme matching the http|https pattern']);
+  });
+
+  test('converts values and treats empty variables as unset', () => {
+    const config = loadConfig({ PORT: '8080', REQUIRE_EMAIL_VERIFICATION: 'true', DB_POOL_MAX: '', MIGRATE_ON_STARTUP: 'false' });
+
+    expect(config.server.port).toBe(8080);
+    expect(config.auth.requireEmailVerification).toBe(true);
+    expect(config.database.pool.max).toBe(10);
+    expect(config.database.migrateOnStartup).toBe(false);
+  });
+
+  test('reports every invalid setting at once', () => {
+    const problems = problemsWith({
+      PORT: 'eighty',
+      DB_BREAKER_ERROR_PERCENT: '150',
+      ACCESS_TOKEN_TTL: 'soon',
+      DB_DIALECT: 'mysql',
+      DB_POOL_MAX: '5',
+      DB_POOL_MIN: '8'
+    });
+
+    expect(problems).toEqual([
+      '"PORT" must be a number',
+      '"ACCESS_TOKEN_TTL" must be a duration such as "15m", "3h" or "7d"',
+      '"DB_DIALECT" must be one of [postgres, sqlite]',
+      '"DB_POOL_MIN" must not exceed DB_POOL_MAX',
+      '"DB_BREAKER_ERROR_PERCENT" must be less than or equal to 100'
+    ]);
+  });
+
+  test('validates the log level and format', () => {
+    expect(loadConfig(PRODUCTION_ENV).log).toEqual({ level: 'info', format: 'json' });
+    expect(problemsWith({ LOG_LEVEL: 'verbose', LOG_FORMAT: 'xml' })).toEqual([
+      '"LOG_LEVEL" must be one of [error, warn, info, debug, silent]',
+      '"LOG_FORMAT" must be one of [json, pretty]'
+    ]);
+  });
+
+  test('checks settings that depend on each other', () => {
+    expect(problemsWith({ MAIL_TRANSPORT: 'smtp' })).toEqual(['SMTP_HOST is required when MAIL_TRANSPORT is "smtp"']);
+    expect(problemsWith({ ADMIN_BOOTSTRAP_EMAIL: 'admin@example.com' })[0]).toContain('ADMIN_BOOTSTRAP_PASSWORD');
+    expect(problemsWith({ LEGACY_API_DEPRECATED_AT: '2027-01-01', LEGACY_API_SUNSET_AT: '2026-12-01' }))
+      .toEqual(['"LEGACY_API_SUNSET_AT" must be after LEGACY_API_DEPRECATED_AT']);
+  });
+
+  test('accepts a safe production configuration', () => {
+    const config = loadConfig(PRODUCTION_ENV);
+
+    expect(config.database.schemaCheck).toBe('fail');
+    expect(config.log.format).toBe('json');
+  });
+
+  test('refuses development defaults in production', () => {
+    const problems = problemsWith({ NODE_ENV: 'production', USE_MOCK_DB: 'true', DB_PASSWORD: 'postgres' });
+
+    expect(problems).toEqual([
+      'JWT_SECRET is required in production',
+      'USE_MOCK_DB must not be enabled in production',
+      'DB_PASSWORD is required in production and must not be the default',
+      'APP_BASE_URL is required in production; links in emails would point to localhost',
+      'SMTP_HOST is required in production; emails would be written to files instead of sent'
+    ]);
+  });
+
+  test('refuses mail transports that never deliver in production', () => {
+    expect(loadConfig(PRODUCTION_ENV).mail.transport).toBe('smtp');
+    expect(problemsWith({ ...PRODUCTION_ENV, MAIL_TRANSPORT: 'file' }))
+      .toEqual(['MAIL_TRANSPORT must not be "file" in production; emails would never reach users']);
+    expect(problemsWith({ ...PRODUCTION_ENV, MAIL_TRANSPORT: 'memory' }))
+      .toEqual(['MAIL_TRANSPORT must not be "memory" in production; emails would never reach users']);
+    expect(problemsWith({ ...PRODUCTION_ENV, SMTP_HOST: undefined, MAIL_TRANSPORT: 'smtp' }))
+      .toEqual(['SMTP_HOST is required when MAIL_TRANSPORT is "smtp"']);
+  });
+
+  test('refuses short JWT secrets in production', () => {
+    expect(problemsWith({ ...PRODUCTION_ENV, JWT_SECRET: 'short' }))
+      .toEqual(['JWT_SECRET must be at least 32 characters long in production']);
+  });
+
+  test('does not ask for DB_PASSWORD when DATABASE_URL is set', () => {
+    const env = { ...PRODUCTION_ENV, DB_PASSWORD: undefined, DATABASE_URL: 'postgres://app:secret@db:5432/users' };
+
+    expect(problemsWith(env)).toEqual([]);
+  });
+
+  test('lists the problems in the error message', () => {
+    expect(() => loadConfig({ PORT: '0' })).toThrow('Invalid configuration:\n  - "PORT" must be greater than or equal to 1');
+  });
+});
+
+describe('redactConfig', () => {
+  test('hides secrets and passwords in URLs, and leaves unset secrets null', () => {
+    const config = loadConfig({
+      ...PRODUCTION_ENV,
+      DATABASE_URL: 'postgres://app:secret@db:5432/users',
+      REDIS_URL: 'redis://:hunter2@cache:6379'
+    });
+
+    const redacted = redactConfig(config);
+
+    expect(redacted.auth.jwtSecret).toBe('[REDACTED]');
+    expect(redacted.database.password).toBe('[REDACTED]');
+    expect(redacted.database.url).toBe('postgres://app:[REDACTED]@db:5432/users');
+    expect(redacted.redis.url).toBe('redis://:[REDACTED]@cache:6379');
+    expect(redacted.mail.smtp.password).toBeNull();
+    expect(JSON.stringify(redacted)).not.toMatch(/secret@|hunter2|a-real-password|a-production-secret/);
+
+    // The original is untouched
+    expect(config.auth.jwtSecret).toBe(PRODUCTION_ENV.JWT_SECRET);
+  });
+});
+
+describe('GET /admin/config', () => {
+  let server;
+  let adminToken;
+  let memberToken;
+
+  beforeAll(async () => {
+    await connectToDatabase();
+    server = app.listen(0);
+
+    await bootstrapAdmin({ email: 'admin@example.com', password: 'adminPassword1' });
+    const admin = await request(server).post('/login').send({ email: 'admin@example.com', password: 'adminPassword1' });
+    adminToken = admin.body.accessToken;
+
+    await request(server).post('/signup').send({ name: 'Member', email: 'member@example.com', password: 'password123' });
+    const member = await request(server).post('/login').send({ email: 'member@example.com', password: 'password123' });
+    memberToken = member.body.accessToken;
+  });
+
+  afterAll(async () => {
+    if (server) {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  test('requires a token', async () => {
+    const res = await request(server).get('/admin/config');
+    expect(res.statusCode).toBe(401);
+  });
+
+  test('is limited to admins', async () => {
+    const res = await request(server).get('/admin/config').set('Authorization', `Bearer ${memberToken}`);
+    expect(res.statusCode).toBe(403);
+  });
+
+  test('returns the effective configuration without secrets', async () => {
+    const res = await request(server).get('/admin/config').set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.env).toBe('test');
+    expect(res.body.database.dialect).toBe('sqlite');
+    expect(res.body.auth.jwtSecret).toBe('[REDACTED]');
+    expect(JSON.stringify(res.body)).not.toContain(process.env.JWT_SECRET);
+  });
+});
@@ -0,0 +1,45 @@
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.DB_DIALECT = 'sqlite';
+process.env.MIGRATE_ON_STARTUP = 'false';
+process.env.SCHEMA_CHECK = 'fail';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { connectToDatabase, getSequelize, closeDatabase } = require('../src/config/database');
+
+describe('connectToDatabase', () => {
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'cinerate-db-'));
+  });
+
+  afterAll(async () => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    await closeDatabase();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('closes a failed connection and exits if the retry finds the schema behind', async () => {
+    jest.useFakeTimers();
+    let exited;
+    const exit = new Promise((resolve) => { exited = resolve; });
+    jest.spyOn(process, 'exit').mockImplementation(code => exited(code));
+
+    // A file is in the way of the database's directory
+    const storage = path.join(dir, 'data', 'users.sqlite');
+    fs.writeFileSync(path.dirname(storage), '');
+    await connectToDatabase(undefined, { storage });
+    expect(getSequelize()).toBeNull();
+
+    // The retry connects, but finds an empty database with migrations pending
+    fs.rmSync(path.dirname(storage));
+    jest.advanceTimersByTime(5000);
+    jest.useRealTimers();
+
+    expect(await exit).toBe(1);
+  });
+});
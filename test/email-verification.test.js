@@ -0,0 +1,97 @@
+// Set NODE_ENV to 'test' before importing app
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.DB_DIALECT = 'sqlite';
+process.env.REQUIRE_EMAIL_VERIFICATION = 'true';
+
+const request = require('supertest');
+
+const { connectToDatabase } = require('../src/config/database');
+const { app, mailer } = require('../src/app');
+
+let server;
+
+beforeAll(async () => {
+  await connectToDatabase();
+  server = app.listen(0);
+});
+
+afterAll(async () => {
+  if (server) {
+    await new Promise((resolve) => {
+      server.close(resolve);
+    });
+  }
+});
+
+describe('Login with required email verification', () => {
+  const credentials = { email: 'unverified@example.com', password: 'password123' };
+
+  beforeAll(async () => {
+    await request(server).post('/signup').send({ name: 'Unverified User', ...credentials });
+  });
+
+  test('POST /login - should refuse unverified accounts', async () => {
+    const res = await request(server).post('/login').send(credentials);
+
+    expect(res.statusCode).toBe(403);
+    expect(res.body.detail).toBe('Email address not verified');
+  });
+
+  test('POST /login - should allow the account once verified', async () => {
+    const mail = mailer.lastMailTo(credentials.email);
+    const link = new URL(mail.text.match(/https?:\/\/\S+/)[0]);
+
+    const verify = await request(server).get(`${link.pathname}${link.search}`);
+    expect(verify.statusCode).toBe(200);
+
+    const res = await request(server).post('/login').send(credentials);
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toHaveProperty('accessToken');
+  });
+});
+
+describe('Changing the email address', () => {
+  const credentials = { email: 'mover@example.com', password: 'password123' };
+
+  /**
+   * Open the last verification link mailed to an address
+   * @param {string} email - Recipient
+   * @returns {Promise<object>} supertest response
+   */
+  const verify = (email) => {
+    const link = new URL(mailer.lastMailTo(email).text.match(/https?:\/\/\S+/)[0]);
+    return request(server).get(`${link.pathname}${link.search}`);
+  };
+
+  test('POST /update - should require the new address to be verified', async () => {
+    await request(server).post('/signup').send({ name: 'Mover', ...credentials });
+    await verify(credentials.email);
+    const login = await request(server).post('/login').send(credentials);
+
+    const res = await request(server).post('/update')
+      .set('Authorization', `Bearer ${login.body.accessToken}`)
+      .send({ email: 'not-mine@example.com' });
+    expect(res.statusCode).toBe(200);
+
+    const refused = await request(server).post('/login').send({ ...credentials, email: 'not-mine@example.com' });
+    expect(refused.statusCode).toBe(403);
+    expect(refused.body.code).toBe('email_not_verified');
+
+    expect((await verify('not-mine@example.com')).statusCode).toBe(200);
+    const allowed = await request(server).post('/login').send({ ...credentials, email: 'not-mine@example.com' });
+    expect(allowed.statusCode).toBe(200);
+  });
+
+  test('POST /update - should keep the address verified when it does not change', async () => {
+    const login = await request(server).post('/login').send({ ...credentials, email: 'not-mine@example.com' });
+
+    const res = await request(server).post('/update')
+      .set('Authorization', `Bearer ${login.body.accessToken}`)
+      .send({ name: 'Mover Again', email: 'not-mine@example.com' });
+    expect(res.statusCode).toBe(200);
+
+    const again = await request(server).post('/login').send({ ...credentials, email: 'not-mine@example.com' });
+    expect(again.statusCode).toBe(200);
+  });
+});
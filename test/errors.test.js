@@ -0,0 +1,146 @@
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.DB_DIALECT = 'sqlite';
+
+const request = require('supertest');
+const { ConnectionRefusedError, DatabaseError } = require('sequelize');
+const { connectToDatabase, getUser } = require('../src/config/database');
+const { app, dbCircuitBreaker } = require('../src/app');
+const { toAppError } = require('../src/middleware/error.middleware');
+const { AppError, TooManyRequestsError } = require('../src/utils/errors');
+
+let server;
+let userId;
+
+beforeAll(async () => {
+  await connectToDatabase();
+  server = app.listen(0);
+
+  await request(server).post('/signup').send({ name: 'Problem User', email: 'problem@example.com', password: 'password123' });
+  const login = await request(server).post('/login').send({ email: 'problem@example.com', password: 'password123' });
+  userId = login.body.userId;
+});
+
+afterAll(async () => {
+  if (server) {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+/**
+ * Error the opossum breaker rejects with while open
+ * @returns {Error} Breaker error
+ */
+function openBreakerError() {
+  const error = new Error('Breaker is open');
+  error.code = 'EOPENBREAKER';
+  return error;
+}
+
+describe('Problem responses', () => {
+  test('are application/problem+json with a stable code', async () => {
+    const res = await request(server).get('/999999').set('X-Request-Id', 'req-404');
+
+    expect(res.statusCode).toBe(404);
+    expect(res.headers['content-type']).toMatch(/^application\/problem\+json/);
+    expect(res.body).toEqual({
+      type: 'about:blank',
+      title: 'Not Found',
+      status: 404,
+      detail: 'User not found',
+      code: 'user_not_found',
+      instance: '/999999',
+      requestId: 'req-404'
+    });
+  });
+
+  test('cover routes that do not exist', async () => {
+    const res = await request(server).post('/no-such-route');
+
+    expect(res.statusCode).toBe(404);
+    expect(res.body.code).toBe('route_not_found');
+  });
+
+  test('list every invalid field on validation errors', async () => {
+    const res = await request(server).post('/signup').send({ email: 'not-an-email' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.code).toBe('validation_failed');
+    expect(res.body.errors.map(error => error.field).sort()).toEqual(['email', 'name', 'password']);
+  });
+
+  test('reject malformed JSON bodies', async () => {
+    const res = await request(server).post('/login').set('Content-Type', 'application/json').send('{"email":');
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.code).toBe('malformed_json');
+  });
+
+  test('keep the WWW-Authenticate challenge on 401s', async () => {
+    const res = await request(server).get('/me/export');
+
+    expect(res.statusCode).toBe(401);
+    expect(res.headers['www-authenticate']).toBe('Bearer');
+    expect(res.body.code).toBe('token_missing');
+  });
+
+  test('report conflicts with 409', async () => {
+    const res = await request(server).post('/signup').send({ name: 'Again', email: 'problem@example.com', password: 'password123' });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.code).toBe('email_in_use');
+  });
+});
+
+describe('Internal errors', () => {
+  test('do not leak database messages', async () => {
+    const cause = new Error('relation "users" does not exist');
+    cause.sql = 'SELECT "id", "password" FROM "users" WHERE "id" = 1;';
+    jest.spyOn(getUser(), 'findByPk').mockRejectedValue(new DatabaseError(cause));
+
+    const res = await request(server).get(`/${userId}?fresh=1`);
+
+    expect(res.statusCode).toBe(500);
+    expect(res.body.code).toBe('internal_error');
+    expect(res.body.detail).toBe('An unexpected error occurred');
+    expect(JSON.stringify(res.body)).not.toMatch(/relation|SELECT|password/);
+  });
+
+  test('map an open circuit breaker to 503', async () => {
+    jest.spyOn(dbCircuitBreaker, 'fire').mockRejectedValue(openBreakerError());
+
+    const res = await request(server).post('/login').send({ email: 'problem@example.com', password: 'password123' });
+
+    expect(res.statusCode).toBe(503);
+    expect(res.body.code).toBe('dependency_unavailable');
+    expect(res.body.detail).not.toContain('Breaker');
+  });
+});
+
+describe('toAppError', () => {
+  test('keeps typed errors as they are', () => {
+    const error = new TooManyRequestsError('Slow down', 30);
+
+    expect(toAppError(error)).toBe(error);
+    expect(error).toMatchObject({ status: 429, code: 'too_many_requests', headers: { 'Retry-After': '30' }, extensions: { retryAfter: 30 } });
+  });
+
+  test.each([
+    ['an open breaker', openBreakerError(), 503, 'dependency_unavailable'],
+    ['a breaker timeout', Object.assign(new Error('Timed out after 10000ms'), { code: 'ETIMEDOUT' }), 503, 'dependency_unavailable'],
+    ['an unreachable token store', Object.assign(new Error('Token store unavailable'), { code: 'ETOKENSTORE' }), 503, 'dependency_unavailable'],
+    ['a refused database connection', new ConnectionRefusedError(new Error('connect ECONNREFUSED 10.0.0.5:5432')), 503, 'dependency_unavailable'],
+    ['a database error', new DatabaseError(new Error('syntax error at or near "FROM"')), 500, 'internal_error'],
+    ['anything else', new TypeError("Cannot read properties of undefined (reading 'id')"), 500, 'internal_error']
+  ])('maps %s', (name, err, status, code) => {
+    const error = toAppError(err);
+
+    expect(error).toBeInstanceOf(AppError);
+    expect(error).toMatchObject({ status, code, cause: err });
+    expect(error.message).not.toBe(err.message);
+  });
+});
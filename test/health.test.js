@@ -0,0 +1,166 @@
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.DB_DIALECT = 'sqlite';
+
+const request = require('supertest');
+const { connectToDatabase, getSequelize } = require('../src/config/database');
+const { bootstrapAdmin } = require('../src/config/admin-bootstrap');
+const { app, redisCache, shutdown } = require('../src/app');
+
+let server;
+let adminToken;
+let memberToken;
+
+beforeAll(async () => {
+  await connectToDatabase();
+  server = app.listen(0);
+
+  await bootstrapAdmin({ email: 'admin@example.com', password: 'adminPassword1' });
+  const admin = await request(server).post('/login').send({ email: 'admin@example.com', password: 'adminPassword1' });
+  adminToken = admin.body.accessToken;
+
+  await request(server).post('/signup').send({ name: 'Member', email: 'member@example.com', password: 'password123' });
+  const member = await request(server).post('/login').send({ email: 'member@example.com', password: 'password123' });
+  memberToken = member.body.accessToken;
+});
+
+afterAll(async () => {
+  if (server) {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+/**
+ * Make the app's RedisCache behave as if Redis were configured but unreachable
+ * @returns {Function} Undo
+ */
+function simulateRedisDown() {
+  redisCache.testMode = false;
+  jest.spyOn(redisCache, 'ping').mockRejectedValue(new Error('Connection refused'));
+  return () => {
+    redisCache.testMode = true;
+  };
+}
+
+describe('GET /health/live', () => {
+  test('answers without touching dependencies', async () => {
+    const authenticate = jest.spyOn(getSequelize(), 'authenticate');
+
+    const res = await request(server).get('/health/live');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.status).toBe('ok');
+    expect(authenticate).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /health/ready', () => {
+  test('is ready when the database answers', async () => {
+    const res = await request(server).get('/health/ready');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toEqual({ status: 'ok', checks: { database: 'ok', redis: 'ok' } });
+  });
+
+  test('stays ready but degraded while Redis is down', async () => {
+    const restore = simulateRedisDown();
+    try {
+      const res = await request(server).get('/health/ready');
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body).toEqual({ status: 'degraded', checks: { database: 'ok', redis: 'degraded' } });
+    } finally {
+      restore();
+    }
+  });
+
+  test('is not ready when the database is unreachable', async () => {
+    jest.spyOn(getSequelize(), 'authenticate').mockRejectedValue(new Error('ECONNREFUSED'));
+
+    const res = await request(server).get('/health/ready');
+
+    expect(res.statusCode).toBe(503);
+    expect(res.body.status).toBe('unavailable');
+    expect(res.body.checks.database).toBe('unavailable');
+  });
+
+  test('does not connect to Redis as a side effect', async () => {
+    const connect = jest.spyOn(redisCache, 'connect');
+    const restore = simulateRedisDown();
+    try {
+      await request(server).get('/health/ready');
+      expect(connect).not.toHaveBeenCalled();
+    } finally {
+      restore();
+    }
+  });
+
+  test('GET /health answers like the readiness probe', async () => {
+    const res = await request(server).get('/health');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.checks).toEqual({ database: 'ok', redis: 'ok' });
+  });
+});
+
+describe('GET /health/details', () => {
+  test('requires a token', async () => {
+    const res = await request(server).get('/health/details');
+    expect(res.statusCode).toBe(401);
+  });
+
+  test('is limited to admins', async () => {
+    const res = await request(server).get('/health/details').set('Authorization', `Bearer ${memberToken}`);
+    expect(res.statusCode).toBe(403);
+  });
+
+  test('reports latency, breaker state, pool usage, migrations and build info', async () => {
+    const res = await request(server).get('/health/details').set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.status).toBe('ok');
+
+    const { database, redis } = res.body.dependencies;
+    expect(database).toMatchObject({ status: 'ok', dialect: 'sqlite', circuitBreaker: 'closed' });
+    expect(typeof database.latencyMs).toBe('number');
+    expect(database.pool).toEqual(expect.objectContaining({ max: expect.any(Number), using: expect.any(Number) }));
+    expect(database.migrations.status).toBe('current');
+    expect(database.migrations.pending).toEqual([]);
+    expect(redis).toMatchObject({ status: 'ok', mode: 'disabled', circuitBreaker: 'closed' });
+
+    expect(res.body.build.version).toBe(require('../package.json').version);
+  });
+
+  test('reports Redis outages as degraded, with their impact', async () => {
+    const restore = simulateRedisDown();
+    try {
+      const res = await request(server).get('/health/details').set('Authorization', `Bearer ${adminToken}`);
+
+      expect(res.statusCode).toBe(200);
+      expect(res.body.status).toBe('degraded');
+      expect(res.body.dependencies.redis).toMatchObject({ status: 'degraded', error: 'Connection refused' });
+      expect(res.body.dependencies.redis.impact).toContain('Caching disabled');
+    } finally {
+      restore();
+    }
+  });
+});
+
+// Keep last: shutdown can't be undone
+describe('During shutdown', () => {
+  test('readiness fails and responses ask clients to close the connection', async () => {
+    expect(await shutdown.shutdown('test')).toBe(0);
+
+    const ready = await request(server).get('/health/ready');
+    expect(ready.statusCode).toBe(503);
+    expect(ready.body).toEqual({ status: 'unavailable', reason: 'Shutting down' });
+
+    const live = await request(server).get('/health/live');
+    expect(live.statusCode).toBe(200);
+    expect(live.headers.connection).toBe('close');
+  });
+});
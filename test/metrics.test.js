@@ -0,0 +1,125 @@
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.DB_DIALECT = 'sqlite';
+
+const request = require('supertest');
+const promClient = require('prom-client');
+const { connectToDatabase } = require('../src/config/database');
+const RedisCache = require('../src/utils/redis-cache');
+const { app } = require('../src/app');
+
+let server;
+let userId;
+let refreshToken;
+
+beforeAll(async () => {
+  await connectToDatabase();
+  server = app.listen(0);
+});
+
+afterAll(async () => {
+  if (server) {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+/**
+ * Current value of a metric series
+ * @param {string} name - Metric name
+ * @param {object} [labels] - Labels the series must have
+ * @param {string} [seriesName] - Series within the metric, e.g. a histogram's '<name>_count'
+ * @returns {Promise<number>} Value, 0 if the series doesn't exist yet
+ */
+async function metricValue(name, labels = {}, seriesName = name) {
+  const metric = await promClient.register.getSingleMetric(name).get();
+  const series = metric.values.find(value =>
+    (value.metricName || name) === seriesName &&
+    Object.entries(labels).every(([label, expected]) => value.labels[label] === expected)
+  );
+  return series ? series.value : 0;
+}
+
+describe('Business metrics', () => {
+  test('count signups and logins by outcome', async () => {
+    await request(server).post('/signup').send({ name: 'Metric User', email: 'metrics@example.com', password: 'password123' });
+    expect(await metricValue('user_signups_total')).toBe(1);
+
+    await request(server).post('/login').send({ email: 'metrics@example.com', password: 'wrong-password' });
+    expect(await metricValue('user_login_failures_total', { reason: 'invalid_credentials' })).toBe(1);
+
+    const res = await request(server).post('/login').send({ email: 'metrics@example.com', password: 'password123' });
+    expect(await metricValue('user_login_successes_total')).toBe(1);
+
+    userId = res.body.userId;
+    refreshToken = res.body.refreshToken;
+  });
+
+  test('count token refreshes by outcome', async () => {
+    const res = await request(server).post('/token/refresh').send({ refreshToken });
+    expect(res.statusCode).toBe(200);
+    await request(server).post('/token/refresh').send({ refreshToken });
+
+    expect(await metricValue('user_token_refreshes_total', { outcome: 'success' })).toBe(1);
+    expect(await metricValue('user_token_refreshes_total', { outcome: 'reused' })).toBe(1);
+  });
+
+  test('count password changes', async () => {
+    const login = await request(server).post('/login').send({ email: 'metrics@example.com', password: 'password123' });
+
+    await request(server)
+      .post('/change-password')
+      .set('Authorization', `Bearer ${login.body.accessToken}`)
+      .send({ oldPassword: 'password123', newPassword: 'password456' });
+
+    expect(await metricValue('user_password_changes_total', { method: 'change' })).toBe(1);
+  });
+});
+
+describe('Cache metrics', () => {
+  test('count hits and misses per route template', async () => {
+    await request(server).get(`/${userId}`);
+    await request(server).get(`/${userId}`);
+
+    expect(await metricValue('cache_misses_total', { route: '/:id' })).toBe(1);
+    expect(await metricValue('cache_hits_total', { route: '/:id', freshness: 'fresh' })).toBe(1);
+  });
+});
+
+describe('HTTP metrics', () => {
+  test('label paths with route templates instead of raw URLs', async () => {
+    await request(server).get('/admin/users/5');
+    await request(server).get('/no/such/route');
+
+    const res = await request(server).get('/metrics');
+
+    expect(res.text).toMatch(/http_request_duration_seconds_count\{[^}]*path="\/:id"/);
+    expect(res.text).toMatch(/http_request_duration_seconds_count\{[^}]*path="\/admin\/\*"/);
+    expect(res.text).toMatch(/http_request_duration_seconds_count\{[^}]*path="unmatched"/);
+    expect(res.text).not.toContain(`path="/${userId}"`);
+  });
+
+  test('export both circuit breaker states', async () => {
+    const res = await request(server).get('/metrics');
+
+    expect(res.text).toContain('circuit_breaker_state{breaker="database"} 1');
+    expect(res.text).toContain('circuit_breaker_state{breaker="redis"} 1');
+  });
+});
+
+describe('Redis metrics', () => {
+  test('time RedisCache operations', async () => {
+    const cache = new RedisCache({ prefix: 'test:' });
+    cache.testMode = false;
+    cache.connected = true;
+    cache.client = {};
+    cache.getAsync = async () => null;
+
+    await cache.get('/42');
+
+    expect(await metricValue(
+      'redis_operation_duration_seconds',
+      { operation: 'get', success: true },
+      'redis_operation_duration_seconds_count'
+    )).toBe(1);
+  });
+});
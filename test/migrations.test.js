@@ -0,0 +1,89 @@
+const { Sequelize } = require('sequelize');
+const {
+  runMigrations,
+  rollbackMigrations,
+  getMigrationStatus,
+  ensureSchemaCurrent
+} = require('../src/config/migrations');
+
+describe('Schema migrations', () => {
+  let sequelize;
+
+  beforeAll(() => {
+    sequelize = new Sequelize({ dialect: 'sqlite', storage: ':memory:', logging: false });
+  });
+
+  afterAll(async () => {
+    await sequelize.close();
+  });
+
+  test('should report every migration as pending on an empty database', async () => {
+    const { executed, pending } = await getMigrationStatus(sequelize);
+
+    expect(executed).toEqual([]);
+    expect(pending.length).toBeGreaterThan(0);
+    expect([...pending].sort()).toEqual(pending);
+  });
+
+  test('should refuse a schema that is behind when configured to fail', async () => {
+    await expect(ensureSchemaCurrent(sequelize, { onPending: 'fail' })).rejects.toMatchObject({ code: 'ESCHEMABEHIND' });
+  });
+
+  test('should apply pending migrations and record them', async () => {
+    const applied = await runMigrations(sequelize);
+    const { executed, pending } = await getMigrationStatus(sequelize);
+
+    expect(executed).toEqual(applied);
+    expect(pending).toEqual([]);
+
+    const columns = await sequelize.getQueryInterface().describeTable('Users');
+    expect(columns).toHaveProperty('role');
+    expect(columns).toHaveProperty('deletedAt');
+
+    const indexes = (await sequelize.getQueryInterface().showIndex('Users')).map(index => index.name);
+    expect(indexes).toEqual(expect.arrayContaining(['users_created_at_id', 'users_name_id']));
+
+    await expect(ensureSchemaCurrent(sequelize, { onPending: 'fail' })).resolves.toBeUndefined();
+  });
+
+  test('should roll back the last migration and re-apply it', async () => {
+    const { executed } = await getMigrationStatus(sequelize);
+    const last = executed[executed.length - 1];
+
+    expect(await rollbackMigrations(sequelize)).toEqual([last]);
+    expect((await getMigrationStatus(sequelize)).pending).toEqual([last]);
+
+    expect(await runMigrations(sequelize)).toEqual([last]);
+  });
+
+  test('should adopt a Users table created by sync() before migrations existed', async () => {
+    const legacy = new Sequelize({ dialect: 'sqlite', storage: ':memory:', logging: false });
+    await legacy.getQueryInterface().createTable('Users', {
+      id: { type: Sequelize.INTEGER, primaryKey: true, autoIncrement: true },
+      email: { type: Sequelize.STRING, allowNull: false, unique: true },
+      password: { type: Sequelize.STRING, allowNull: false },
+      name: { type: Sequelize.STRING, allowNull: false },
+      createdAt: { type: Sequelize.DATE, allowNull: false },
+      updatedAt: { type: Sequelize.DATE, allowNull: false },
+    });
+
+    await legacy.getQueryInterface().bulkInsert('Users', [{
+      email: 'existing@example.com',
+      password: 'hash',
+      name: 'Existing User',
+      createdAt: new Date(),
+      updatedAt: new Date()
+    }]);
+
+    await runMigrations(legacy);
+    const columns = await legacy.getQueryInterface().describeTable('Users');
+    expect(columns).toHaveProperty('status');
+
+    // Existing accounts must not be locked out when verification becomes required
+    const [existing] = await legacy.query('SELECT "emailVerified", "emailVerifiedAt" FROM "Users"', { type: Sequelize.QueryTypes.SELECT });
+    expect(Boolean(existing.emailVerified)).toBe(true);
+    expect(existing.emailVerifiedAt).not.toBeNull();
+
+    await legacy.close();
+  });
+});
@@ -0,0 +1,341 @@
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.DB_DIALECT = 'sqlite';
+
+const Ajv = require('ajv');
+const request = require('supertest');
+const { connectToDatabase } = require('../src/config/database');
+const { bootstrapAdmin } = require('../src/config/admin-bootstrap');
+const { app, mailer } = require('../src/app');
+const createAuthRoutes = require('../src/routes/auth.routes');
+const createUserRoutes = require('../src/routes/user.routes');
+const createLegacyRoutes = require('../src/routes/legacy.routes');
+const createHealthRoutes = require('../src/routes/health.routes');
+const openApiDocument = require('../src/docs/openapi');
+
+const ajv = new Ajv({ allErrors: true });
+const validators = new Map();
+
+let server;
+
+beforeAll(async () => {
+  await connectToDatabase();
+  server = app.listen(0);
+});
+
+afterAll(async () => {
+  if (server) {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+/**
+ * Routes a router declares, as OpenAPI operations
+ * @param {string} mountPath - Where the app mounts the router
+ * @param {Router} router - Express router
+ * @returns {string[]} 'METHOD /path' entries, with :param written {param}
+ */
+function declaredOperations(mountPath, router) {
+  return router.stack
+    .filter(layer => layer.route)
+    .flatMap(({ route }) => Object.keys(route.methods).map(method =>
+      `${method.toUpperCase()} ${mountPath}${route.path.replace(/:(\w+)/g, '{$1}')}`));
+}
+
+/**
+ * Operations the OpenAPI document describes
+ * @returns {string[]} 'METHOD /path' entries
+ */
+function documentedOperations() {
+  return Object.entries(openApiDocument.paths).flatMap(([path, operations]) =>
+    Object.keys(operations).map(method => `${method.toUpperCase()} ${path}`));
+}
+
+/**
+ * Compile a schema from the document, resolving #/components refs
+ * @param {object} schema - Schema object
+ * @returns {Function} ajv validate function
+ */
+function validatorFor(schema) {
+  if (!validators.has(schema)) {
+    validators.set(schema, ajv.compile({ allOf: [schema], components: openApiDocument.components }));
+  }
+  return validators.get(schema);
+}
+
+/**
+ * Assert that a response is one the document describes for the operation
+ * @param {object} res - supertest response
+ * @param {string} method - HTTP method
+ * @param {string} path - Path template as written in the document
+ */
+function expectToMatchSpec(res, method, path) {
+  const operation = openApiDocument.paths[path] && openApiDocument.paths[path][method.toLowerCase()];
+  if (!operation) {
+    throw new Error(`${method} ${path} is not documented`);
+  }
+
+  let documented = operation.responses[res.statusCode];
+  if (!documented) {
+    throw new Error(`${method} ${path} answered ${res.statusCode}, which is not documented:\n${JSON.stringify(res.body, null, 2)}`);
+  }
+  if (documented.$ref) {
+    documented = openApiDocument.components.responses[documented.$ref.split('/').pop()];
+  }
+
+  if (!documented.content) {
+    expect(res.text || '').toBe('');
+    return;
+  }
+
+  const contentType = res.headers['content-type'].split(';')[0];
+  expect(Object.keys(documented.content)).toContain(contentType);
+
+  const validate = validatorFor(documented.content[contentType].schema);
+  const body = contentType.startsWith('text/') ? res.text : res.body;
+  if (!validate(body)) {
+    throw new Error(`${method} ${path} ${res.statusCode} does not match the document:\n` +
+      `${ajv.errorsText(validate.errors, { separator: '\n' })}\n${JSON.stringify(body, null, 2)}`);
+  }
+
+  for (const header of Object.keys(documented.headers || {})) {
+    expect(res.headers).toHaveProperty(header.toLowerCase());
+  }
+}
+
+describe('OpenAPI document', () => {
+  test('documents every user, legacy and health route, and nothing else', () => {
+    const controller = new Proxy({}, { get: () => () => {} });
+    const passThrough = (req, res, next) => next();
+    const routers = [
+      ['/v1/auth', createAuthRoutes(controller, passThrough)],
+      ['/v1/users', createUserRoutes(controller, () => passThrough, passThrough, {})],
+      ['', createLegacyRoutes(controller, () => passThrough, passThrough, {}, () => passThrough)],
+      ['', createHealthRoutes(controller, passThrough)]
+    ];
+
+    const declared = routers.flatMap(([mountPath, router]) => declaredOperations(mountPath, router)).sort();
+
+    expect(documentedOperations().sort()).toEqual(declared);
+  });
+
+  test('is served at /openapi.json', async () => {
+    const res = await request(server).get('/openapi.json');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.openapi).toBe('3.1.0');
+    expect(res.body.paths).toEqual(openApiDocument.paths);
+  });
+
+  test('is browsable at /docs', async () => {
+    const res = await request(server).get('/docs');
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/html/);
+    expect(res.text).toContain("url: 'openapi.json'");
+    expect(res.text).not.toMatch(/src="https?:|href="https?:/);
+
+    const script = await request(server).get('/docs/assets/swagger-ui-bundle.js');
+    expect(script.statusCode).toBe(200);
+    expect(script.headers['content-type']).toMatch(/javascript/);
+
+    const styles = await request(server).get('/docs/assets/swagger-ui.css');
+    expect(styles.statusCode).toBe(200);
+  });
+
+  test('has schemas that compile', () => {
+    for (const name of Object.keys(openApiDocument.components.schemas)) {
+      expect(() => validatorFor(openApiDocument.components.schemas[name])).not.toThrow();
+    }
+  });
+});
+
+describe('Responses match the document', () => {
+  const credentials = { email: 'contract@example.com', password: 'password123' };
+  let tokens;
+  let userId;
+
+  const auth = () => ({ Authorization: `Bearer ${tokens.accessToken}` });
+
+  beforeAll(async () => {
+    await request(server).post('/v1/auth/signup').send({ name: 'Contract User', ...credentials });
+    const login = await request(server).post('/v1/auth/login').send(credentials);
+    tokens = login.body;
+    userId = login.body.userId;
+  });
+
+  test('health probes', async () => {
+    expectToMatchSpec(await request(server).get('/test'), 'GET', '/test');
+    expectToMatchSpec(await request(server).get('/health/live'), 'GET', '/health/live');
+    expectToMatchSpec(await request(server).get('/health/ready'), 'GET', '/health/ready');
+    expectToMatchSpec(await request(server).get('/health'), 'GET', '/health');
+  });
+
+  test('health details', async () => {
+    await bootstrapAdmin({ email: 'contract-admin@example.com', password: 'adminPassword1' });
+    const admin = await request(server).post('/v1/auth/login').send({ email: 'contract-admin@example.com', password: 'adminPassword1' });
+
+    const details = await request(server).get('/health/details').set('Authorization', `Bearer ${admin.body.accessToken}`);
+    expect(details.statusCode).toBe(200);
+    expectToMatchSpec(details, 'GET', '/health/details');
+
+    expectToMatchSpec(await request(server).get('/health/details'), 'GET', '/health/details');
+    expectToMatchSpec(await request(server).get('/health/details').set(auth()), 'GET', '/health/details');
+  });
+
+  test('signup', async () => {
+    const created = await request(server).post('/v1/auth/signup').send({ name: 'Another', email: 'contract2@example.com', password: 'password123' });
+    expect(created.statusCode).toBe(201);
+    expectToMatchSpec(created, 'POST', '/v1/auth/signup');
+
+    const invalid = await request(server).post('/v1/auth/signup').send({ email: 'not-an-email' });
+    expect(invalid.statusCode).toBe(400);
+    expectToMatchSpec(invalid, 'POST', '/v1/auth/signup');
+
+    const conflict = await request(server).post('/v1/auth/signup').send({ name: 'Again', ...credentials });
+    expect(conflict.statusCode).toBe(409);
+    expectToMatchSpec(conflict, 'POST', '/v1/auth/signup');
+  });
+
+  test('login', async () => {
+    const ok = await request(server).post('/v1/auth/login').send(credentials);
+    expect(ok.statusCode).toBe(200);
+    expectToMatchSpec(ok, 'POST', '/v1/auth/login');
+
+    const wrong = await request(server).post('/v1/auth/login').send({ ...credentials, password: 'wrongPassword1' });
+    expect(wrong.statusCode).toBe(400);
+    expectToMatchSpec(wrong, 'POST', '/v1/auth/login');
+  });
+
+  test('token refresh', async () => {
+    const login = await request(server).post('/v1/auth/login').send(credentials);
+
+    const refreshed = await request(server).post('/v1/auth/refresh').send({ refreshToken: login.body.refreshToken });
+    expect(refreshed.statusCode).toBe(200);
+    expectToMatchSpec(refreshed, 'POST', '/v1/auth/refresh');
+
+    const reused = await request(server).post('/v1/auth/refresh').send({ refreshToken: login.body.refreshToken });
+    expect(reused.statusCode).toBe(401);
+    expectToMatchSpec(reused, 'POST', '/v1/auth/refresh');
+  });
+
+  test('email verification', async () => {
+    const resent = await request(server).post('/v1/auth/resend-verification').send({ email: credentials.email });
+    expect(resent.statusCode).toBe(200);
+    expectToMatchSpec(resent, 'POST', '/v1/auth/resend-verification');
+
+    const link = new URL(mailer.lastMailTo(credentials.email).text.match(/https?:\/\/\S+/)[0]);
+    const verified = await request(server).get(`/v1/auth/verify-email${link.search}`);
+    expect(verified.statusCode).toBe(200);
+    expectToMatchSpec(verified, 'GET', '/v1/auth/verify-email');
+
+    const invalid = await request(server).get('/v1/auth/verify-email?token=bogus');
+    expect(invalid.statusCode).toBe(400);
+    expectToMatchSpec(invalid, 'GET', '/v1/auth/verify-email');
+  });
+
+  test('password reset', async () => {
+    const requested = await request(server).post('/v1/auth/forgot-password').send({ email: 'contract2@example.com' });
+    expect(requested.statusCode).toBe(200);
+    expectToMatchSpec(requested, 'POST', '/v1/auth/forgot-password');
+
+    const link = new URL(mailer.lastMailTo('contract2@example.com').text.match(/https?:\/\/\S+/)[0]);
+    const token = link.searchParams.get('token');
+
+    const form = await request(server).get(`${link.pathname}${link.search}`);
+    expect(form.statusCode).toBe(200);
+    expectToMatchSpec(form, 'GET', '/v1/auth/reset-password');
+
+    const reset = await request(server).post('/v1/auth/reset-password').send({ token, newPassword: 'newPassword1' });
+    expect(reset.statusCode).toBe(200);
+    expectToMatchSpec(reset, 'POST', '/v1/auth/reset-password');
+
+    const reused = await request(server).post('/v1/auth/reset-password').send({ token, newPassword: 'newPassword2' });
+    expect(reused.statusCode).toBe(400);
+    expectToMatchSpec(reused, 'POST', '/v1/auth/reset-password');
+  });
+
+  test('public profile', async () => {
+    const profile = await request(server).get(`/v1/users/${userId}`);
+    expect(profile.statusCode).toBe(200);
+    expectToMatchSpec(profile, 'GET', '/v1/users/{id}');
+
+    const notModified = await request(server).get(`/v1/users/${userId}`).set('If-None-Match', profile.headers.etag);
+    expect(notModified.statusCode).toBe(304);
+    expectToMatchSpec(notModified, 'GET', '/v1/users/{id}');
+
+    expectToMatchSpec(await request(server).get('/v1/users/abc'), 'GET', '/v1/users/{id}');
+    expectToMatchSpec(await request(server).get('/v1/users/999999'), 'GET', '/v1/users/{id}');
+  });
+
+  test('account updates', async () => {
+    const updated = await request(server).patch('/v1/users/me').set(auth()).send({ name: 'Contract User Renamed' });
+    expect(updated.statusCode).toBe(200);
+    expectToMatchSpec(updated, 'PATCH', '/v1/users/me');
+
+    const unauthenticated = await request(server).patch('/v1/users/me').send({ name: 'Nobody' });
+    expect(unauthenticated.statusCode).toBe(401);
+    expectToMatchSpec(unauthenticated, 'PATCH', '/v1/users/me');
+
+    const taken = await request(server).patch('/v1/users/me').set(auth()).send({ email: 'contract2@example.com' });
+    expect(taken.statusCode).toBe(409);
+    expectToMatchSpec(taken, 'PATCH', '/v1/users/me');
+  });
+
+  test('account export', async () => {
+    const exported = await request(server).get('/v1/users/me/export').set(auth());
+    expect(exported.statusCode).toBe(200);
+    expectToMatchSpec(exported, 'GET', '/v1/users/me/export');
+  });
+
+  test('password change and logout', async () => {
+    const wrong = await request(server).post('/v1/users/me/password').set(auth()).send({ oldPassword: 'wrongPassword1', newPassword: 'newPassword1' });
+    expect(wrong.statusCode).toBe(400);
+    expectToMatchSpec(wrong, 'POST', '/v1/users/me/password');
+
+    const changed = await request(server).post('/v1/users/me/password').set(auth()).send({ oldPassword: credentials.password, newPassword: 'newPassword1' });
+    expect(changed.statusCode).toBe(200);
+    expectToMatchSpec(changed, 'POST', '/v1/users/me/password');
+    tokens = changed.body;
+    credentials.password = 'newPassword1';
+
+    const loggedOut = await request(server).post('/v1/auth/logout').set(auth()).send({ refreshToken: tokens.refreshToken });
+    expect(loggedOut.statusCode).toBe(200);
+    expectToMatchSpec(loggedOut, 'POST', '/v1/auth/logout');
+
+    const revoked = await request(server).post('/v1/auth/logout').set(auth()).send({});
+    expect(revoked.statusCode).toBe(401);
+    expectToMatchSpec(revoked, 'POST', '/v1/auth/logout');
+  });
+
+  test('account deletion', async () => {
+    const login = await request(server).post('/v1/auth/login').send(credentials);
+    tokens = login.body;
+
+    const wrong = await request(server).delete('/v1/users/me').set(auth()).send({ password: 'wrongPassword1' });
+    expect(wrong.statusCode).toBe(400);
+    expectToMatchSpec(wrong, 'DELETE', '/v1/users/me');
+
+    const deleted = await request(server).delete('/v1/users/me').set(auth()).send({ password: credentials.password });
+    expect(deleted.statusCode).toBe(200);
+    expectToMatchSpec(deleted, 'DELETE', '/v1/users/me');
+
+    const gone = await request(server).get(`/v1/users/${userId}?fresh=1`);
+    expect(gone.statusCode).toBe(404);
+    expectToMatchSpec(gone, 'GET', '/v1/users/{id}');
+  });
+
+  test('deprecated pre-v1 paths', async () => {
+    const login = await request(server).post('/login').send({ email: 'contract2@example.com', password: 'newPassword1' });
+    expect(login.statusCode).toBe(200);
+    expectToMatchSpec(login, 'POST', '/login');
+
+    const profile = await request(server).get(`/${login.body.userId}`);
+    expect(profile.statusCode).toBe(200);
+    expectToMatchSpec(profile, 'GET', '/{id}');
+
+    const unauthenticated = await request(server).post('/update').send({ name: 'Nobody' });
+    expect(unauthenticated.statusCode).toBe(401);
+    expectToMatchSpec(unauthenticated, 'POST', '/update');
+  });
+});
@@ -0,0 +1,491 @@
+process.env.NODE_ENV = 'test';
+
+const RedisCache = require('../src/utils/redis-cache');
+const LruCache = require('../src/utils/lru-cache');
+
+/**
+ * Minimal in-memory stand-in for the node-redis client commands RedisCache uses
+ * @returns {object} Fake client
+ */
+function createFakeClient() {
+  const strings = new Map();
+  const sets = new Map();
+  const ttls = new Map();
+
+  const client = {
+    strings,
+    sets,
+    ttls,
+    scanCalls: 0,
+    get: async (key) => (strings.has(key) ? strings.get(key) : null),
+    set: async (key, value, options = {}) => {
+      strings.set(key, value);
+      if (options.EX) ttls.set(key, options.EX);
+      return 'OK';
+    },
+    del: async (keys) => {
+      let removed = 0;
+      for (const key of [].concat(keys)) {
+        if (strings.delete(key) || sets.delete(key)) removed++;
+        ttls.delete(key);
+      }
+      return removed;
+    },
+    sAdd: async (key, member) => {
+      if (!sets.has(key)) sets.set(key, new Set());
+      sets.get(key).add(member);
+      return 1;
+    },
+    sMembers: async (key) => [...(sets.get(key) || [])],
+    ttl: async (key) => (ttls.has(key) ? ttls.get(key) : -1),
+    expire: async (key, ttl) => {
+      ttls.set(key, ttl);
+      return 1;
+    },
+    keys: async () => {
+      throw new Error('KEYS must not be used');
+    },
+    async *scanIterator({ MATCH }) {
+      const regex = new RegExp(`^${MATCH.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+      const matching = [...strings.keys()].filter(key => regex.test(key));
+      // Yield in small batches like a real cursor would
+      for (let i = 0; i < matching.length; i += 2) {
+        client.scanCalls++;
+        yield matching.slice(i, i + 2);
+      }
+    },
+    // Only the compare-and-delete script RedisCache runs to release locks
+    eval: async (script, { keys: [key], arguments: [value] }) => {
+      if (strings.get(key) !== value) return 0;
+      return client.del(key);
+    },
+    published: [],
+    publish: async (channel, message) => {
+      client.published.push({ channel, message });
+      return 0;
+    },
+    multi: () => {
+      const queued = [];
+      const transaction = {};
+      for (const command of ['set', 'sAdd', 'sMembers', 'del']) {
+        transaction[command] = (...args) => {
+          queued.push(() => client[command](...args));
+          return transaction;
+        };
+      }
+      transaction.exec = async () => {
+        const results = [];
+        for (const run of queued) results.push(await run());
+        return results;
+      };
+      return transaction;
+    }
+  };
+
+  return client;
+}
+
+/**
+ * Create a RedisCache wired to a fake client instead of a Redis server
+ * @returns {RedisCache} Connected cache
+ */
+function createConnectedCache(options = {}) {
+  const cache = new RedisCache({ prefix: 'test:', ...options });
+  const client = createFakeClient();
+
+  cache.testMode = false;
+  cache.connected = true;
+  cache.client = client;
+  cache.getAsync = client.get;
+  cache.setAsync = client.set;
+  cache.delAsync = client.del;
+
+  return cache;
+}
+
+/**
+ * Build a GET request for the cache middleware
+ * @param {string} url - Request URL
+ * @returns {object} Fake request
+ */
+function createRequest(url) {
+  return { method: 'GET', originalUrl: url, params: { id: url.slice(1).split('?')[0] } };
+}
+
+/**
+ * Minimal Express-like response recording what was sent
+ * @returns {object} Fake response
+ */
+function createResponse() {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+    on: () => res,
+    setHeader: (name, value) => {
+      res.headers[name.toLowerCase()] = value;
+      return res;
+    },
+    getHeader: (name) => res.headers[name.toLowerCase()],
+    removeHeader: (name) => {
+      delete res.headers[name.toLowerCase()];
+    },
+    status: (code) => {
+      res.statusCode = code;
+      return res;
+    },
+    // Like Express, json() sends through send()
+    json(data) {
+      return this.send(data);
+    },
+    send(body) {
+      res.body = body;
+      res.finish();
+      return res;
+    }
+  };
+  res.finished = new Promise((resolve) => { res.finish = resolve; });
+  return res;
+}
+
+/**
+ * Run a request through cache middleware in front of a route handler
+ * @param {Function} middleware - Cache middleware
+ * @param {object} req - Fake request
+ * @param {Function} handler - Route handler (req, res)
+ * @returns {Promise<object>} Response once something was sent
+ */
+async function runRoute(middleware, req, handler) {
+  const res = createResponse();
+  await middleware(req, res, () => handler(req, res));
+  await res.finished;
+  return res;
+}
+
+/**
+ * Resolve after pending callbacks and short timers have run
+ * @param {number} [ms=0] - Delay in milliseconds
+ * @returns {Promise<void>}
+ */
+const wait = (ms = 0) => new Promise((resolve) => setTimeout(resolve, ms));
+
+describe('RedisCache tags', () => {
+  test('invalidateTag removes every entry cached under the tag', async () => {
+    const cache = createConnectedCache();
+
+    await cache.setTagged('/42', { name: 'A' }, ['user:42'], 300);
+    await cache.setTagged('/42?fields=name', { name: 'A' }, ['user:42'], 300);
+    await cache.setTagged('/7', { name: 'B' }, ['user:7'], 300);
+
+    expect(await cache.invalidateTag('user:42')).toBe(2);
+    expect(await cache.get('/42')).toBeNull();
+    expect(await cache.get('/42?fields=name')).toBeNull();
+    expect(await cache.get('/7')).toEqual({ name: 'B' });
+
+    // The tag itself is gone, so a second invalidation has nothing to do
+    expect(await cache.invalidateTag('user:42')).toBe(0);
+  });
+
+  test('a tag lives at least as long as its longest entry', async () => {
+    const cache = createConnectedCache();
+
+    await cache.setTagged('/42', {}, ['user:42'], 600);
+    await cache.setTagged('/42?x=1', {}, ['user:42'], 60);
+
+    expect(cache.client.ttls.get('test:tag:user:42')).toBe(600);
+  });
+
+  test('cached route responses are tagged', async () => {
+    const cache = createConnectedCache();
+    const middleware = cache.cacheMiddleware(300, { tags: (req) => [`user:${req.params.id}`] });
+
+    await runRoute(middleware, createRequest('/42?lang=en'), async (req, res) => res.json({ name: 'A' }));
+
+    expect((await cache.get('/42?lang=en')).data).toEqual({ name: 'A' });
+    await cache.invalidateTag('user:42');
+    expect(await cache.get('/42?lang=en')).toBeNull();
+  });
+});
+
+describe('RedisCache.invalidateByPattern', () => {
+  test('removes matching keys with SCAN instead of KEYS', async () => {
+    const cache = createConnectedCache();
+
+    for (const key of ['list:1', 'list:2', 'list:3', 'other:1']) {
+      await cache.set(key, {});
+    }
+
+    expect(await cache.invalidateByPattern('list:*')).toBe(3);
+    expect(cache.client.scanCalls).toBeGreaterThan(1);
+    expect(await cache.get('list:1')).toBeNull();
+    expect(await cache.get('other:1')).toEqual({});
+  });
+});
+
+describe('LruCache', () => {
+  test('evicts the least recently used entry past maxEntries', () => {
+    const lru = new LruCache({ maxEntries: 2, ttl: 60 });
+
+    lru.set('a', 1);
+    lru.set('b', 2);
+    lru.get('a');
+    lru.set('c', 3);
+
+    expect(lru.get('a')).toBe(1);
+    expect(lru.get('b')).toBeUndefined();
+    expect(lru.get('c')).toBe(3);
+  });
+
+  test('caps entry TTLs at its own TTL', () => {
+    jest.useFakeTimers();
+    try {
+      const lru = new LruCache({ ttl: 5 });
+      lru.set('a', 1, 3600);
+
+      jest.advanceTimersByTime(4000);
+      expect(lru.get('a')).toBe(1);
+      jest.advanceTimersByTime(2000);
+      expect(lru.get('a')).toBeUndefined();
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  test('deletes by tag and by glob pattern', () => {
+    const lru = new LruCache();
+
+    lru.set('/1', {}, 60, ['user:1']);
+    lru.set('/1?a=1', {}, 60, ['user:1']);
+    lru.set('list:1', {});
+    lru.set('other', {});
+
+    expect(lru.deleteTag('user:1')).toBe(2);
+    expect(lru.deleteMatching('list:*')).toBe(1);
+    expect(lru.size).toBe(1);
+  });
+});
+
+describe('RedisCache local tier', () => {
+  test('serves from the local tier without a Redis round trip', async () => {
+    const cache = createConnectedCache({ local: { maxEntries: 10, ttl: 30 } });
+    await cache.set('/42', { name: 'A' });
+
+    const get = jest.spyOn(cache.client, 'get');
+    expect(await cache.get('/42')).toEqual({ name: 'A' });
+    expect(get).not.toHaveBeenCalled();
+  });
+
+  test('copies Redis hits into the local tier', async () => {
+    const cache = createConnectedCache({ local: { maxEntries: 10, ttl: 30 } });
+    await cache.client.set('test:/42', JSON.stringify({ name: 'A' }));
+
+    expect(await cache.get('/42', { tags: ['user:42'] })).toEqual({ name: 'A' });
+    expect(cache.local.get('/42')).toEqual({ name: 'A' });
+    expect(cache.local.deleteTag('user:42')).toBe(1);
+  });
+
+  test('keeps serving local entries while Redis is unavailable', async () => {
+    const cache = createConnectedCache({ local: { maxEntries: 10, ttl: 30 } });
+    cache.client.set = async () => {
+      throw new Error('Connection lost');
+    };
+    cache.setAsync = cache.client.set;
+
+    await cache.set('/42', { name: 'A' });
+    expect(await cache.get('/42')).toEqual({ name: 'A' });
+  });
+
+  test('publishes invalidations and applies those from other instances', async () => {
+    const cache = createConnectedCache({ local: { maxEntries: 10, ttl: 30 } });
+    await cache.setTagged('/42', { name: 'A' }, ['user:42'], 300);
+
+    await cache.invalidateTag('user:42');
+    const published = cache.client.published.map(({ message }) => JSON.parse(message));
+    expect(published).toContainEqual({ origin: cache.instanceId, type: 'tag', value: 'user:42' });
+
+    const replica = createConnectedCache({ local: { maxEntries: 10, ttl: 30 } });
+    replica.local.set('/42', { name: 'A' }, 30, ['user:42']);
+    replica.local.set('/7', { name: 'B' }, 30, ['user:7']);
+
+    // Messages from the replica itself are ignored
+    replica.applyInvalidation(JSON.stringify({ origin: replica.instanceId, type: 'tag', value: 'user:42' }));
+    expect(replica.local.get('/42')).toEqual({ name: 'A' });
+
+    replica.applyInvalidation(JSON.stringify({ origin: cache.instanceId, type: 'tag', value: 'user:42' }));
+    expect(replica.local.get('/42')).toBeUndefined();
+    expect(replica.local.get('/7')).toEqual({ name: 'B' });
+  });
+
+  test('caches in test mode', async () => {
+    const cache = new RedisCache({ local: { maxEntries: 10, ttl: 30 } });
+    expect(cache.testMode).toBe(true);
+
+    await cache.setTagged('/42', { name: 'A' }, ['user:42']);
+    expect(await cache.get('/42')).toEqual({ name: 'A' });
+    expect(await cache.invalidateTag('user:42')).toBe(1);
+    expect(await cache.get('/42')).toBeNull();
+  });
+});
+
+describe('RedisCache.cacheMiddleware', () => {
+  const secondsAgo = (seconds) => Date.now() - seconds * 1000;
+
+  test('reports MISS, then HIT', async () => {
+    const cache = createConnectedCache();
+    const middleware = cache.cacheMiddleware(300);
+    const handler = jest.fn(async (req, res) => res.json({ name: 'A' }));
+
+    const miss = await runRoute(middleware, createRequest('/42'), handler);
+    const hit = await runRoute(middleware, createRequest('/42'), handler);
+
+    expect(miss.headers['x-cache']).toBe('MISS');
+    expect(hit.headers['x-cache']).toBe('HIT');
+    expect(hit.body).toEqual({ name: 'A' });
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+
+  test('restores caching headers on hits', async () => {
+    const cache = createConnectedCache();
+    const middleware = cache.cacheMiddleware(300);
+    const handler = async (req, res) => {
+      res.setHeader('ETag', '"v1"');
+      res.setHeader('Cache-Control', 'public, max-age=60');
+      res.setHeader('X-Other', 'not cached');
+      return res.json({ name: 'A' });
+    };
+
+    await runRoute(middleware, createRequest('/42'), handler);
+    const hit = await runRoute(middleware, createRequest('/42'), handler);
+
+    expect(hit.headers.etag).toBe('"v1"');
+    expect(hit.headers['cache-control']).toBe('public, max-age=60');
+    expect(hit.headers['x-other']).toBeUndefined();
+  });
+
+  test('does not cache error responses', async () => {
+    const cache = createConnectedCache();
+    const middleware = cache.cacheMiddleware(300);
+
+    await runRoute(middleware, createRequest('/42'), async (req, res) => res.status(503).json({ message: 'Down' }));
+    expect(await cache.get('/42')).toBeNull();
+  });
+
+  test('coalesces concurrent misses onto one recompute', async () => {
+    const cache = createConnectedCache();
+    const middleware = cache.cacheMiddleware(300);
+    const handler = jest.fn(async (req, res) => {
+      await wait(20);
+      return res.json({ name: 'A' });
+    });
+
+    const responses = await Promise.all(
+      [1, 2, 3].map(() => runRoute(middleware, createRequest('/42'), handler))
+    );
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(responses.map(res => res.headers['x-cache']).sort()).toEqual(['COALESCED', 'COALESCED', 'MISS']);
+    responses.forEach(res => expect(res.body).toEqual({ name: 'A' }));
+  });
+
+  test('waits for another replica holding the recompute lock', async () => {
+    const cache = createConnectedCache();
+    const middleware = cache.cacheMiddleware(300);
+    const handler = jest.fn(async (req, res) => res.json({ name: 'mine' }));
+
+    cache.setIfAbsent = async () => false;
+    setTimeout(() => {
+      cache.client.set('test:/42', JSON.stringify({ data: { name: 'theirs' }, storedAt: Date.now() }));
+    }, 60);
+
+    const res = await runRoute(middleware, createRequest('/42'), handler);
+
+    expect(res.headers['x-cache']).toBe('COALESCED');
+    expect(res.body).toEqual({ name: 'theirs' });
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test('releases the recompute lock only while this instance holds it', async () => {
+    const cache = createConnectedCache();
+
+    const recompute = await cache.beginRecompute('/42', 30);
+    expect(recompute.locked).toBe(true);
+    expect(cache.client.strings.get('test:lock:/42')).toBe(cache.instanceId);
+
+    // The lock expired and another replica took it
+    cache.client.strings.set('test:lock:/42', 'other-instance');
+    recompute.settle(null);
+    await wait();
+    expect(cache.client.strings.get('test:lock:/42')).toBe('other-instance');
+
+    const again = await cache.beginRecompute('/43', 30);
+    again.settle(null);
+    await wait();
+    expect(cache.client.strings.has('test:lock:/43')).toBe(false);
+  });
+
+  test('serves stale entries while revalidating in the background', async () => {
+    const cache = createConnectedCache();
+    const middleware = cache.cacheMiddleware(300, { staleWhileRevalidate: 60 });
+    await cache.set('/42', { data: { name: 'old' }, storedAt: secondsAgo(330) });
+
+    const res = await runRoute(middleware, createRequest('/42'), async (req, res) => {
+      res.setHeader('ETag', '"new"');
+      return res.json({ name: 'new' });
+    });
+    expect(res.headers['x-cache']).toBe('STALE');
+    expect(res.body).toEqual({ name: 'old' });
+
+    await wait();
+    expect((await cache.get('/42')).data).toEqual({ name: 'new' });
+    expect((await cache.get('/42')).headers).toEqual({ ETag: '"new"' });
+  });
+
+  test('recomputes entries past the stale-while-revalidate window', async () => {
+    const cache = createConnectedCache();
+    const middleware = cache.cacheMiddleware(300, { staleWhileRevalidate: 60 });
+    await cache.set('/42', { data: { name: 'old' }, storedAt: secondsAgo(400) });
+
+    const res = await runRoute(middleware, createRequest('/42'), async (req, res) => res.json({ name: 'new' }));
+    expect(res.headers['x-cache']).toBe('MISS');
+    expect(res.body).toEqual({ name: 'new' });
+  });
+
+  test('serves stale entries instead of server errors within staleIfError', async () => {
+    const cache = createConnectedCache();
+    const middleware = cache.cacheMiddleware(300, { staleIfError: 600 });
+    await cache.set('/42', { data: { name: 'old' }, storedAt: secondsAgo(500) });
+
+    const res = await runRoute(middleware, createRequest('/42'), async (req, res) => res.status(503).json({ message: 'Down' }));
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['x-cache']).toBe('STALE');
+    expect(res.body).toEqual({ name: 'old' });
+  });
+
+  test('serves stale entries as JSON in place of problem responses', async () => {
+    const cache = createConnectedCache();
+    const middleware = cache.cacheMiddleware(300, { staleIfError: 600 });
+    await cache.set('/42', { data: { name: 'old' }, storedAt: secondsAgo(500) });
+
+    const res = await runRoute(middleware, createRequest('/42'), async (req, res) => {
+      res.setHeader('Content-Type', 'application/problem+json');
+      res.status(503).json({ status: 503, code: 'dependency_unavailable' });
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toBeUndefined();
+    expect(res.body).toEqual({ name: 'old' });
+  });
+
+  test('passes server errors through once entries are too old', async () => {
+    const cache = createConnectedCache();
+    const middleware = cache.cacheMiddleware(300, { staleIfError: 600 });
+    await cache.set('/42', { data: { name: 'old' }, storedAt: secondsAgo(1000) });
+
+    const res = await runRoute(middleware, createRequest('/42'), async (req, res) => res.status(503).json({ message: 'Down' }));
+
+    expect(res.statusCode).toBe(503);
+    expect(res.body).toEqual({ message: 'Down' });
+  });
+});
@@ -0,0 +1,154 @@
+process.env.NODE_ENV = 'test';
+
+const http = require('http');
+const express = require('express');
+const { ShutdownCoordinator, closeServer } = require('../src/utils/shutdown');
+
+describe('ShutdownCoordinator', () => {
+  test('runs hooks phase by phase, whatever order they were registered in', async () => {
+    const shutdown = new ShutdownCoordinator();
+    const steps = [];
+
+    shutdown.register('close redis', () => steps.push('close redis'));
+    shutdown.register('drain', async () => {
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      steps.push('drain');
+    }, { phase: 'drain' });
+    shutdown.register('close database', () => steps.push('close database'));
+    shutdown.register('stop server', () => steps.push('stop server'), { phase: 'stop' });
+
+    expect(await shutdown.shutdown('SIGTERM')).toBe(0);
+    expect(steps).toEqual(['stop server', 'drain', 'close redis', 'close database']);
+  });
+
+  test('keeps going after a failing hook and reports exit code 1', async () => {
+    const shutdown = new ShutdownCoordinator();
+    const closeDatabase = jest.fn();
+
+    shutdown.register('close redis', () => {
+      throw new Error('Redis quit failed');
+    });
+    shutdown.register('close database', closeDatabase);
+
+    expect(await shutdown.shutdown()).toBe(1);
+    expect(closeDatabase).toHaveBeenCalled();
+  });
+
+  test('gives up on hooks that exceed their time limit', async () => {
+    const shutdown = new ShutdownCoordinator({ timeoutMs: 20 });
+    const closeDatabase = jest.fn();
+
+    shutdown.register('hang', () => new Promise(() => {}));
+    shutdown.register('close database', closeDatabase);
+
+    expect(await shutdown.shutdown()).toBe(1);
+    expect(closeDatabase).toHaveBeenCalled();
+  });
+
+  test('runs the hooks only once', async () => {
+    const shutdown = new ShutdownCoordinator();
+    const hook = jest.fn();
+    shutdown.register('close', hook);
+
+    await Promise.all([shutdown.shutdown(), shutdown.shutdown()]);
+
+    expect(hook).toHaveBeenCalledTimes(1);
+    expect(shutdown.shuttingDown).toBe(true);
+  });
+
+  test('rejects unknown phases', () => {
+    expect(() => new ShutdownCoordinator().register('x', () => {}, { phase: 'later' })).toThrow('Unknown shutdown phase: later');
+  });
+
+  test('exits with the result on a signal, and at once on a second one', async () => {
+    const exit = jest.fn();
+    const shutdown = new ShutdownCoordinator({ exit });
+    let finishHook;
+    shutdown.register('slow', () => new Promise((resolve) => { finishHook = resolve; }));
+
+    const unlisten = shutdown.listen(['SIGUSR2']);
+    try {
+      process.emit('SIGUSR2', 'SIGUSR2');
+      expect(shutdown.shuttingDown).toBe(true);
+      // Hooks start on the next tick
+      await new Promise((resolve) => setImmediate(resolve));
+
+      process.emit('SIGUSR2', 'SIGUSR2');
+      expect(exit).toHaveBeenCalledWith(1);
+
+      finishHook();
+      await shutdown.result;
+      await new Promise((resolve) => setImmediate(resolve));
+      expect(exit).toHaveBeenLastCalledWith(0);
+    } finally {
+      unlisten();
+    }
+  });
+});
+
+describe('closeServer', () => {
+  /**
+   * Start a server whose /slow route answers when released
+   * @returns {Promise<object>} { server, url, release }
+   */
+  async function startSlowServer() {
+    const shutdown = new ShutdownCoordinator();
+    let release;
+    const released = new Promise((resolve) => { release = resolve; });
+
+    const app = express();
+    app.use(shutdown.middleware());
+    app.get('/slow', async (req, res) => {
+      await released;
+      res.json({ done: true });
+    });
+
+    const server = app.listen(0);
+    await new Promise((resolve) => server.once('listening', resolve));
+    return { server, shutdown, url: `http://127.0.0.1:${server.address().port}`, release };
+  }
+
+  /**
+   * GET a URL
+   * @param {string} url - URL to fetch
+   * @returns {Promise<object>} { statusCode, headers, body } or rejects on connection errors
+   */
+  function get(url) {
+    return new Promise((resolve, reject) => {
+      http.get(url, (res) => {
+        let body = '';
+        res.on('data', (chunk) => { body += chunk; });
+        res.on('end', () => resolve({ statusCode: res.statusCode, headers: res.headers, body }));
+      }).on('error', reject);
+    });
+  }
+
+  test('lets in-flight requests finish and refuses new connections', async () => {
+    const { server, shutdown, url, release } = await startSlowServer();
+
+    const inFlight = get(`${url}/slow`);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    shutdown.shuttingDown = true;
+    const closed = closeServer(server, 1000);
+
+    await expect(get(`${url}/slow`)).rejects.toThrow();
+
+    release();
+    const res = await inFlight;
+    expect(res.statusCode).toBe(200);
+    expect(JSON.parse(res.body)).toEqual({ done: true });
+    await expect(closed).resolves.toBeUndefined();
+  });
+
+  test('closes connections still open at the deadline', async () => {
+    const { server, url, release } = await startSlowServer();
+
+    const inFlight = get(`${url}/slow`);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+
+    await expect(closeServer(server, 50)).rejects.toThrow('Requests still in flight after 50ms');
+    await expect(inFlight).rejects.toThrow();
+    release();
+  });
+});
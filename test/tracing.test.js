@@ -0,0 +1,156 @@
+// Record spans in memory before anything sets up tracing
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.DB_DIALECT = 'sqlite';
+process.env.TRACING_EXPORTER = 'memory';
+
+const { EventEmitter } = require('events');
+const request = require('supertest');
+const { SpanKind, SpanStatusCode } = require('@opentelemetry/api');
+const { connectToDatabase } = require('../src/config/database');
+const { createDatabaseCircuitBreaker } = require('../src/config/circuit-breaker');
+const RedisCache = require('../src/utils/redis-cache');
+const createTracingMiddleware = require('../src/middleware/tracing.middleware');
+const { app, spanExporter } = require('../src/app');
+
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const PARENT_SPAN_ID = '00f067aa0ba902b7';
+
+let server;
+let userId;
+
+beforeAll(async () => {
+  await connectToDatabase();
+  server = app.listen(0);
+
+  await request(server).post('/signup').send({ name: 'Traced User', email: 'traced@example.com', password: 'password123' });
+  const login = await request(server).post('/login').send({ email: 'traced@example.com', password: 'password123' });
+  userId = login.body.userId;
+});
+
+afterAll(async () => {
+  if (server) {
+    await new Promise((resolve) => server.close(resolve));
+  }
+});
+
+beforeEach(() => {
+  spanExporter.reset();
+});
+
+/**
+ * Wait until the server span of the last request has been exported
+ * @returns {Promise<Array>} Finished spans
+ */
+async function finishedSpans() {
+  for (let i = 0; i < 20; i++) {
+    const spans = spanExporter.getFinishedSpans();
+    if (spans.some(span => span.kind === SpanKind.SERVER)) return spans;
+    await new Promise((resolve) => setTimeout(resolve, 5));
+  }
+  return spanExporter.getFinishedSpans();
+}
+
+describe('HTTP spans', () => {
+  test('continue the caller trace from traceparent and name the span after the route', async () => {
+    const res = await request(server)
+      .get(`/${userId}`)
+      .set('traceparent', `00-${TRACE_ID}-${PARENT_SPAN_ID}-01`);
+    expect(res.statusCode).toBe(200);
+
+    const spans = await finishedSpans();
+    const serverSpan = spans.find(span => span.kind === SpanKind.SERVER);
+
+    expect(serverSpan.name).toBe('GET /:id');
+    expect(serverSpan.spanContext().traceId).toBe(TRACE_ID);
+    expect(serverSpan.parentSpanContext.spanId).toBe(PARENT_SPAN_ID);
+    expect(serverSpan.attributes['http.response.status_code']).toBe(200);
+  });
+
+  test('nest database spans named after the operation under the request span', async () => {
+    await request(server).post('/login').send({ email: 'traced@example.com', password: 'password123' });
+
+    const spans = await finishedSpans();
+    const serverSpan = spans.find(span => span.kind === SpanKind.SERVER);
+    const dbSpan = spans.find(span => span.name === 'find_user_by_email');
+
+    expect(serverSpan.name).toBe('POST /login');
+    expect(dbSpan).toBeDefined();
+    expect(dbSpan.kind).toBe(SpanKind.CLIENT);
+    expect(dbSpan.spanContext().traceId).toBe(serverSpan.spanContext().traceId);
+    expect(dbSpan.parentSpanContext.spanId).toBe(serverSpan.spanContext().spanId);
+
+    const passwordSpan = spans.find(span => span.name === 'password.verify');
+    expect(passwordSpan.parentSpanContext.spanId).toBe(serverSpan.spanContext().spanId);
+  });
+
+  test('start a new trace without traceparent', async () => {
+    await request(server).get('/health');
+
+    const serverSpan = (await finishedSpans()).find(span => span.kind === SpanKind.SERVER);
+    expect(serverSpan.spanContext().traceId).not.toBe(TRACE_ID);
+    expect(serverSpan.parentSpanContext).toBeUndefined();
+  });
+
+  test('end the span of a request the client aborted, once', async () => {
+    const req = { method: 'GET', path: '/slow', headers: {}, baseUrl: '' };
+    const res = Object.assign(new EventEmitter(), { statusCode: 200, writableFinished: false });
+
+    createTracingMiddleware()(req, res, () => {});
+    res.emit('close');
+    res.emit('finish');
+
+    const spans = (await finishedSpans()).filter(span => span.kind === SpanKind.SERVER);
+    expect(spans).toHaveLength(1);
+    expect(spans[0].attributes['http.request.aborted']).toBe(true);
+    expect(spans[0].status.code).toBe(SpanStatusCode.ERROR);
+  });
+});
+
+describe('Database spans', () => {
+  test('record each retry attempt as an event', async () => {
+    const breaker = createDatabaseCircuitBreaker();
+    let calls = 0;
+
+    const result = await breaker.fire(async () => {
+      calls++;
+      if (calls === 1) {
+        const err = new Error('Connection refused');
+        err.name = 'SequelizeConnectionRefusedError';
+        throw err;
+      }
+      return 'ok';
+    }, 'flaky_query');
+
+    expect(result).toBe('ok');
+    const span = spanExporter.getFinishedSpans().find(span => span.name === 'flaky_query');
+    expect(span.events.map(event => event.name)).toEqual(['retry']);
+    expect(span.events[0].attributes).toMatchObject({ attempt: 1, 'error.type': 'SequelizeConnectionRefusedError' });
+  });
+
+  test('mark failed operations as errors', async () => {
+    const breaker = createDatabaseCircuitBreaker();
+
+    await expect(breaker.fire(async () => {
+      throw new Error('Bad query');
+    }, 'broken_query')).rejects.toThrow('Bad query');
+
+    const span = spanExporter.getFinishedSpans().find(span => span.name === 'broken_query');
+    expect(span.status.code).toBe(SpanStatusCode.ERROR);
+  });
+});
+
+describe('Redis spans', () => {
+  test('wrap RedisCache operations', async () => {
+    const cache = new RedisCache({ prefix: 'test:' });
+    cache.testMode = false;
+    cache.connected = true;
+    cache.client = {};
+    cache.getAsync = async () => JSON.stringify({ name: 'A' });
+
+    expect(await cache.get('/42')).toEqual({ name: 'A' });
+
+    const span = spanExporter.getFinishedSpans().find(span => span.name === 'redis get');
+    expect(span.attributes).toMatchObject({ 'db.system.name': 'redis', 'db.operation.name': 'get' });
+  });
+});
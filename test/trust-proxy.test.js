@@ -0,0 +1,55 @@
+// Set NODE_ENV to 'test' before importing app
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.DB_DIALECT = 'sqlite';
+// supertest connects over loopback, like a sidecar or local ingress would
+process.env.TRUST_PROXY = 'loopback';
+process.env.LOGIN_IP_MAX_ATTEMPTS = '2';
+
+const request = require('supertest');
+
+const { connectToDatabase } = require('../src/config/database');
+const { app } = require('../src/app');
+
+let server;
+
+beforeAll(async () => {
+  await connectToDatabase();
+  server = app.listen(0);
+});
+
+afterAll(async () => {
+  if (server) {
+    await new Promise((resolve) => {
+      server.close(resolve);
+    });
+  }
+});
+
+/**
+ * Failed login from a client behind the proxy
+ * @param {string} clientIp - Address the proxy reports in X-Forwarded-For
+ * @param {number} n - Makes each attempt target a different account
+ * @returns {Promise<object>} supertest response
+ */
+function failedLogin(clientIp, n) {
+  return request(server)
+    .post('/login')
+    .set('X-Forwarded-For', clientIp)
+    .send({ email: `nobody${n}@example.com`, password: 'wrongPassword1' });
+}
+
+describe('Login throttling behind a trusted proxy', () => {
+  test('POST /login - should throttle the client from X-Forwarded-For, not the proxy', async () => {
+    for (let n = 0; n < 2; n++) {
+      expect((await failedLogin('203.0.113.7', n)).statusCode).toBe(400);
+    }
+
+    const throttled = await failedLogin('203.0.113.7', 2);
+    expect(throttled.statusCode).toBe(429);
+
+    // Same proxy, another client
+    const other = await failedLogin('198.51.100.4', 3);
+    expect(other.statusCode).toBe(400);
+  });
+});
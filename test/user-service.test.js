@@ -1,21 +1,27 @@
 // Set NODE_ENV to 'test' before importing app
 process.env.NODE_ENV = 'test';
 process.env.JWT_SECRET = 'test-jwt-secret';
-process.env.USE_MOCK_DB = 'true';
+process.env.DB_DIALECT = 'sqlite';
 
+const crypto = require('crypto');
 const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const createAuthMiddleware = require('../src/middleware/auth.middleware');
+const { LoginThrottle, MemoryThrottleStore } = require('../src/utils/login-throttle');
+const { purgeDeletedAccounts } = require('../src/utils/account-purge');
 
 // Import database configuration to access connectToDatabase function
-const { connectToDatabase } = require('../src/config/database');
+const { connectToDatabase, getUser } = require('../src/config/database');
+const { bootstrapAdmin } = require('../src/config/admin-bootstrap');
 
 // Import the app after setting environment variables
-const { app } = require('../src/app');
+const { app, mailer, dbCircuitBreaker, redisCache } = require('../src/app');
 
 // Create a server for testing
 let server;
 
 beforeAll(async () => {
-  // Connect to mock database for testing
+  // Connect to an in-memory SQLite database with the real model and migrations
   await connectToDatabase();
   
   // Create test server
@@ -33,6 +39,7 @@ afterAll(async () => {
 
 describe('User API tests', () => {
   let userId;
+  let token;
 
   test('POST /signup - should register a user', async () => {
     const res = await request(server).post('/signup').send({
@@ -45,6 +52,18 @@ describe('User API tests', () => {
     expect(res.body.message).toBe('User created');
   });
 
+  test('POST /signup - should reject an email that is already registered', async () => {
+    const res = await request(server).post('/signup').send({
+      name: 'Duplicate User',
+      email: 'test@example.com',
+      password: 'password123',
+    });
+
+    expect(res.statusCode).toBe(409);
+    expect(res.body.code).toBe('email_in_use');
+    expect(res.body.detail).toBe('Email already in use');
+  });
+
   test('POST /login - should login and return token', async () => {
     const res = await request(server).post('/login').send({
       email: 'test@example.com',
@@ -65,8 +84,7 @@ describe('User API tests', () => {
   });
 
   test('POST /update - should update user data', async () => {
-    const res = await request(server).post('/update').send({
-      userId,
+    const res = await request(server).post('/update').set('Authorization', `Bearer ${token}`).send({
       name: 'Updated User',
       email: 'updated@example.com',
     });
@@ -75,9 +93,36 @@ describe('User API tests', () => {
     expect(res.body.message).toBe('User updated');
   });
 
+  test('POST /update - should invalidate cached responses for the user', async () => {
+    const invalidateTag = jest.spyOn(redisCache, 'invalidateTag');
+
+    try {
+      const res = await request(server).post('/update').set('Authorization', `Bearer ${token}`).send({
+        name: 'Updated User'
+      });
+
+      expect(res.statusCode).toBe(200);
+      expect(invalidateTag).toHaveBeenCalledWith(`user:${userId}`);
+    } finally {
+      invalidateTag.mockRestore();
+    }
+  });
+
+  test('GET /:id - should serve cached profiles until the user changes', async () => {
+    const first = await request(server).get(`/${userId}`);
+    const second = await request(server).get(`/${userId}`);
+    expect(second.headers['x-cache']).toBe('HIT');
+    expect(second.body).toEqual(first.body);
+
+    await request(server).post('/update').set('Authorization', `Bearer ${token}`).send({ name: 'Renamed User' });
+
+    const afterUpdate = await request(server).get(`/${userId}`);
+    expect(afterUpdate.headers['x-cache']).toBe('MISS');
+    expect(afterUpdate.body.name).toBe('Renamed User');
+  });
+
   test('POST /change-password - should change user password', async () => {
-    const res = await request(server).post('/change-password').send({
-      userId,
+    const res = await request(server).post('/change-password').set('Authorization', `Bearer ${token}`).send({
       oldPassword: 'password123',
       newPassword: 'newPassword456',
     });
@@ -95,4 +140,920 @@ describe('User API tests', () => {
     expect(res.statusCode).toBe(200);
     expect(res.body).toHaveProperty('accessToken');
   });
-});
\ No newline at end of file
+});
+
+describe('Authentication', () => {
+  let victimId;
+  let attackerToken;
+
+  beforeAll(async () => {
+    await request(server).post('/signup').send({
+      name: 'Victim',
+      email: 'victim@example.com',
+      password: 'password123',
+    });
+    await request(server).post('/signup').send({
+      name: 'Attacker',
+      email: 'attacker@example.com',
+      password: 'password123',
+    });
+
+    const victim = await request(server).post('/login').send({
+      email: 'victim@example.com',
+      password: 'password123',
+    });
+    victimId = victim.body.userId;
+
+    const attacker = await request(server).post('/login').send({
+      email: 'attacker@example.com',
+      password: 'password123',
+    });
+    attackerToken = attacker.body.accessToken;
+  });
+
+  test('POST /update - should reject requests without a token', async () => {
+    const res = await request(server).post('/update').send({ name: 'Nobody' });
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.detail).toBe('Authentication token missing');
+  });
+
+  test('POST /update - should reject a tampered token', async () => {
+    const forged = jwt.sign({ userId: victimId }, 'not-the-real-secret');
+    const res = await request(server).post('/update').set('Authorization', `Bearer ${forged}`).send({ name: 'Hacked' });
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.detail).toBe('Invalid authentication token');
+  });
+
+  test('POST /change-password - should reject an expired token', async () => {
+    const expired = jwt.sign({ userId: victimId, exp: Math.floor(Date.now() / 1000) - 60 }, process.env.JWT_SECRET);
+    const res = await request(server).post('/change-password').set('Authorization', `Bearer ${expired}`).send({
+      oldPassword: 'password123',
+      newPassword: 'hijacked',
+    });
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.detail).toBe('Authentication token expired');
+  });
+
+  test('POST /update - should ignore userId in the body and update the caller', async () => {
+    const res = await request(server).post('/update').set('Authorization', `Bearer ${attackerToken}`).send({
+      userId: victimId,
+      name: 'Renamed Attacker',
+      email: 'attacker@example.com',
+    });
+    expect(res.statusCode).toBe(200);
+
+    const victim = await request(server).get(`/${victimId}`);
+    expect(victim.body.name).toBe('Victim');
+  });
+});
+
+describe('Refresh tokens', () => {
+  let refreshToken;
+
+  beforeAll(async () => {
+    await request(server).post('/signup').send({
+      name: 'Refresh User',
+      email: 'refresh@example.com',
+      password: 'password123',
+    });
+  });
+
+  test('POST /login - should return a refresh token', async () => {
+    const res = await request(server).post('/login').send({
+      email: 'refresh@example.com',
+      password: 'password123',
+    });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toHaveProperty('refreshToken');
+    refreshToken = res.body.refreshToken;
+  });
+
+  test('POST /token/refresh - should rotate the token pair', async () => {
+    const res = await request(server).post('/token/refresh').send({ refreshToken });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toHaveProperty('accessToken');
+    expect(res.body.refreshToken).not.toBe(refreshToken);
+
+    const update = await request(server).post('/update').set('Authorization', `Bearer ${res.body.accessToken}`).send({
+      name: 'Refreshed User',
+      email: 'refresh@example.com',
+    });
+    expect(update.statusCode).toBe(200);
+  });
+
+  test('POST /token/refresh - reusing a token should revoke its family', async () => {
+    const first = await request(server).post('/token/refresh').send({ refreshToken });
+    expect(first.statusCode).toBe(401);
+    expect(first.body.detail).toBe('Refresh token reuse detected');
+  });
+
+  test('POST /token/refresh - tokens from a revoked family should be rejected', async () => {
+    const login = await request(server).post('/login').send({
+      email: 'refresh@example.com',
+      password: 'password123',
+    });
+    const rotated = await request(server).post('/token/refresh').send({ refreshToken: login.body.refreshToken });
+    expect(rotated.statusCode).toBe(200);
+
+    // Replaying the original token revokes the family, so the rotated one stops working
+    await request(server).post('/token/refresh').send({ refreshToken: login.body.refreshToken });
+    const res = await request(server).post('/token/refresh').send({ refreshToken: rotated.body.refreshToken });
+
+    expect(res.statusCode).toBe(401);
+    expect(res.body.detail).toBe('Refresh token revoked');
+  });
+
+  test('POST /update - should not accept a refresh token as an access token', async () => {
+    const login = await request(server).post('/login').send({
+      email: 'refresh@example.com',
+      password: 'password123',
+    });
+    const res = await request(server).post('/update').set('Authorization', `Bearer ${login.body.refreshToken}`).send({
+      name: 'Nope',
+    });
+
+    expect(res.statusCode).toBe(401);
+  });
+
+  test('POST /token/refresh - should require a refresh token', async () => {
+    const res = await request(server).post('/token/refresh').send({});
+    expect(res.statusCode).toBe(400);
+  });
+});
+
+describe('Logout and revocation', () => {
+  const credentials = { email: 'logout@example.com', password: 'password123' };
+
+  const login = async () => {
+    const res = await request(server).post('/login').send(credentials);
+    return res.body;
+  };
+
+  const updateWith = (accessToken) => request(server)
+    .post('/update')
+    .set('Authorization', `Bearer ${accessToken}`)
+    .send({ name: 'Logout User', email: credentials.email });
+
+  beforeAll(async () => {
+    await request(server).post('/signup').send({ name: 'Logout User', ...credentials });
+  });
+
+  test('POST /logout - should revoke the access token and its refresh family', async () => {
+    const { accessToken, refreshToken } = await login();
+
+    const res = await request(server).post('/logout').set('Authorization', `Bearer ${accessToken}`).send({ refreshToken });
+    expect(res.statusCode).toBe(200);
+
+    const update = await updateWith(accessToken);
+    expect(update.statusCode).toBe(401);
+    expect(update.body.detail).toBe('Authentication token revoked');
+
+    const refresh = await request(server).post('/token/refresh').send({ refreshToken });
+    expect(refresh.statusCode).toBe(401);
+  });
+
+  test('POST /logout - should leave other sessions alive', async () => {
+    const first = await login();
+    const second = await login();
+
+    await request(server).post('/logout').set('Authorization', `Bearer ${first.accessToken}`).send({});
+
+    const update = await updateWith(second.accessToken);
+    expect(update.statusCode).toBe(200);
+  });
+
+  test('POST /change-password - should revoke older tokens and return a new pair', async () => {
+    const other = await login();
+    const current = await login();
+
+    const res = await request(server).post('/change-password').set('Authorization', `Bearer ${current.accessToken}`).send({
+      oldPassword: credentials.password,
+      newPassword: 'newPassword789',
+    });
+    credentials.password = 'newPassword789';
+    expect(res.statusCode).toBe(200);
+
+    expect((await updateWith(other.accessToken)).statusCode).toBe(401);
+    expect((await updateWith(current.accessToken)).statusCode).toBe(401);
+    expect((await updateWith(res.body.accessToken)).statusCode).toBe(200);
+
+    const refresh = await request(server).post('/token/refresh').send({ refreshToken: other.refreshToken });
+    expect(refresh.statusCode).toBe(401);
+  });
+
+  describe('when the revocation list is unavailable', () => {
+    const unavailableStore = {
+      getRevocationState: async () => {
+        const error = new Error('Token store unavailable');
+        error.code = 'ETOKENSTORE';
+        throw error;
+      }
+    };
+
+    const runMiddleware = async (middleware) => {
+      const accessToken = jwt.sign({ userId: 1 }, process.env.JWT_SECRET, { expiresIn: '1h', jwtid: 'jti-1' });
+      const req = { headers: { authorization: `Bearer ${accessToken}` } };
+      const res = {
+        setHeader: jest.fn(),
+        status: jest.fn(function () { return this; }),
+        json: jest.fn(function () { return this; }),
+      };
+      const next = jest.fn();
+
+      await middleware(req, res, next);
+      return { req, res, next };
+    };
+
+    test('should accept valid tokens in fail-open mode', async () => {
+      const { req, next } = await runMiddleware(createAuthMiddleware(process.env.JWT_SECRET, unavailableStore));
+
+      expect(next).toHaveBeenCalledWith();
+      expect(req.user.id).toBe(1);
+    });
+
+    test('should reject with 503 in fail-closed mode', async () => {
+      const middleware = createAuthMiddleware(process.env.JWT_SECRET, unavailableStore, { revocationFailMode: 'closed' });
+      const { res, next } = await runMiddleware(middleware);
+
+      expect(res.status).not.toHaveBeenCalled();
+      expect(next).toHaveBeenCalledWith(expect.objectContaining({ status: 503, code: 'dependency_unavailable' }));
+    });
+  });
+});
+
+describe('Email verification', () => {
+  const email = 'verify@example.com';
+
+  const verificationToken = () => {
+    const mail = mailer.lastMailTo(email);
+    return new URL(mail.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+  };
+
+  beforeAll(async () => {
+    await request(server).post('/signup').send({ name: 'Verify User', email, password: 'password123' });
+  });
+
+  test('POST /signup - should send a verification link', async () => {
+    const mail = mailer.lastMailTo(email);
+
+    expect(mail).not.toBeNull();
+    expect(mail.text).toContain('/verify-email?token=');
+  });
+
+  test('GET /verify-email - should reject a tampered link', async () => {
+    const forged = jwt.sign({ userId: 1, email, type: 'email-verification' }, 'not-the-real-secret');
+    const res = await request(server).get('/verify-email').query({ token: forged });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.detail).toBe('Invalid verification link');
+  });
+
+  test('GET /verify-email - should reject an expired link', async () => {
+    const expired = jwt.sign(
+      { userId: 1, email, type: 'email-verification', exp: Math.floor(Date.now() / 1000) - 60 },
+      process.env.JWT_SECRET
+    );
+    const res = await request(server).get('/verify-email').query({ token: expired });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.detail).toBe('Verification link expired');
+  });
+
+  test('POST /resend-verification - should answer the same for unknown emails', async () => {
+    const known = await request(server).post('/resend-verification').send({ email });
+    const unknown = await request(server).post('/resend-verification').send({ email: 'nobody@example.com' });
+
+    expect(known.statusCode).toBe(200);
+    expect(unknown.statusCode).toBe(200);
+    expect(unknown.body).toEqual(known.body);
+    expect(mailer.lastMailTo('nobody@example.com')).toBeNull();
+  });
+
+  test('POST /resend-verification - should answer the same when the mail fails', async () => {
+    const sendMail = jest.spyOn(mailer, 'sendMail').mockRejectedValueOnce(new Error('SMTP unavailable'));
+
+    const known = await request(server).post('/resend-verification').send({ email });
+    const unknown = await request(server).post('/resend-verification').send({ email: 'nobody@example.com' });
+
+    expect(sendMail).toHaveBeenCalledTimes(1);
+    sendMail.mockRestore();
+    expect(known.statusCode).toBe(200);
+    expect(known.body).toEqual(unknown.body);
+  });
+
+  test('GET /verify-email - should verify the address', async () => {
+    const res = await request(server).get('/verify-email').query({ token: verificationToken() });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.message).toBe('Email verified');
+  });
+
+  test('GET /verify-email - should be idempotent', async () => {
+    const res = await request(server).get('/verify-email').query({ token: verificationToken() });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.message).toBe('Email already verified');
+  });
+
+  test('POST /update - should not accept a verification token as an access token', async () => {
+    const res = await request(server).post('/update').set('Authorization', `Bearer ${verificationToken()}`).send({
+      name: 'Nope',
+    });
+
+    expect(res.statusCode).toBe(401);
+  });
+});
+
+describe('Password reset', () => {
+  const email = 'forgot@example.com';
+
+  const resetToken = () => {
+    const mail = mailer.lastMailTo(email);
+    return new URL(mail.text.match(/https?:\/\/\S+/)[0]).searchParams.get('token');
+  };
+
+  beforeAll(async () => {
+    await request(server).post('/signup').send({ name: 'Forgetful User', email, password: 'password123' });
+  });
+
+  test('POST /forgot-password - should answer the same for unknown emails', async () => {
+    const known = await request(server).post('/forgot-password').send({ email });
+    const unknown = await request(server).post('/forgot-password').send({ email: 'ghost@example.com' });
+
+    expect(known.statusCode).toBe(200);
+    expect(unknown.statusCode).toBe(200);
+    expect(unknown.body).toEqual(known.body);
+    expect(mailer.lastMailTo(email).subject).toContain('Reset');
+    expect(mailer.lastMailTo('ghost@example.com')).toBeNull();
+  });
+
+  test('POST /forgot-password - should mail a link that opens the reset form', async () => {
+    const link = new URL(mailer.lastMailTo(email).text.match(/https?:\/\/\S+/)[0]);
+    const res = await request(server).get(`${link.pathname}${link.search}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-type']).toMatch(/^text\/html/);
+    expect(res.headers['referrer-policy']).toBe('no-referrer');
+    expect(res.text).toContain('<form id="reset">');
+  });
+
+  test('POST /reset-password - should reject a forged token', async () => {
+    const [userId] = resetToken().split('.');
+    const res = await request(server).post('/reset-password').send({
+      token: `${userId}.${'0'.repeat(64)}`,
+      newPassword: 'hijacked',
+    });
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  test('POST /reset-password - should set the new password and end existing sessions', async () => {
+    const session = await request(server).post('/login').send({ email, password: 'password123' });
+
+    const res = await request(server).post('/reset-password').send({ token: resetToken(), newPassword: 'resetPassword1' });
+    expect(res.statusCode).toBe(200);
+
+    const oldLogin = await request(server).post('/login').send({ email, password: 'password123' });
+    expect(oldLogin.statusCode).toBe(400);
+
+    const newLogin = await request(server).post('/login').send({ email, password: 'resetPassword1' });
+    expect(newLogin.statusCode).toBe(200);
+
+    const update = await request(server).post('/update').set('Authorization', `Bearer ${session.body.accessToken}`).send({
+      name: 'Forgetful User',
+      email,
+    });
+    expect(update.statusCode).toBe(401);
+  });
+
+  test('POST /reset-password - should reject a token that was already used', async () => {
+    const res = await request(server).post('/reset-password').send({ token: resetToken(), newPassword: 'anotherPassword2' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.detail).toBe('Invalid or expired reset token');
+  });
+});
+
+describe('Request validation', () => {
+  test('POST /signup - should list every invalid field', async () => {
+    const res = await request(server).post('/signup').send({ email: 'not-an-email', name: '' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.detail).toBe('Validation failed');
+    expect(res.body.errors.map(e => e.field).sort()).toEqual(['email', 'name', 'password']);
+    expect(res.body.errors.every(e => e.location === 'body')).toBe(true);
+  });
+
+  test('POST /signup - should enforce password rules', async () => {
+    const res = await request(server).post('/signup').send({
+      email: 'weak@example.com',
+      password: 'onlyletters',
+      name: 'Weak Password',
+    });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors).toEqual([
+      expect.objectContaining({ field: 'password', message: expect.stringContaining('digit') }),
+    ]);
+  });
+
+  test('POST /update - should strip unknown fields before they reach the model', async () => {
+    await request(server).post('/signup').send({ name: 'Strict User', email: 'strict@example.com', password: 'password123' });
+    const login = await request(server).post('/login').send({ email: 'strict@example.com', password: 'password123' });
+
+    const res = await request(server).post('/update').set('Authorization', `Bearer ${login.body.accessToken}`).send({
+      name: 'Strict User',
+      password: 'plaintext-overwrite',
+      emailVerified: true,
+    });
+    expect(res.statusCode).toBe(200);
+
+    const relogin = await request(server).post('/login').send({ email: 'strict@example.com', password: 'password123' });
+    expect(relogin.statusCode).toBe(200);
+  });
+
+  test('POST /update - should require at least one field', async () => {
+    const login = await request(server).post('/login').send({ email: 'strict@example.com', password: 'password123' });
+    const res = await request(server).post('/update').set('Authorization', `Bearer ${login.body.accessToken}`).send({});
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors[0].location).toBe('body');
+  });
+
+  test('GET /v1/users/:id - should reject a non-numeric ID', async () => {
+    const res = await request(server).get('/v1/users/abc');
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors).toEqual([
+      expect.objectContaining({ location: 'params', field: 'id' }),
+    ]);
+  });
+});
+
+describe('Login brute-force protection', () => {
+  const credentials = { email: 'bruteforce@example.com', password: 'password123' };
+
+  beforeAll(async () => {
+    await request(server).post('/signup').send({ name: 'Target User', ...credentials });
+  });
+
+  test('POST /login - should answer 429 with Retry-After once the threshold is reached', async () => {
+    for (let i = 0; i < 5; i++) {
+      const res = await request(server).post('/login').send({ ...credentials, password: `wrongGuess${i}` });
+      expect(res.statusCode).toBe(400);
+    }
+
+    const res = await request(server).post('/login').send(credentials);
+    expect(res.statusCode).toBe(429);
+    expect(Number(res.headers['retry-after'])).toBeGreaterThan(0);
+  });
+
+  test('POST /login - should reset the account counter on success', async () => {
+    await new Promise(resolve => setTimeout(resolve, 1100));
+
+    const res = await request(server).post('/login').send(credentials);
+    expect(res.statusCode).toBe(200);
+
+    const next = await request(server).post('/login').send({ ...credentials, password: 'wrongAgain1' });
+    expect(next.statusCode).toBe(400);
+  });
+
+  describe('LoginThrottle', () => {
+    const keys = { account: 'account:a@example.com', ip: 'ip:10.0.0.1' };
+
+    test('should back off exponentially and then lock', async () => {
+      const throttle = new LoginThrottle(new MemoryThrottleStore(), {
+        account: { maxAttempts: 3, lockAttempts: 6 },
+        lockSeconds: 600
+      });
+
+      expect([1, 2, 3, 4, 5, 6].map(n => throttle.blockDuration('account', n))).toEqual([0, 0, 1, 2, 4, 600]);
+
+      for (let i = 0; i < 6; i++) {
+        await throttle.recordFailure(keys);
+      }
+      expect(await throttle.check(keys)).toBeGreaterThan(590);
+    });
+
+    describe('when the store is unavailable', () => {
+      const unavailableStore = {
+        getBlocks: async () => {
+          const error = new Error('Login throttle store unavailable');
+          error.code = 'ETHROTTLESTORE';
+          throw error;
+        }
+      };
+
+      test('should allow attempts in fail-open mode', async () => {
+        const throttle = new LoginThrottle(unavailableStore);
+        expect(await throttle.check(keys)).toBe(0);
+      });
+
+      test('should reject attempts in fail-closed mode', async () => {
+        const throttle = new LoginThrottle(unavailableStore, { failMode: 'closed' });
+        await expect(throttle.check(keys)).rejects.toMatchObject({ code: 'ETHROTTLESTORE' });
+      });
+    });
+  });
+});
+
+describe('Roles and admin routes', () => {
+  let adminToken;
+  let memberId;
+  let memberToken;
+
+  beforeAll(async () => {
+    await request(server).post('/signup').send({ name: 'Member', email: 'member@example.com', password: 'password123' });
+    const member = await request(server).post('/login').send({ email: 'member@example.com', password: 'password123' });
+    memberId = member.body.userId;
+    memberToken = member.body.accessToken;
+  });
+
+  test('bootstrapAdmin - should not promote an account registered with the bootstrap email', async () => {
+    // Signed up by someone else, with their own password, before the first boot
+    await request(server).post('/signup').send({ name: 'Squatter', email: 'squatter@example.com', password: 'squatterPass1' });
+
+    expect(await bootstrapAdmin({ email: 'squatter@example.com', password: 'adminPassword1' })).toBe('refused');
+
+    const res = await request(server).post('/login').send({ email: 'squatter@example.com', password: 'squatterPass1' });
+    expect(res.statusCode).toBe(200);
+    expect(jwt.decode(res.body.accessToken).role).toBe('user');
+  });
+
+  test('bootstrapAdmin - should create the first admin and then do nothing', async () => {
+    expect(await bootstrapAdmin({ email: 'admin@example.com', password: 'adminPassword1' })).toBe('created');
+    expect(await bootstrapAdmin({ email: 'other-admin@example.com', password: 'adminPassword1' })).toBe('skipped');
+
+    const res = await request(server).post('/login').send({ email: 'admin@example.com', password: 'adminPassword1' });
+    expect(res.statusCode).toBe(200);
+    expect(jwt.decode(res.body.accessToken).role).toBe('admin');
+    adminToken = res.body.accessToken;
+  });
+
+  test('POST /login - should sign the user role into the access token', () => {
+    expect(jwt.decode(memberToken).role).toBe('user');
+  });
+
+  test('GET /admin/users/:id - should require a token', async () => {
+    const res = await request(server).get(`/admin/users/${memberId}`);
+    expect(res.statusCode).toBe(401);
+  });
+
+  test('GET /admin/users/:id - should forbid regular users', async () => {
+    const res = await request(server).get(`/admin/users/${memberId}`).set('Authorization', `Bearer ${memberToken}`);
+    expect(res.statusCode).toBe(403);
+  });
+
+  test('GET /admin/users/:id - should return account details to admins', async () => {
+    const res = await request(server).get(`/admin/users/${memberId}`).set('Authorization', `Bearer ${adminToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ id: memberId, email: 'member@example.com', role: 'user' });
+    expect(res.body).not.toHaveProperty('password');
+  });
+
+  test('PATCH /admin/users/:id/role - should reject unknown roles', async () => {
+    const res = await request(server)
+      .patch(`/admin/users/${memberId}/role`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role: 'superuser' });
+
+    expect(res.statusCode).toBe(400);
+  });
+
+  test('PATCH /admin/users/:id/role - should promote a user and revoke their old tokens', async () => {
+    const res = await request(server)
+      .patch(`/admin/users/${memberId}/role`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ role: 'moderator' });
+    expect(res.statusCode).toBe(200);
+
+    const stale = await request(server).get(`/admin/users/${memberId}`).set('Authorization', `Bearer ${memberToken}`);
+    expect(stale.statusCode).toBe(401);
+
+    const login = await request(server).post('/login').send({ email: 'member@example.com', password: 'password123' });
+    expect(jwt.decode(login.body.accessToken).role).toBe('moderator');
+
+    const read = await request(server).get(`/admin/users/${memberId}`).set('Authorization', `Bearer ${login.body.accessToken}`);
+    expect(read.statusCode).toBe(200);
+
+    // Moderators can read but not manage roles
+    const manage = await request(server)
+      .patch(`/admin/users/${memberId}/role`)
+      .set('Authorization', `Bearer ${login.body.accessToken}`)
+      .send({ role: 'admin' });
+    expect(manage.statusCode).toBe(403);
+  });
+
+  test('PATCH /admin/users/:id/status - should only change users with a lower role', async () => {
+    const setStatus = (token, userId, status) => request(server)
+      .patch(`/admin/users/${userId}/status`)
+      .set('Authorization', `Bearer ${token}`)
+      .send({ status });
+
+    const moderator = await request(server).post('/login').send({ email: 'member@example.com', password: 'password123' });
+    const moderatorToken = moderator.body.accessToken;
+    const adminId = jwt.decode(adminToken).userId;
+
+    const squatter = await request(server).post('/login').send({ email: 'squatter@example.com', password: 'squatterPass1' });
+    const squatterId = squatter.body.userId;
+
+    // A moderator can suspend a regular user
+    expect((await setStatus(moderatorToken, squatterId, 'suspended')).statusCode).toBe(200);
+    expect((await setStatus(moderatorToken, squatterId, 'active')).statusCode).toBe(200);
+
+    // ...but not an admin
+    const overAdmin = await setStatus(moderatorToken, adminId, 'suspended');
+    expect(overAdmin.statusCode).toBe(403);
+    expect(overAdmin.body.code).toBe('insufficient_role');
+
+    // ...nor another moderator
+    await request(server).patch(`/admin/users/${squatterId}/role`).set('Authorization', `Bearer ${adminToken}`).send({ role: 'moderator' });
+    const overPeer = await setStatus(moderatorToken, squatterId, 'suspended');
+    expect(overPeer.statusCode).toBe(403);
+    expect(overPeer.body.code).toBe('insufficient_role');
+
+    // The admin's sessions survived the attempts
+    const admin = await request(server).get(`/admin/users/${adminId}`).set('Authorization', `Bearer ${adminToken}`);
+    expect(admin.statusCode).toBe(200);
+    expect(admin.body.status).toBe('active');
+  });
+});
+
+describe('Admin user listing', () => {
+  let adminToken;
+
+  const list = (query) => request(server).get('/admin/users').query(query).set('Authorization', `Bearer ${adminToken}`);
+
+  beforeAll(async () => {
+    for (const name of ['Ana', 'Bob', 'Cy', 'Dee', 'Eve']) {
+      await request(server).post('/signup').send({
+        name: `${name} Lister`,
+        email: `${name.toLowerCase()}@listing.example.com`,
+        password: 'password123',
+      });
+    }
+
+    const login = await request(server).post('/login').send({ email: 'admin@example.com', password: 'adminPassword1' });
+    adminToken = login.body.accessToken;
+  });
+
+  test('GET /admin/users - should filter by email substring and report the total', async () => {
+    const res = await list({ email: 'LISTING.example', limit: 2, includeTotal: true });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data).toHaveLength(2);
+    expect(res.body.pagination).toMatchObject({ limit: 2, total: 5, hasMore: true });
+    expect(res.body.data[0]).not.toHaveProperty('password');
+  });
+
+  test('GET /admin/users - should only count the matches when asked', async () => {
+    const res = await list({ email: 'listing.example', limit: 2 });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.pagination).toMatchObject({ total: null, hasMore: true });
+  });
+
+  test('GET /admin/users - should walk every page with the cursor', async () => {
+    const names = [];
+    let cursor;
+
+    do {
+      const res = await list({ email: 'listing.example', sort: 'name', order: 'asc', limit: 2, cursor });
+      expect(res.statusCode).toBe(200);
+      names.push(...res.body.data.map(user => user.name));
+      cursor = res.body.pagination.nextCursor;
+    } while (cursor);
+
+    expect(names).toEqual(['Ana Lister', 'Bob Lister', 'Cy Lister', 'Dee Lister', 'Eve Lister']);
+  });
+
+  test('GET /admin/users - should reject a cursor from a different sort', async () => {
+    const first = await list({ email: 'listing.example', sort: 'name', limit: 1 });
+    const res = await list({ email: 'listing.example', sort: 'email', cursor: first.body.pagination.nextCursor });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.code).toBe('invalid_cursor');
+  });
+
+  test.each([
+    ['a createdAt that is not a date', { sort: 'createdAt', order: 'desc', value: 'yesterday', id: 3 }],
+    ['a non-integer id', { sort: 'createdAt', order: 'desc', value: new Date().toISOString(), id: 'abc' }],
+    ['an operator object as id', { sort: 'id', order: 'desc', value: 3, id: { $gt: 0 } }],
+    ['a non-string name', { sort: 'name', order: 'desc', value: { length: 1 }, id: 3 }],
+    ['extra fields', { sort: 'name', order: 'desc', value: 'Bob Lister', id: 3, where: '1=1' }],
+    ['no id', { sort: 'name', order: 'desc', value: 'Bob Lister' }],
+  ])('GET /admin/users - should reject a cursor with %s', async (name, contents) => {
+    const cursor = Buffer.from(JSON.stringify(contents)).toString('base64url');
+    const res = await list({ sort: contents.sort, cursor });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.code).toBe('invalid_cursor');
+  });
+
+  test('GET /admin/users - should reject a cursor that is not JSON', async () => {
+    const res = await list({ cursor: 'bm90IGpzb24' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.code).toBe('invalid_cursor');
+  });
+
+  test('GET /admin/users - should treat LIKE wildcards literally', async () => {
+    const res = await list({ email: '%' });
+
+    expect(res.statusCode).toBe(200);
+    expect(res.body.data).toHaveLength(0);
+  });
+
+  test('GET /admin/users - should filter by role, status and created date', async () => {
+    const admins = await list({ role: 'admin' });
+    expect(admins.body.data.map(user => user.email)).toEqual(['admin@example.com']);
+
+    const future = await list({ createdFrom: new Date(Date.now() + 60000).toISOString(), includeTotal: true });
+    expect(future.body.pagination.total).toBe(0);
+
+    const suspend = await request(server)
+      .patch(`/admin/users/${(await list({ email: 'eve@listing' })).body.data[0].id}/status`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .send({ status: 'suspended' });
+    expect(suspend.statusCode).toBe(200);
+
+    const suspended = await list({ status: 'suspended', email: 'listing.example' });
+    expect(suspended.body.data.map(user => user.name)).toEqual(['Eve Lister']);
+
+    const login = await request(server).post('/login').send({ email: 'eve@listing.example.com', password: 'password123' });
+    expect(login.statusCode).toBe(403);
+  });
+
+  test('GET /admin/users - should validate query parameters', async () => {
+    const res = await list({ limit: 1000, sort: 'password' });
+
+    expect(res.statusCode).toBe(400);
+    expect(res.body.errors.map(error => error.field).sort()).toEqual(['limit', 'sort']);
+  });
+});
+
+describe('Conditional requests', () => {
+  const credentials = { email: 'polled@example.com', password: 'password123' };
+  let userId;
+  let accessToken;
+
+  beforeAll(async () => {
+    await request(server).post('/signup').send({ name: 'Polled User', ...credentials });
+    const login = await request(server).post('/login').send(credentials);
+    userId = login.body.userId;
+    accessToken = login.body.accessToken;
+  });
+
+  test('GET /:id - should send validators and a public caching policy', async () => {
+    const res = await request(server).get(`/${userId}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers.etag).toMatch(/^"profile-\d+-\d+"$/);
+    expect(res.headers['last-modified']).toBeDefined();
+    expect(res.headers['cache-control']).toBe('public, max-age=60');
+  });
+
+  test('GET /:id - should answer matching validators with 304, also on cache hits', async () => {
+    const first = await request(server).get(`/${userId}`);
+
+    const byEtag = await request(server).get(`/${userId}`).set('If-None-Match', first.headers.etag);
+    expect(byEtag.statusCode).toBe(304);
+    expect(byEtag.headers['x-cache']).toBe('HIT');
+    expect(byEtag.headers.etag).toBe(first.headers.etag);
+
+    const byDate = await request(server).get(`/${userId}`).set('If-Modified-Since', first.headers['last-modified']);
+    expect(byDate.statusCode).toBe(304);
+  });
+
+  test('GET /:id - should send the new body once the user changed', async () => {
+    const before = await request(server).get(`/${userId}`);
+
+    await request(server).post('/update').set('Authorization', `Bearer ${accessToken}`).send({ name: 'Repolled User' });
+
+    const after = await request(server).get(`/${userId}`).set('If-None-Match', before.headers.etag);
+    expect(after.statusCode).toBe(200);
+    expect(after.body.name).toBe('Repolled User');
+    expect(after.headers.etag).not.toBe(before.headers.etag);
+  });
+
+  test('GET /admin/users/:id - should be privately cacheable and support 304', async () => {
+    const login = await request(server).post('/login').send({ email: 'admin@example.com', password: 'adminPassword1' });
+    const adminToken = login.body.accessToken;
+
+    const first = await request(server).get(`/admin/users/${userId}`).set('Authorization', `Bearer ${adminToken}`);
+    expect(first.headers['cache-control']).toBe('private, no-cache');
+    expect(first.headers.etag).toMatch(/^"admin-/);
+
+    const again = await request(server)
+      .get(`/admin/users/${userId}`)
+      .set('Authorization', `Bearer ${adminToken}`)
+      .set('If-None-Match', first.headers.etag);
+    expect(again.statusCode).toBe(304);
+  });
+});
+
+describe('Account deletion and export', () => {
+  const credentials = { email: 'leaving@example.com', password: 'password123' };
+  let userId;
+  let accessToken;
+  let verificationLink;
+
+  beforeAll(async () => {
+    await request(server).post('/signup').send({ name: 'Leaving User', ...credentials });
+    verificationLink = new URL(mailer.lastMailTo(credentials.email).text.match(/https?:\/\/\S+/)[0]);
+    const login = await request(server).post('/login').send(credentials);
+    userId = login.body.userId;
+    accessToken = login.body.accessToken;
+  });
+
+  test('GET /me/export - should download the stored account data without secrets', async () => {
+    const res = await request(server).get('/me/export').set('Authorization', `Bearer ${accessToken}`);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['content-disposition']).toContain(`cinerate-user-${userId}-export.json`);
+    expect(res.body.account).toMatchObject({ id: userId, email: credentials.email, name: 'Leaving User' });
+    expect(JSON.stringify(res.body)).not.toContain('$2');
+  });
+
+  test('DELETE /me - should require the correct password', async () => {
+    const res = await request(server).delete('/me').set('Authorization', `Bearer ${accessToken}`).send({ password: 'wrongPassword1' });
+    expect(res.statusCode).toBe(400);
+  });
+
+  test('DELETE /me - should soft-delete the account and revoke its tokens', async () => {
+    const res = await request(server).delete('/me').set('Authorization', `Bearer ${accessToken}`).send(credentials);
+    expect(res.statusCode).toBe(200);
+
+    const profile = await request(server).get(`/${userId}`);
+    expect(profile.statusCode).toBe(404);
+
+    const login = await request(server).post('/login').send(credentials);
+    expect(login.statusCode).toBe(400);
+
+    const exportRes = await request(server).get('/me/export').set('Authorization', `Bearer ${accessToken}`);
+    expect(exportRes.statusCode).toBe(401);
+  });
+
+  test('POST /v1/users/me/password - should not change the password of a deleted account', async () => {
+    // A token issued after the deletion, so revocation alone doesn't stop it
+    const token = jwt.sign(
+      { userId, role: 'user', iat: Math.floor(Date.now() / 1000) + 1 },
+      process.env.JWT_SECRET,
+      { expiresIn: '1h', jwtid: crypto.randomUUID() }
+    );
+
+    const res = await request(server)
+      .post('/v1/users/me/password')
+      .set('Authorization', `Bearer ${token}`)
+      .send({ oldPassword: credentials.password, newPassword: 'newPassword123' });
+
+    expect(res.statusCode).toBe(404);
+  });
+
+  test('should not send or accept verification and reset links for a deleted account', async () => {
+    const sent = mailer.outbox.length;
+
+    const forgot = await request(server).post('/forgot-password').send({ email: credentials.email });
+    expect(forgot.statusCode).toBe(200);
+    const resend = await request(server).post('/resend-verification').send({ email: credentials.email });
+    expect(resend.statusCode).toBe(200);
+    expect(mailer.outbox.length).toBe(sent);
+
+    const verify = await request(server).get(`/verify-email${verificationLink.search}`);
+    expect(verify.statusCode).toBe(400);
+
+    // A reset token left on the row must not bring the account back
+    const secret = crypto.randomBytes(32).toString('hex');
+    await getUser().update({
+      passwordResetTokenHash: crypto.createHash('sha256').update(secret).digest('hex'),
+      passwordResetExpiresAt: new Date(Date.now() + 60 * 60 * 1000)
+    }, { where: { id: userId } });
+
+    const reset = await request(server).post('/reset-password').send({ token: `${userId}.${secret}`, newPassword: 'newPassword123' });
+    expect(reset.statusCode).toBe(400);
+    expect(reset.body.code).toBe('reset_token_invalid');
+  });
+
+  test('purgeDeletedAccounts - should keep accounts within the grace period', async () => {
+    expect(await purgeDeletedAccounts(dbCircuitBreaker, { graceDays: 30 })).toBe(0);
+  });
+
+  test('purgeDeletedAccounts - should anonymize accounts after the grace period', async () => {
+    const purged = await purgeDeletedAccounts(dbCircuitBreaker, {
+      graceDays: 30,
+      now: new Date(Date.now() + 31 * 24 * 60 * 60 * 1000),
+    });
+    expect(purged).toBe(1);
+
+    const user = await getUser().findByPk(userId);
+    expect(user.email).toBe(`deleted-${userId}@deleted.invalid`);
+    expect(user.name).toBe('Deleted user');
+    expect(user.anonymizedAt).toBeInstanceOf(Date);
+  });
+});